@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Segmented, Tabs, Tag, Spin, Empty, Typography, theme } from 'antd';
+import DiffViewer from './DiffViewer';
+import { useGitDiff } from '../../hooks';
+
+const { Text } = Typography;
+
+const MODES = [
+  { value: 'three-dot', label: 'Since merge base' },
+  { value: 'two-dot', label: 'Direct difference' }
+];
+
+const FILE_STATUS_COLORS = { A: 'green', M: 'orange', D: 'red', R: 'blue', C: 'blue' };
+
+/**
+ * Compares a branch with the current one: the commits only either side has,
+ * their merge base, and the files that differ, each opened in DiffViewer.
+ */
+function BranchCompare({ visible, base, target, onClose }) {
+  const { token } = theme.useToken();
+  const { compareRefs } = useGitDiff();
+  const [mode, setMode] = useState('three-dot');
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selectedFile, setSelectedFile] = useState(null);
+
+  useEffect(() => {
+    const loadComparison = async () => {
+      setComparison(null);
+      setSelectedFile(null);
+      if (!visible || !base || !target) return;
+
+      setLoading(true);
+      try {
+        const result = await compareRefs(base, target, mode);
+        setComparison(result);
+        setSelectedFile(result?.files[0] || null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadComparison();
+  }, [visible, base, target, mode, compareRefs]);
+
+  const renderCommits = (side, label) => (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ fontWeight: 500, marginBottom: 4 }}>
+        Only in <Tag color="purple" style={{ marginRight: 4 }}>{label}</Tag>({side.count})
+      </div>
+      {side.count === 0 ? (
+        <Text type="secondary" style={{ fontSize: 12 }}>No commits</Text>
+      ) : (
+        <>
+          {side.commits.map(c => (
+            <div key={c.hash} style={{ display: 'flex', gap: 8, padding: '2px 0', alignItems: 'center' }}>
+              <Text code>{c.shortHash}</Text>
+              <Text ellipsis style={{ flex: 1 }} title={`${c.author}, ${new Date(c.date).toLocaleString()}`}>{c.subject}</Text>
+            </div>
+          ))}
+          {side.count > side.commits.length && (
+            <Text type="secondary" style={{ fontSize: 12 }}>and {side.count - side.commits.length} more</Text>
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  const renderFiles = () => (comparison.files.length === 0 ? (
+    <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No differences" />
+  ) : (
+    comparison.files.map(f => (
+      <div
+        key={f.path}
+        onClick={() => setSelectedFile(f)}
+        style={{
+          display: 'flex',
+          gap: 8,
+          padding: '4px 8px',
+          alignItems: 'center',
+          cursor: 'pointer',
+          borderRadius: 4,
+          background: selectedFile?.path === f.path ? token.colorPrimaryBg : undefined
+        }}
+      >
+        <Tag color={FILE_STATUS_COLORS[f.status]} style={{ margin: 0 }}>{f.status}</Tag>
+        <Text ellipsis style={{ flex: 1, fontFamily: 'monospace', fontSize: 12 }} title={f.path}>
+          {f.oldPath ? `${f.oldPath} → ${f.path}` : f.path}
+        </Text>
+        {!f.binary && (
+          <span style={{ fontSize: 12, whiteSpace: 'nowrap' }}>
+            <span style={{ color: token.colorSuccess }}>+{f.insertions}</span>{' '}
+            <span style={{ color: token.colorError }}>-{f.deletions}</span>
+          </span>
+        )}
+      </div>
+    ))
+  ));
+
+  const renderComparison = () => {
+    if (loading) {
+      return (
+        <div style={{ textAlign: 'center', padding: 48 }}>
+          <Spin />
+        </div>
+      );
+    }
+    if (!comparison) return null;
+
+    return (
+      <div style={{ display: 'flex', gap: 16, height: '65vh' }}>
+        <div style={{ width: 340, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+          <Tabs
+            size="small"
+            style={{ height: '100%' }}
+            items={[
+              {
+                key: 'files',
+                label: `Files (${comparison.files.length})`,
+                children: <div style={{ height: 'calc(65vh - 60px)', overflow: 'auto' }}>{renderFiles()}</div>
+              },
+              {
+                key: 'commits',
+                label: `Commits (${comparison.target.count + comparison.base.count})`,
+                children: (
+                  <div style={{ height: 'calc(65vh - 60px)', overflow: 'auto' }}>
+                    {renderCommits(comparison.target, target)}
+                    {renderCommits(comparison.base, base)}
+                  </div>
+                )
+              }
+            ]}
+          />
+        </div>
+        <div style={{
+          flex: 1,
+          minWidth: 0,
+          overflow: 'auto',
+          border: `1px solid ${token.colorBorderSecondary}`,
+          borderRadius: 4
+        }}>
+          {selectedFile ? (
+            <DiffViewer
+              file={selectedFile.path}
+              oldFile={selectedFile.oldPath}
+              commit1={comparison.fileBase}
+              commit2={comparison.target.hash}
+            />
+          ) : (
+            <Empty style={{ marginTop: 48 }} description="Select a file to view its diff" />
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      title={`Compare ${target} with ${base}`}
+      open={visible}
+      onCancel={onClose}
+      footer={null}
+      width="90%"
+      destroyOnClose
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 16, marginBottom: 12 }}>
+        <Segmented value={mode} onChange={setMode} options={MODES} />
+        {comparison && (
+          <>
+            <span>
+              Merge base{' '}
+              {comparison.mergeBase ? <Text code>{comparison.mergeBase.slice(0, 7)}</Text> : <Text type="secondary">none</Text>}
+            </span>
+            <span>
+              {comparison.files.length} file{comparison.files.length !== 1 ? 's' : ''}{' '}
+              <span style={{ color: token.colorSuccess }}>+{comparison.insertions}</span>{' '}
+              <span style={{ color: token.colorError }}>-{comparison.deletions}</span>
+            </span>
+          </>
+        )}
+      </div>
+      <div style={{ color: token.colorTextSecondary, fontSize: 12, marginBottom: 12 }}>
+        {mode === 'three-dot'
+          ? `What ${target} changed since it split from ${base} (${base}...${target})`
+          : `Everything that differs between ${base} and ${target} (${base}..${target})`}
+      </div>
+      {renderComparison()}
+    </Modal>
+  );
+}
+
+export default BranchCompare;
@@ -37,17 +37,18 @@ function BranchGraph({ commits, branches, width = 800, height = 400 }) {
     const edges = [];
     const commitMap = new Map();
 
-    // Create nodes for each commit
+    // Create nodes for each commit, positioned by history order and lane
     commits.forEach((commit, index) => {
       const branchName = commit.refs?.[0]?.replace('HEAD -> ', '').replace('origin/', '') || 'main';
-      commitMap.set(commit.hash, { ...commit, index });
+      const column = commit.graph?.column || 0;
+      commitMap.set(commit.hash, { ...commit, index, branchName });
 
       nodes.push({
         id: commit.hash,
         label: commit.shortHash || commit.hash.substring(0, 7),
         commit,
         x: 100 + (index * 80),
-        y: 200,
+        y: 60 + (column * 50),
         style: {
           fill: getBranchColor(branchName),
           stroke: '#fff',
@@ -60,19 +61,21 @@ function BranchGraph({ commits, branches, width = 800, height = 400 }) {
       });
     });
 
-    // Create edges (simplified - in reality would parse parent info)
-    commits.forEach((commit, index) => {
-      if (index < commits.length - 1) {
+    // Create edges from each commit to the parents that are loaded
+    commits.forEach(commit => {
+      const { branchName } = commitMap.get(commit.hash);
+      (commit.parents || []).forEach(parent => {
+        if (!commitMap.has(parent)) return;
         edges.push({
           source: commit.hash,
-          target: commits[index + 1].hash,
+          target: parent,
           style: {
-            stroke: getBranchColor(commit.refs?.[0] || 'main'),
+            stroke: getBranchColor(branchName),
             lineWidth: 2,
             endArrow: false
           }
         });
-      }
+      });
     });
 
     return { nodes, edges };
@@ -97,12 +100,6 @@ function BranchGraph({ commits, branches, width = 800, height = 400 }) {
       modes: {
         default: ['drag-canvas', 'zoom-canvas']
       },
-      layout: {
-        type: 'dagre',
-        rankdir: 'LR',
-        nodesep: 30,
-        ranksep: 80
-      },
       defaultNode: {
         type: 'circle',
         size: 16,
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import { Button, Descriptions, Empty, List, Modal, Spin, Tag, Tooltip, Typography, theme } from 'antd';
+import {
+  CloseOutlined,
+  FileOutlined,
+  SafetyCertificateOutlined
+} from '@ant-design/icons';
+import DiffViewer from './DiffViewer';
+import { useAppStore } from '../../store';
+import { useGitCommitDetail } from '../../hooks';
+
+const { Title, Text, Paragraph } = Typography;
+
+// Status letters from git diff --name-status
+const FILE_STATUS = {
+  A: { color: 'green', label: 'Added' },
+  M: { color: 'orange', label: 'Modified' },
+  D: { color: 'red', label: 'Deleted' },
+  R: { color: 'blue', label: 'Renamed' },
+  C: { color: 'cyan', label: 'Copied' },
+  T: { color: 'purple', label: 'Type changed' }
+};
+
+const SIGNATURE_TAGS = {
+  good: { color: 'green', label: 'Verified signature' },
+  'unknown-validity': { color: 'gold', label: 'Signed (unknown validity)' },
+  bad: { color: 'red', label: 'Bad signature' },
+  expired: { color: 'orange', label: 'Expired signature' },
+  'expired-key': { color: 'orange', label: 'Signed with expired key' },
+  'revoked-key': { color: 'red', label: 'Signed with revoked key' },
+  'cannot-check': { color: 'default', label: 'Signature cannot be checked' }
+};
+
+const formatPerson = (person) => (
+  <>
+    <div>{person.name} &lt;{person.email}&gt;</div>
+    <Text type="secondary" style={{ fontSize: 12 }}>
+      {new Date(person.date).toLocaleString()}
+    </Text>
+  </>
+);
+
+function CommitDetail() {
+  const { token } = theme.useToken();
+  const { selectedCommit, setSelectedCommit } = useAppStore();
+  const { getCommitDetail } = useGitCommitDetail();
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [diffFile, setDiffFile] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDetail = async () => {
+      if (!selectedCommit?.hash) return;
+
+      setLoading(true);
+      const result = await getCommitDetail(selectedCommit.hash);
+      if (!cancelled) {
+        setDetail(result);
+        setLoading(false);
+      }
+    };
+
+    loadDetail();
+    return () => { cancelled = true; };
+  }, [selectedCommit?.hash, getCommitDetail]);
+
+  if (!selectedCommit) return null;
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: 48 }}>
+          <Spin />
+        </div>
+      );
+    }
+
+    if (!detail) {
+      return <Empty description="Commit details unavailable" style={{ marginTop: 48 }} />;
+    }
+
+    const signature = SIGNATURE_TAGS[detail.signature.status];
+    const sameCommitter = detail.author.email === detail.committer.email &&
+      detail.author.date === detail.committer.date;
+    const totals = detail.files.reduce((sum, f) => ({
+      insertions: sum.insertions + f.insertions,
+      deletions: sum.deletions + f.deletions
+    }), { insertions: 0, deletions: 0 });
+
+    return (
+      <div style={{ padding: 12 }}>
+        <Title level={5} style={{ marginTop: 0 }}>{detail.subject}</Title>
+        {detail.body && (
+          <Paragraph style={{ whiteSpace: 'pre-wrap', fontSize: 13 }}>
+            {detail.body}
+          </Paragraph>
+        )}
+
+        {signature && (
+          <Tag color={signature.color} icon={<SafetyCertificateOutlined />} style={{ marginBottom: 12 }}>
+            {signature.label}{detail.signature.signer ? `: ${detail.signature.signer}` : ''}
+          </Tag>
+        )}
+
+        <Descriptions column={1} size="small" bordered>
+          <Descriptions.Item label="Commit">
+            <Text copyable={{ text: detail.hash }} style={{ fontFamily: 'monospace' }}>
+              {detail.shortHash}
+            </Text>
+          </Descriptions.Item>
+          <Descriptions.Item label={detail.parents.length > 1 ? 'Parents' : 'Parent'}>
+            {detail.parents.length === 0 ? (
+              <Text type="secondary">None (root commit)</Text>
+            ) : detail.parents.map(parent => (
+              <Tooltip key={parent} title={parent}>
+                <Tag
+                  color="blue"
+                  style={{ fontFamily: 'monospace', cursor: 'pointer' }}
+                  onClick={() => setSelectedCommit({ hash: parent })}
+                >
+                  {parent.substring(0, 7)}
+                </Tag>
+              </Tooltip>
+            ))}
+          </Descriptions.Item>
+          <Descriptions.Item label="Author">{formatPerson(detail.author)}</Descriptions.Item>
+          {!sameCommitter && (
+            <Descriptions.Item label="Committer">{formatPerson(detail.committer)}</Descriptions.Item>
+          )}
+        </Descriptions>
+
+        <div style={{ margin: '16px 0 8px', display: 'flex', justifyContent: 'space-between' }}>
+          <Text strong>{detail.files.length} file{detail.files.length !== 1 ? 's' : ''} changed</Text>
+          <span style={{ fontSize: 12 }}>
+            <Text type="success">+{totals.insertions}</Text>{' '}
+            <Text type="danger">-{totals.deletions}</Text>
+          </span>
+        </div>
+
+        <List
+          size="small"
+          dataSource={detail.files}
+          renderItem={file => {
+            const status = FILE_STATUS[file.status] || { color: 'default', label: file.status };
+            return (
+              <List.Item
+                style={{ padding: '4px 0', cursor: 'pointer' }}
+                onClick={() => setDiffFile(file)}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', width: '100%', gap: 8 }}>
+                  <FileOutlined />
+                  <Tooltip title={file.oldPath ? `${file.oldPath} → ${file.path}` : file.path}>
+                    <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {file.path}
+                    </span>
+                  </Tooltip>
+                  <Tag color={status.color} style={{ margin: 0, fontSize: 11 }}>{status.label}</Tag>
+                  {file.binary ? (
+                    <Text type="secondary" style={{ fontSize: 12 }}>binary</Text>
+                  ) : (
+                    <span style={{ fontSize: 12, whiteSpace: 'nowrap' }}>
+                      <Text type="success">+{file.insertions}</Text>{' '}
+                      <Text type="danger">-{file.deletions}</Text>
+                    </span>
+                  )}
+                </div>
+              </List.Item>
+            );
+          }}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <div style={{
+        padding: '8px 12px',
+        background: token.colorBgContainer,
+        borderBottom: `1px solid ${token.colorBorderSecondary}`,
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        <span style={{ fontWeight: 500 }}>Commit Details</span>
+        <Button
+          type="text"
+          size="small"
+          icon={<CloseOutlined />}
+          onClick={() => setSelectedCommit(null)}
+          title="Close"
+        />
+      </div>
+      <div style={{ flex: 1, overflow: 'auto', background: token.colorBgContainer }}>
+        {renderContent()}
+      </div>
+
+      {/* File Diff Modal */}
+      <Modal
+        title={diffFile ? `Diff: ${diffFile.path}` : 'Diff'}
+        open={!!diffFile}
+        onCancel={() => setDiffFile(null)}
+        footer={null}
+        width={1000}
+        destroyOnClose
+      >
+        {diffFile && detail && (
+          <div style={{ height: '70vh' }}>
+            <DiffViewer
+              file={diffFile.path}
+              oldFile={diffFile.oldPath}
+              commit1={detail.base}
+              commit2={detail.hash}
+            />
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+export default CommitDetail;
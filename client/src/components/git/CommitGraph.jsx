@@ -1,12 +1,18 @@
-import React, { useRef, useState, useMemo } from 'react';
-import { List, Card, Tag, Empty, Spin, Typography, Tooltip, theme } from 'antd';
+import React, { useRef, useState, useMemo, useEffect } from 'react';
+import { Tag, Empty, Spin, Typography, Tooltip, Select, Input, DatePicker, Dropdown, Modal, Checkbox, theme } from 'antd';
+import dayjs from 'dayjs';
 import {
   ClockCircleOutlined,
   UserOutlined,
   BranchesOutlined,
-  TagOutlined
+  TagOutlined,
+  CopyOutlined,
+  RollbackOutlined,
+  UndoOutlined
 } from '@ant-design/icons';
 import { useAppStore } from '../../store';
+import { useGitLog, useGitCherryPick, useGitUndo } from '../../hooks';
+import ResetModal from './ResetModal';
 
 const { Text } = Typography;
 
@@ -26,151 +32,453 @@ function parseRefs(refs) {
   return [];
 }
 
+// Graph geometry
+const ROW_HEIGHT = 56;
+const LANE_WIDTH = 16;
+const NODE_RADIUS = 5;
+
+const laneColor = (lane) => BRANCH_COLORS[lane % BRANCH_COLORS.length];
+const laneX = (lane) => LANE_WIDTH / 2 + lane * LANE_WIDTH;
+
+// Vertical S-curve between two points, used for forks and merges
+function curvePath(x1, y1, x2, y2) {
+  const midY = (y1 + y2) / 2;
+  return `M ${x1} ${y1} C ${x1} ${midY}, ${x2} ${midY}, ${x2} ${y2}`;
+}
+
+/**
+ * Draws one row of the commit graph from the server-computed lane layout
+ */
+function GraphRow({ commit, width, background }) {
+  const { column, incoming = [], outgoing = [], passing = [] } = commit.graph || { column: 0 };
+  const nodeX = laneX(column);
+  const nodeY = ROW_HEIGHT / 2;
+  const isMerge = commit.parents && commit.parents.length > 1;
+
+  return (
+    <svg width={width * LANE_WIDTH} height={ROW_HEIGHT} style={{ flexShrink: 0, display: 'block' }}>
+      {passing.map(lane => (
+        <line
+          key={`p${lane}`}
+          x1={laneX(lane)} y1={0} x2={laneX(lane)} y2={ROW_HEIGHT}
+          stroke={laneColor(lane)} strokeWidth={2}
+        />
+      ))}
+      {incoming.map(lane => (
+        <path
+          key={`i${lane}`}
+          d={curvePath(laneX(lane), 0, nodeX, nodeY)}
+          stroke={laneColor(lane)} strokeWidth={2} fill="none"
+        />
+      ))}
+      {/* First parent continues this branch; merged parents keep their own lane color */}
+      {outgoing.map((lane, i) => (
+        <path
+          key={`o${lane}`}
+          d={curvePath(nodeX, nodeY, laneX(lane), ROW_HEIGHT)}
+          stroke={laneColor(i === 0 ? column : lane)} strokeWidth={2} fill="none"
+        />
+      ))}
+      <circle
+        cx={nodeX}
+        cy={nodeY}
+        r={NODE_RADIUS}
+        fill={isMerge ? background : laneColor(column)}
+        stroke={laneColor(column)}
+        strokeWidth={2}
+      />
+    </svg>
+  );
+}
+
+// Extra rows rendered above and below the viewport
+const OVERSCAN = 10;
+// Start loading the next page this many rows before the end
+const LOAD_MORE_THRESHOLD = 20;
+
+const SCOPE_HEAD = '__head__';
+const SCOPE_ALL = '__all__';
+
+const formatDate = (dateStr) => {
+  try {
+    const date = new Date(dateStr);
+    const now = new Date();
+    const diff = now - date;
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Yesterday';
+    if (days < 7) return `${days} days ago`;
+    return date.toLocaleDateString();
+  } catch {
+    return dateStr;
+  }
+};
+
+/**
+ * History scope, revision range and date filters
+ */
+function LogFilterBar({ filter, onChange, branches }) {
+  const { token } = theme.useToken();
+  const [range, setRange] = useState(filter.range || '');
+
+  useEffect(() => {
+    setRange(filter.range || '');
+  }, [filter.range]);
+
+  const scope = filter.all ? SCOPE_ALL : (filter.branch || SCOPE_HEAD);
+  const scopeOptions = [
+    { value: SCOPE_HEAD, label: 'Current branch' },
+    { value: SCOPE_ALL, label: 'All branches' },
+    ...(branches?.local || []).map(b => ({ value: b.name, label: b.name }))
+  ];
+
+  const handleScopeChange = (value) => {
+    onChange({
+      all: value === SCOPE_ALL,
+      branch: value === SCOPE_ALL || value === SCOPE_HEAD ? null : value
+    });
+  };
+
+  const handleDatesChange = (dates) => {
+    onChange({
+      since: dates?.[0] ? dates[0].format('YYYY-MM-DD') : null,
+      until: dates?.[1] ? dates[1].format('YYYY-MM-DD') : null
+    });
+  };
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: 8,
+      padding: '0 16px 8px',
+      borderBottom: `1px solid ${token.colorBorderSecondary}`
+    }}>
+      <Select
+        size="small"
+        style={{ width: 180 }}
+        value={scope}
+        onChange={handleScopeChange}
+        options={scopeOptions}
+        disabled={!!filter.range}
+      />
+      <Input
+        size="small"
+        allowClear
+        style={{ width: 220 }}
+        placeholder="Range (e.g. main..feature)"
+        value={range}
+        onChange={e => {
+          setRange(e.target.value);
+          if (!e.target.value) onChange({ range: '' });
+        }}
+        onPressEnter={() => onChange({ range: range.trim() })}
+        onBlur={() => range.trim() !== (filter.range || '') && onChange({ range: range.trim() })}
+      />
+      <DatePicker.RangePicker
+        size="small"
+        allowEmpty={[true, true]}
+        placeholder={['Since', 'Until']}
+        value={[
+          filter.since ? dayjs(filter.since) : null,
+          filter.until ? dayjs(filter.until) : null
+        ]}
+        onChange={handleDatesChange}
+      />
+    </div>
+  );
+}
+
 function CommitGraph() {
   const { token } = theme.useToken();
-  const { commits, loading } = useAppStore();
+  const { branches, selectedCommit, setSelectedCommit } = useAppStore();
+  const { commits, loading, loadingMore, hasMore, logFilter, setLogFilter, loadMore } = useGitLog();
+  const { cherryPick } = useGitCherryPick();
+  const { getUndoableOperation, undoLastOperation } = useGitUndo();
   const containerRef = useRef(null);
-  const [selectedCommit, setSelectedCommit] = useState(null);
-
-  // Calculate branch positions and colors
-  const branchInfo = useMemo(() => {
-    if (!commits || commits.length === 0) return { branches: {}, positions: {} };
-
-    const branchMap = {};
-    const positions = {};
-    let colorIndex = 0;
-
-    // Simple branch detection based on commit patterns
-    commits.forEach((commit, index) => {
-      const refs = parseRefs(commit.refs);
-      // Extract branch info from refs if available
-      const branchName = refs.find(r => r.startsWith('HEAD') || !r.includes('/')) || 'main';
-
-      if (!branchMap[branchName]) {
-        branchMap[branchName] = {
-          name: branchName,
-          color: BRANCH_COLORS[colorIndex % BRANCH_COLORS.length],
-          commits: []
-        };
-        colorIndex++;
-      }
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const [checkedHashes, setCheckedHashes] = useState([]);
+  const [cherryPickTargets, setCherryPickTargets] = useState(null);
+  const [cherryPickOptions, setCherryPickOptions] = useState({ recordOrigin: false, noCommit: false });
+  const [cherryPicking, setCherryPicking] = useState(false);
+  const [resetTarget, setResetTarget] = useState(null);
+  const [lastOperation, setLastOperation] = useState(null);
+
+  // Number of lanes needed to draw every row
+  const graphWidth = useMemo(() => {
+    if (!commits || commits.length === 0) return 1;
+    return commits.reduce((max, commit) => {
+      const graph = commit.graph;
+      if (!graph) return max;
+      const lanes = [graph.column, ...graph.incoming, ...graph.outgoing, ...graph.passing];
+      return Math.max(max, ...lanes.map(lane => lane + 1));
+    }, 1);
+  }, [commits]);
 
-      branchMap[branchName].commits.push(index);
-      positions[commit.hash] = Object.keys(branchMap).indexOf(branchName);
+  // Track the viewport so only visible rows are rendered
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const measure = () => setViewport({
+      scrollTop: container.scrollTop,
+      height: container.clientHeight
     });
+    measure();
 
-    return { branches: branchMap, positions };
-  }, [commits]);
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [loading]);
 
-  if (loading?.commits) {
-    return (
-      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
-        <Spin size="large" />
-      </div>
-    );
-  }
+  // Back to the top whenever the history query changes
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = 0;
+    }
+    setCheckedHashes([]);
+  }, [logFilter]);
 
-  if (!commits || commits.length === 0) {
-    return (
-      <Empty
-        description="No commits found"
-        style={{ marginTop: 48 }}
-      />
-    );
-  }
+  // Fill the viewport when the first page is shorter than the screen
+  useEffect(() => {
+    if (hasMore && commits.length * ROW_HEIGHT < viewport.height) {
+      loadMore();
+    }
+  }, [commits.length, hasMore, viewport.height, loadMore]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, clientHeight } = e.currentTarget;
+    setViewport({ scrollTop, height: clientHeight });
+
+    const lastVisibleRow = Math.ceil((scrollTop + clientHeight) / ROW_HEIGHT);
+    if (hasMore && lastVisibleRow >= commits.length - LOAD_MORE_THRESHOLD) {
+      loadMore();
+    }
+  };
+
+  // Ctrl/Cmd-click adds commits to a multi-selection, a plain click opens one
+  const handleRowClick = (e, commit) => {
+    if (e.ctrlKey || e.metaKey) {
+      setCheckedHashes(checkedHashes.includes(commit.hash)
+        ? checkedHashes.filter(hash => hash !== commit.hash)
+        : [...checkedHashes, commit.hash]);
+      return;
+    }
+    setCheckedHashes([]);
+    setSelectedCommit(commit);
+  };
+
+  // The multi-selection when the row belongs to it, otherwise the row alone;
+  // oldest first, the order commits are applied in
+  const getTargets = (commit) => {
+    if (!checkedHashes.includes(commit.hash)) return [commit];
+    return commits.filter(c => checkedHashes.includes(c.hash)).reverse();
+  };
+
+  const getContextMenu = (commit) => {
+    const targets = getTargets(commit);
+    const items = [
+      {
+        key: 'cherry-pick',
+        icon: <CopyOutlined />,
+        label: targets.length > 1
+          ? `Cherry-pick ${targets.length} commits onto ${branches?.current || 'HEAD'}`
+          : `Cherry-pick onto ${branches?.current || 'HEAD'}`
+      }
+    ];
+
+    if (targets.length === 1) {
+      items.push({
+        key: 'reset',
+        icon: <RollbackOutlined />,
+        label: `Reset ${branches?.current || 'HEAD'} to here`
+      });
+    }
+    if (lastOperation && !lastOperation.blocked) {
+      items.push({ type: 'divider' }, {
+        key: 'undo',
+        icon: <UndoOutlined />,
+        label: `Undo ${lastOperation.description}`
+      });
+    }
+
+    return {
+      items,
+      onClick: ({ key, domEvent }) => {
+        domEvent.stopPropagation();
+        if (key === 'cherry-pick') setCherryPickTargets(targets);
+        if (key === 'reset') setResetTarget(commit);
+        if (key === 'undo') undoLastOperation().catch(() => {});
+      }
+    };
+  };
+
+  // The undo entry depends on whether the last operation can still be undone
+  const handleContextMenuOpen = async (open) => {
+    if (open) setLastOperation(await getUndoableOperation());
+  };
 
-  const formatDate = (dateStr) => {
+  const handleCherryPick = async () => {
+    setCherryPicking(true);
     try {
-      const date = new Date(dateStr);
-      const now = new Date();
-      const diff = now - date;
-      const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-
-      if (days === 0) return 'Today';
-      if (days === 1) return 'Yesterday';
-      if (days < 7) return `${days} days ago`;
-      return date.toLocaleDateString();
-    } catch {
-      return dateStr;
+      await cherryPick(cherryPickTargets.map(c => c.hash), cherryPickOptions);
+      setCherryPickTargets(null);
+      setCheckedHashes([]);
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setCherryPicking(false);
     }
   };
 
-  return (
-    <div ref={containerRef} style={{ height: '100%', overflow: 'auto' }}>
-      <List
-        dataSource={commits}
-        renderItem={(commit, index) => {
-          const branchPosition = branchInfo.positions[commit.hash] || 0;
-          const branchColor = BRANCH_COLORS[branchPosition % BRANCH_COLORS.length];
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+          <Spin size="large" />
+        </div>
+      );
+    }
+
+    if (!commits || commits.length === 0) {
+      return (
+        <Empty
+          description="No commits found"
+          style={{ marginTop: 48 }}
+        />
+      );
+    }
+
+    const firstRow = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const lastRow = Math.min(
+      commits.length,
+      Math.ceil((viewport.scrollTop + viewport.height) / ROW_HEIGHT) + OVERSCAN
+    );
+    const visibleCommits = commits.slice(firstRow, lastRow);
+
+    return (
+      <>
+        <div style={{ height: firstRow * ROW_HEIGHT }} />
+        {visibleCommits.map(commit => {
           const refs = parseRefs(commit.refs);
+          const isSelected = selectedCommit?.hash === commit.hash || checkedHashes.includes(commit.hash);
+          const rowBackground = isSelected ? token.colorPrimaryBg : token.colorBgLayout;
 
           return (
-            <List.Item
+            <Dropdown
               key={commit.hash}
-              style={{
-                padding: '8px 16px',
-                cursor: 'pointer',
-                background: selectedCommit?.hash === commit.hash ? token.colorPrimaryBg : 'transparent',
-                borderRadius: 4
-              }}
-              onClick={() => setSelectedCommit(commit)}
+              menu={getContextMenu(commit)}
+              trigger={['contextMenu']}
+              onOpenChange={handleContextMenuOpen}
             >
-              <Card
-                size="small"
-                style={{ width: '100%', border: 'none', boxShadow: 'none' }}
-                bodyStyle={{ padding: 0 }}
+              <div
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 12,
+                  height: ROW_HEIGHT,
+                  padding: '0 16px',
+                  cursor: 'pointer',
+                  background: isSelected ? token.colorPrimaryBg : 'transparent'
+                }}
+                onClick={e => handleRowClick(e, commit)}
               >
-                <div style={{ display: 'flex', alignItems: 'flex-start', gap: 12 }}>
-                  {/* Branch line indicator */}
-                  <div style={{
-                    width: 4,
-                    height: '100%',
-                    minHeight: 40,
-                    background: branchColor,
-                    borderRadius: 2
-                  }} />
-
-                  <div style={{ flex: 1 }}>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4 }}>
-                      <Tooltip title={commit.hash}>
-                        <Tag color="blue" style={{ fontFamily: 'monospace', margin: 0 }}>
-                          {commit.shortHash || (commit.hash && commit.hash.substring(0, 7))}
-                        </Tag>
-                      </Tooltip>
-
-                      {refs.length > 0 && refs.map((ref, i) => (
-                        <Tag
-                          key={i}
-                          color={ref.includes('HEAD') ? 'green' : 'blue'}
-                          icon={ref.includes('tag') ? <TagOutlined /> : <BranchesOutlined />}
-                          style={{ margin: 0 }}
-                        >
-                          {ref.replace('tag: ', '').replace('HEAD -> ', '')}
-                        </Tag>
-                      ))}
-                    </div>
-
-                    <Text strong style={{ display: 'block', marginBottom: 4 }}>
+                <GraphRow commit={commit} width={graphWidth} background={rowBackground} />
+
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4, overflow: 'hidden' }}>
+                    <Tooltip title={commit.hash}>
+                      <Tag color="blue" style={{ fontFamily: 'monospace', margin: 0 }}>
+                        {commit.shortHash || (commit.hash && commit.hash.substring(0, 7))}
+                      </Tag>
+                    </Tooltip>
+
+                    {refs.length > 0 && refs.map((ref, i) => (
+                      <Tag
+                        key={i}
+                        color={ref.includes('HEAD') ? 'green' : 'blue'}
+                        icon={ref.includes('tag') ? <TagOutlined /> : <BranchesOutlined />}
+                        style={{ margin: 0 }}
+                      >
+                        {ref.replace('tag: ', '').replace('HEAD -> ', '')}
+                      </Tag>
+                    ))}
+
+                    <Text strong ellipsis style={{ flex: 1 }}>
                       {commit.message}
                     </Text>
+                  </div>
 
-                    <div style={{ display: 'flex', gap: 16, color: token.colorTextTertiary, fontSize: 12 }}>
-                      <span>
-                        <UserOutlined style={{ marginRight: 4 }} />
-                        {commit.author}
-                      </span>
-                      <span>
-                        <ClockCircleOutlined style={{ marginRight: 4 }} />
-                        {formatDate(commit.date)}
-                      </span>
-                    </div>
+                  <div style={{ display: 'flex', gap: 16, color: token.colorTextTertiary, fontSize: 12 }}>
+                    <span>
+                      <UserOutlined style={{ marginRight: 4 }} />
+                      {commit.author}
+                    </span>
+                    <span>
+                      <ClockCircleOutlined style={{ marginRight: 4 }} />
+                      {formatDate(commit.date)}
+                    </span>
                   </div>
                 </div>
-              </Card>
-            </List.Item>
+              </div>
+            </Dropdown>
           );
-        }}
-      />
+        })}
+        <div style={{ height: (commits.length - lastRow) * ROW_HEIGHT }} />
+
+        <div style={{ textAlign: 'center', padding: 12, color: token.colorTextTertiary, fontSize: 12 }}>
+          {loadingMore ? <Spin size="small" /> : !hasMore && `${commits.length} commits`}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <LogFilterBar filter={logFilter} onChange={setLogFilter} branches={branches} />
+      <div
+        ref={containerRef}
+        style={{ flex: 1, overflow: 'auto' }}
+        onScroll={handleScroll}
+      >
+        {renderBody()}
+      </div>
+
+      <Modal
+        title={`Cherry-pick onto ${branches?.current || 'HEAD'}`}
+        open={!!cherryPickTargets}
+        onOk={handleCherryPick}
+        onCancel={() => setCherryPickTargets(null)}
+        okText="Cherry-pick"
+        confirmLoading={cherryPicking}
+      >
+        <div style={{ maxHeight: 240, overflow: 'auto', marginBottom: 12 }}>
+          {(cherryPickTargets || []).map(commit => (
+            <div key={commit.hash} style={{ display: 'flex', gap: 8, padding: '2px 0' }}>
+              <Tag color="blue" style={{ fontFamily: 'monospace', margin: 0 }}>{commit.shortHash}</Tag>
+              <Text ellipsis style={{ flex: 1 }}>{commit.message}</Text>
+            </div>
+          ))}
+        </div>
+        <div>
+          <Checkbox
+            checked={cherryPickOptions.recordOrigin}
+            onChange={e => setCherryPickOptions({ ...cherryPickOptions, recordOrigin: e.target.checked })}
+          >
+            Record origin in the message (-x)
+          </Checkbox>
+        </div>
+        <div>
+          <Checkbox
+            checked={cherryPickOptions.noCommit}
+            onChange={e => setCherryPickOptions({ ...cherryPickOptions, noCommit: e.target.checked })}
+          >
+            Apply changes without committing
+          </Checkbox>
+        </div>
+      </Modal>
+
+      <ResetModal commit={resetTarget} onClose={() => setResetTarget(null)} />
     </div>
   );
 }
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { Input, Button, Dropdown, Tooltip, theme } from 'antd';
+import { HistoryOutlined, FileTextOutlined, WarningOutlined } from '@ant-design/icons';
+import { useAppStore } from '../../store';
+import { useGitCommit } from '../../hooks';
+
+const { TextArea } = Input;
+
+// Summary lines should fit in 50 characters and never exceed 72; body lines wrap at 72
+const SUMMARY_SOFT_LIMIT = 50;
+const LINE_LIMIT = 72;
+
+// Delay before linting what is being typed
+const LINT_DELAY = 400;
+
+function splitMessage(message) {
+  const [summary, ...rest] = message.split('\n');
+  // The blank line between summary and body is implied
+  const body = rest[0] === '' ? rest.slice(1) : rest;
+  return { summary, body: body.join('\n') };
+}
+
+function joinMessage(summary, body) {
+  return body ? `${summary}\n\n${body}` : summary;
+}
+
+// Re-wrap body lines longer than the limit at word boundaries, leaving
+// indented lines (code, lists continued by hand) alone
+function wrapBody(body) {
+  return body.split('\n').flatMap(line => {
+    if (line.length <= LINE_LIMIT || /^\s/.test(line)) return [line];
+
+    const lines = [];
+    let current = '';
+    for (const word of line.split(' ')) {
+      if (current && current.length + word.length + 1 > LINE_LIMIT) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    lines.push(current);
+    return lines;
+  }).join('\n');
+}
+
+/**
+ * Commit message input split into a summary line and a body, with the 50/72
+ * rule, the repository's commit template, recently used messages and the
+ * Conventional Commits check when it is enabled in the settings
+ */
+function CommitMessageEditor({ value, onChange }) {
+  const { token } = theme.useToken();
+  const { currentRepo } = useAppStore();
+  const { getCommitMessageInfo, lintCommitMessage } = useGitCommit();
+  const [template, setTemplate] = useState(null);
+  const [recent, setRecent] = useState([]);
+  const [lint, setLint] = useState(null);
+
+  const { summary, body } = splitMessage(value);
+  const longLines = body.split('\n').filter(line => line.length > LINE_LIMIT).length;
+
+  // Start from the template when switching to a repository with nothing typed yet
+  useEffect(() => {
+    const loadInfo = async () => {
+      const info = await getCommitMessageInfo();
+      setTemplate(info.template);
+      setRecent(info.recent);
+      if (info.template && !value) onChange(info.template);
+    };
+
+    loadInfo();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentRepo?.id, getCommitMessageInfo]);
+
+  useEffect(() => {
+    if (!value.trim()) {
+      setLint(null);
+      return;
+    }
+    const timer = setTimeout(async () => setLint(await lintCommitMessage(value)), LINT_DELAY);
+    return () => clearTimeout(timer);
+  }, [value, lintCommitMessage]);
+
+  const handleRecentOpen = async (open) => {
+    if (open) setRecent((await getCommitMessageInfo()).recent);
+  };
+
+  const summaryColor = summary.length > LINE_LIMIT
+    ? token.colorError
+    : summary.length > SUMMARY_SOFT_LIMIT ? token.colorWarning : token.colorTextTertiary;
+
+  return (
+    <div style={{ flex: 1, display: 'flex', flexDirection: 'column', marginBottom: 12, minHeight: 0 }}>
+      <Input
+        placeholder="Summary"
+        value={summary}
+        onChange={e => onChange(joinMessage(e.target.value, body))}
+        suffix={
+          <Tooltip title={`Keep the summary within ${SUMMARY_SOFT_LIMIT} characters, ${LINE_LIMIT} at most`}>
+            <span style={{ fontSize: 12, color: summaryColor }}>{summary.length}/{SUMMARY_SOFT_LIMIT}</span>
+          </Tooltip>
+        }
+        style={{ marginBottom: 8 }}
+      />
+      <TextArea
+        placeholder={`Description (wrapped at ${LINE_LIMIT} characters)`}
+        value={body}
+        onChange={e => onChange(joinMessage(summary, e.target.value))}
+        style={{ flex: 1, minHeight: 80, fontFamily: 'monospace', fontSize: 12 }}
+      />
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 4, marginTop: 4, fontSize: 12 }}>
+        {longLines > 0 && (
+          <span style={{ color: token.colorWarning }}>
+            {longLines} line{longLines !== 1 ? 's' : ''} over {LINE_LIMIT}
+            <Button
+              size="small"
+              type="link"
+              onClick={() => onChange(joinMessage(summary, wrapBody(body)))}
+            >
+              Wrap
+            </Button>
+          </span>
+        )}
+        <span style={{ flex: 1 }} />
+        {template && (
+          <Tooltip title="Replace the message with the commit template">
+            <Button size="small" type="text" icon={<FileTextOutlined />} onClick={() => onChange(template)} />
+          </Tooltip>
+        )}
+        <Dropdown
+          trigger={['click']}
+          onOpenChange={handleRecentOpen}
+          disabled={recent.length === 0}
+          menu={{
+            items: recent.map((message, index) => ({
+              key: String(index),
+              label: (
+                <span style={{ display: 'inline-block', maxWidth: 360, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                  {message.split('\n')[0]}
+                </span>
+              )
+            })),
+            onClick: ({ key }) => onChange(recent[Number(key)])
+          }}
+        >
+          <Tooltip title="Recent messages">
+            <Button size="small" type="text" icon={<HistoryOutlined />} />
+          </Tooltip>
+        </Dropdown>
+      </div>
+
+      {lint?.enabled && lint.problems.length > 0 && (
+        <div style={{
+          marginTop: 4,
+          padding: '4px 8px',
+          fontSize: 12,
+          borderRadius: 4,
+          color: lint.mode === 'block' ? token.colorError : token.colorWarningText,
+          background: lint.mode === 'block' ? token.colorErrorBg : token.colorWarningBg
+        }}>
+          {lint.problems.map(problem => (
+            <div key={problem.rule}>
+              <WarningOutlined style={{ marginRight: 4 }} />
+              {problem.message}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CommitMessageEditor;
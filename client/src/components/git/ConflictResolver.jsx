@@ -0,0 +1,348 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Button, Tag, Empty, Spin, Space, Input, theme } from 'antd';
+import {
+  CheckOutlined,
+  DeleteOutlined,
+  EditOutlined,
+  FileOutlined,
+  LeftOutlined,
+  RightOutlined
+} from '@ant-design/icons';
+import { useGitConflicts, useConfirmAction } from '../../hooks';
+
+const { TextArea } = Input;
+
+const CONFLICT_TYPES = {
+  'both-modified': { color: 'red', label: 'Both modified' },
+  'both-added': { color: 'red', label: 'Both added' },
+  'deleted-by-us': { color: 'orange', label: 'Deleted by us' },
+  'deleted-by-them': { color: 'orange', label: 'Deleted by them' },
+  'added-by-us': { color: 'blue', label: 'Added by us' },
+  'added-by-them': { color: 'blue', label: 'Added by them' },
+  'both-deleted': { color: 'default', label: 'Both deleted' }
+};
+
+const MARKER_PATTERN = /^(<<<<<<<|=======|>>>>>>>)( |$)/m;
+
+// Rebuild the file from its segments, keeping the markers of unresolved blocks
+function composeResult(segments, resolutions) {
+  let conflictIndex = 0;
+
+  return segments.flatMap(segment => {
+    if (segment.type === 'common') return segment.lines;
+
+    const resolution = resolutions[conflictIndex++];
+    if (resolution !== undefined) {
+      return resolution === '' ? [] : resolution.split('\n');
+    }
+    return [
+      `<<<<<<< ${segment.oursLabel}`.trimEnd(),
+      ...segment.ours,
+      ...(segment.base ? ['|||||||', ...segment.base] : []),
+      '=======',
+      ...segment.theirs,
+      `>>>>>>> ${segment.theirsLabel}`.trimEnd()
+    ];
+  }).join('\n');
+}
+
+/**
+ * Walks through the conflicted files of a merge, rebase, cherry-pick,
+ * revert or stash pop and resolves them block by block
+ */
+function ConflictResolver({ visible, initialFile, onClose }) {
+  const { token } = theme.useToken();
+  const { getConflicts, getConflict, resolveConflict, takeConflictSide } = useGitConflicts();
+  const confirmAction = useConfirmAction();
+
+  const [conflicts, setConflicts] = useState([]);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [current, setCurrent] = useState(0);
+  const [resolutions, setResolutions] = useState({});
+  const [editedText, setEditedText] = useState(null);
+
+  const loadConflicts = useCallback(async (preferred) => {
+    const list = await getConflicts();
+    setConflicts(list);
+    setSelectedFile(list.find(c => c.path === preferred) ? preferred : list[0]?.path || null);
+  }, [getConflicts]);
+
+  useEffect(() => {
+    if (visible) loadConflicts(initialFile);
+  }, [visible, initialFile, loadConflicts]);
+
+  useEffect(() => {
+    const loadConflict = async () => {
+      setConflict(null);
+      setResolutions({});
+      setEditedText(null);
+      setCurrent(0);
+      if (!selectedFile) return;
+
+      setLoading(true);
+      setConflict(await getConflict(selectedFile));
+      setLoading(false);
+    };
+
+    if (visible) loadConflict();
+  }, [visible, selectedFile, getConflict]);
+
+  const blocks = conflict ? conflict.segments.filter(s => s.type === 'conflict') : [];
+  const block = blocks[current];
+  const resolvedCount = Object.keys(resolutions).length;
+  const oursLabel = blocks[0]?.oursLabel || 'Ours';
+  const theirsLabel = blocks[0]?.theirsLabel || 'Theirs';
+
+  const resolveBlock = (value) => {
+    setResolutions({ ...resolutions, [current]: value });
+  };
+
+  const pickSides = (...sides) => {
+    resolveBlock(sides.flatMap(side => block[side]).join('\n'));
+  };
+
+  const handleTakeSide = async (side) => {
+    setSaving(true);
+    try {
+      await takeConflictSide([selectedFile], side);
+      await loadConflicts();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkResolved = async () => {
+    const content = editedText ?? composeResult(conflict.segments, resolutions);
+
+    if (MARKER_PATTERN.test(content)) {
+      const confirmed = await confirmAction({
+        title: 'Conflict markers remain',
+        content: `${selectedFile} still contains conflict markers. Mark it as resolved anyway?`,
+        okText: 'Mark Resolved'
+      });
+      if (!confirmed) return;
+    }
+
+    setSaving(true);
+    try {
+      await resolveConflict(selectedFile, content);
+      await loadConflicts();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaving(true);
+    try {
+      await resolveConflict(selectedFile, null, true);
+      await loadConflicts();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderSide = (title, lines, background) => (
+    <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column' }}>
+      <div style={{ fontSize: 12, fontWeight: 500, marginBottom: 4 }}>{title}</div>
+      <pre style={{
+        flex: 1,
+        margin: 0,
+        padding: 8,
+        minHeight: 80,
+        maxHeight: 220,
+        overflow: 'auto',
+        fontSize: 12,
+        background,
+        border: `1px solid ${token.colorBorderSecondary}`,
+        borderRadius: 4
+      }}>
+        {lines.length > 0 ? lines.join('\n') : <span style={{ color: token.colorTextTertiary }}>(empty)</span>}
+      </pre>
+    </div>
+  );
+
+  const renderBlocks = () => (
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <Space>
+          <Button size="small" icon={<LeftOutlined />} disabled={current === 0} onClick={() => setCurrent(current - 1)} />
+          <span>Conflict {current + 1} of {blocks.length}</span>
+          <Button
+            size="small"
+            icon={<RightOutlined />}
+            disabled={current === blocks.length - 1}
+            onClick={() => setCurrent(current + 1)}
+          />
+          {resolutions[current] !== undefined && <Tag color="green">Resolved</Tag>}
+        </Space>
+        <span style={{ fontSize: 12, color: token.colorTextSecondary }}>
+          {resolvedCount} of {blocks.length} resolved
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+        {renderSide(`Ours (${oursLabel})`, block.ours, token.colorSuccessBg)}
+        {block.base && renderSide('Base', block.base, token.colorFillQuaternary)}
+        {renderSide(`Theirs (${theirsLabel})`, block.theirs, token.colorInfoBg)}
+      </div>
+
+      <Space wrap style={{ marginBottom: 8 }}>
+        <Button size="small" onClick={() => pickSides('ours')}>Use Ours</Button>
+        <Button size="small" onClick={() => pickSides('theirs')}>Use Theirs</Button>
+        <Button size="small" onClick={() => pickSides('ours', 'theirs')}>Ours then Theirs</Button>
+        <Button size="small" onClick={() => pickSides('theirs', 'ours')}>Theirs then Ours</Button>
+        {block.base && <Button size="small" onClick={() => pickSides('base')}>Use Base</Button>}
+      </Space>
+
+      <TextArea
+        placeholder="Pick a side above or type the resolved text for this block"
+        value={resolutions[current] ?? ''}
+        onChange={e => resolveBlock(e.target.value)}
+        autoSize={{ minRows: 4, maxRows: 12 }}
+        style={{ fontFamily: 'monospace', fontSize: 12 }}
+      />
+    </>
+  );
+
+  const renderConflict = () => {
+    if (loading || !conflict) {
+      return (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: 48 }}>
+          <Spin />
+        </div>
+      );
+    }
+
+    const deletedOnOneSide = conflict.type === 'deleted-by-us' || conflict.type === 'deleted-by-them';
+    const type = CONFLICT_TYPES[conflict.type] || { color: 'default', label: conflict.type };
+
+    return (
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+          <Space>
+            <span style={{ fontWeight: 500 }}>{conflict.path}</span>
+            <Tag color={type.color}>{type.label}</Tag>
+          </Space>
+          <Space>
+            <Button size="small" onClick={() => handleTakeSide('ours')} disabled={saving}>
+              Take Ours
+            </Button>
+            <Button size="small" onClick={() => handleTakeSide('theirs')} disabled={saving}>
+              Take Theirs
+            </Button>
+            {deletedOnOneSide && (
+              <Button size="small" danger icon={<DeleteOutlined />} onClick={handleDelete} disabled={saving}>
+                Delete File
+              </Button>
+            )}
+          </Space>
+        </div>
+
+        {conflict.binary ? (
+          <Empty description="Binary files can only be resolved by taking one side" />
+        ) : editedText !== null ? (
+          <TextArea
+            value={editedText}
+            onChange={e => setEditedText(e.target.value)}
+            autoSize={{ minRows: 16, maxRows: 28 }}
+            style={{ fontFamily: 'monospace', fontSize: 12 }}
+          />
+        ) : blocks.length > 0 ? (
+          renderBlocks()
+        ) : (
+          <Empty
+            description={deletedOnOneSide
+              ? 'The file was deleted on one side. Keep it by taking the other side, or delete it.'
+              : 'No conflict markers found. Edit the file or mark it as resolved.'}
+          />
+        )}
+
+        {!conflict.binary && conflict.working !== null && (
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+            {editedText === null ? (
+              <Button
+                icon={<EditOutlined />}
+                onClick={() => setEditedText(composeResult(conflict.segments, resolutions))}
+              >
+                Edit Result
+              </Button>
+            ) : (
+              <Button onClick={() => setEditedText(null)}>Back to Blocks</Button>
+            )}
+            <Button
+              type="primary"
+              icon={<CheckOutlined />}
+              onClick={handleMarkResolved}
+              loading={saving}
+              disabled={editedText === null && resolvedCount < blocks.length}
+            >
+              Mark Resolved
+            </Button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal
+      title="Resolve Conflicts"
+      open={visible}
+      onCancel={onClose}
+      footer={null}
+      width={1200}
+      destroyOnClose
+    >
+      {conflicts.length === 0 ? (
+        <Empty
+          description="All conflicts are resolved. Commit or continue the operation to finish."
+          style={{ margin: '48px 0' }}
+        />
+      ) : (
+        <div style={{ display: 'flex', gap: 16, minHeight: 400 }}>
+          <div style={{
+            width: 240,
+            flexShrink: 0,
+            borderRight: `1px solid ${token.colorBorderSecondary}`,
+            overflow: 'auto'
+          }}>
+            {conflicts.map(c => (
+              <div
+                key={c.path}
+                onClick={() => setSelectedFile(c.path)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 8,
+                  padding: '6px 8px',
+                  cursor: 'pointer',
+                  background: c.path === selectedFile ? token.colorPrimaryBg : 'transparent'
+                }}
+              >
+                <FileOutlined />
+                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {c.path}
+                </span>
+              </div>
+            ))}
+          </div>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            {renderConflict()}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+export default ConflictResolver;
@@ -1,18 +1,25 @@
 import React, { useEffect, useState } from 'react';
-import { Spin, Empty, Select, Switch, Space, Typography, theme } from 'antd';
+import { Spin, Empty, Select, Switch, Space, Segmented, Typography, theme } from 'antd';
 import ReactDiffViewer from 'react-diff-viewer-continued';
+import HunkSelector from './HunkSelector';
 import { useAppStore } from '../../store';
 import { useGitDiff } from '../../hooks';
 
 const { Title } = Typography;
 
-function DiffViewer({ file, cached = false }) {
+/**
+ * Side-by-side diff of one file. With `staging` set to "stage" or "unstage"
+ * it also offers a line selection mode for partial (un)staging.
+ */
+function DiffViewer({ file, oldFile, cached = false, untracked = false, commit1, commit2, staging, onChange }) {
   const { token } = theme.useToken();
   const { darkMode } = useAppStore();
   const { getDiff } = useGitDiff();
   const [diff, setDiff] = useState('');
   const [loading, setLoading] = useState(false);
   const [splitView, setSplitView] = useState(true);
+  const [selectMode, setSelectMode] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     const loadDiff = async () => {
@@ -20,10 +27,8 @@ function DiffViewer({ file, cached = false }) {
 
       setLoading(true);
       try {
-        const result = await getDiff({ file, cached });
-        if (result) {
-          setDiff(result);
-        }
+        const result = await getDiff({ file, oldFile, cached, untracked, commit1, commit2 });
+        setDiff(result || '');
       } catch (error) {
         console.error('Failed to load diff:', error);
       } finally {
@@ -32,7 +37,48 @@ function DiffViewer({ file, cached = false }) {
     };
 
     loadDiff();
-  }, [file, cached, getDiff]);
+  }, [file, oldFile, cached, untracked, commit1, commit2, getDiff, reloadKey]);
+
+  const modeSwitch = staging && (
+    <Segmented
+      size="small"
+      value={selectMode ? 'select' : 'diff'}
+      onChange={value => setSelectMode(value === 'select')}
+      options={[
+        { value: 'diff', label: 'Diff' },
+        { value: 'select', label: staging === 'stage' ? 'Stage Lines' : 'Unstage Lines' }
+      ]}
+    />
+  );
+
+  if (selectMode) {
+    return (
+      <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+        <div style={{
+          padding: '8px 16px',
+          borderBottom: `1px solid ${token.colorBorderSecondary}`,
+          background: token.colorBgContainer,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <Title level={5} style={{ margin: 0, color: token.colorText }}>{file}</Title>
+          {modeSwitch}
+        </div>
+        <div style={{ flex: 1, overflow: 'hidden', background: token.colorBgContainer }}>
+          <HunkSelector
+            file={file}
+            untracked={untracked}
+            mode={staging}
+            onApplied={() => {
+              setReloadKey(key => key + 1);
+              if (onChange) onChange();
+            }}
+          />
+        </div>
+      </div>
+    );
+  }
 
   if (loading) {
     return (
@@ -43,7 +89,12 @@ function DiffViewer({ file, cached = false }) {
   }
 
   if (!diff) {
-    return <Empty description="No diff available" />;
+    return (
+      <>
+        {modeSwitch && <div style={{ textAlign: 'right', padding: 8 }}>{modeSwitch}</div>}
+        <Empty description="No diff available" />
+      </>
+    );
   }
 
   // Parse git diff to extract old and new content
@@ -162,6 +213,7 @@ function DiffViewer({ file, cached = false }) {
       }}>
         <Title level={5} style={{ margin: 0, color: token.colorText }}>{file}</Title>
         <Space>
+          {modeSwitch}
           <span style={{ fontSize: 12, color: token.colorTextSecondary }}>Split View</span>
           <Switch
             checked={splitView}
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, List, Button, Tag, Empty, Spin, theme } from 'antd';
+import { FileOutlined, RollbackOutlined } from '@ant-design/icons';
+import { useGitStatus } from '../../hooks';
+
+const KIND_LABELS = {
+  file: { color: 'red', label: 'File discarded' },
+  lines: { color: 'orange', label: 'Lines discarded' },
+  overwritten: { color: 'blue', label: 'Overwritten by restore' }
+};
+
+/**
+ * Lists snapshots taken before discarding changes and restores them
+ */
+function DiscardedModal({ visible, onClose }) {
+  const { token } = theme.useToken();
+  const { getDiscarded, restoreDiscarded } = useGitStatus();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(null);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      setLoading(true);
+      setEntries(await getDiscarded());
+      setLoading(false);
+    };
+
+    if (visible) loadEntries();
+  }, [visible, getDiscarded]);
+
+  const handleRestore = async (entry) => {
+    setRestoring(entry.id);
+    try {
+      await restoreDiscarded(entry.id);
+      setEntries(await getDiscarded());
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <Modal
+      title="Discard History"
+      open={visible}
+      onCancel={onClose}
+      footer={null}
+      width={640}
+    >
+      <p style={{ color: token.colorTextSecondary, fontSize: 12, marginBottom: 12 }}>
+        File contents are saved before every discard. Restoring writes the saved
+        content back to the working tree; the current content is saved first.
+      </p>
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: 24 }}>
+          <Spin />
+        </div>
+      ) : entries.length === 0 ? (
+        <Empty description="Nothing has been discarded yet" />
+      ) : (
+        <List
+          dataSource={entries}
+          style={{ maxHeight: 400, overflow: 'auto' }}
+          renderItem={entry => {
+            const kind = KIND_LABELS[entry.kind] || { color: 'default', label: entry.kind };
+            return (
+              <List.Item
+                actions={[
+                  <Button
+                    key="restore"
+                    size="small"
+                    icon={<RollbackOutlined />}
+                    loading={restoring === entry.id}
+                    onClick={() => handleRestore(entry)}
+                  >
+                    Restore
+                  </Button>
+                ]}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, minWidth: 0 }}>
+                  <FileOutlined />
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {entry.path}
+                  </span>
+                  <Tag color={kind.color} style={{ margin: 0, fontSize: 11 }}>{kind.label}</Tag>
+                  <span style={{ color: token.colorTextTertiary, fontSize: 12, whiteSpace: 'nowrap' }}>
+                    {new Date(entry.discardedAt).toLocaleString()}
+                  </span>
+                </div>
+              </List.Item>
+            );
+          }}
+        />
+      )}
+    </Modal>
+  );
+}
+
+export default DiscardedModal;
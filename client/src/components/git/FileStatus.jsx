@@ -1,15 +1,22 @@
 import React, { useState } from 'react';
-import { List, Button, Input, Checkbox, Tag, Empty, Spin, Space, Modal, theme } from 'antd';
+import { List, Button, Input, Checkbox, Tag, Empty, Spin, Space, Modal, Alert, theme } from 'antd';
 import {
   PlusOutlined,
   MinusOutlined,
   CheckOutlined,
   FileOutlined,
-  DiffOutlined
+  DiffOutlined,
+  UndoOutlined,
+  HistoryOutlined,
+  BranchesOutlined,
+  SettingOutlined
 } from '@ant-design/icons';
-import { useGitStatus, useGitCommit } from '../../hooks';
-
-const { TextArea } = Input;
+import DiffViewer from './DiffViewer';
+import DiscardedModal from './DiscardedModal';
+import ConflictResolver from './ConflictResolver';
+import CommitMessageEditor from './CommitMessageEditor';
+import HookOutputModal from './HookOutputModal';
+import { useGitStatus, useGitCommit, useConfirmAction } from '../../hooks';
 
 // Get status icon/color based on file status
 function getStatusInfo(file) {
@@ -43,17 +50,34 @@ function getStatusInfo(file) {
   return { color: 'default', label: 'Unknown', staged: false };
 }
 
+const DEFAULT_COMMIT_OPTIONS = {
+  amend: false,
+  includeStaged: true,
+  author: '',
+  date: '',
+  noVerify: false,
+  signoff: false,
+  allowEmpty: false
+};
+
 function FileStatus() {
   const { token } = theme.useToken();
-  const { status, loading, stageFiles, unstageFiles, stageAll, unstageAll } = useGitStatus();
-  const { commit } = useGitCommit();
+  const { status, loading, stageFiles, unstageFiles, discardFiles, stageAll, unstageAll } = useGitStatus();
+  const { commit, getLastCommit, lintCommitMessage } = useGitCommit();
+  const confirmAction = useConfirmAction();
 
   const [commitMessage, setCommitMessage] = useState('');
+  const [commitOptions, setCommitOptions] = useState(DEFAULT_COMMIT_OPTIONS);
+  const [showCommitOptions, setShowCommitOptions] = useState(false);
+  const [amendTarget, setAmendTarget] = useState(null);
+  const [draftMessage, setDraftMessage] = useState('');
+  const [commitCount, setCommitCount] = useState(0);
+  const [hookFailure, setHookFailure] = useState(null);
   const [selectedUnstaged, setSelectedUnstaged] = useState([]);
   const [selectedStaged, setSelectedStaged] = useState([]);
-  const [diffModalVisible, setDiffModalVisible] = useState(false);
-  const [diffContent, setDiffContent] = useState('');
-  const [diffFile, setDiffFile] = useState('');
+  const [diffTarget, setDiffTarget] = useState(null);
+  const [discardedModalVisible, setDiscardedModalVisible] = useState(false);
+  const [conflictTarget, setConflictTarget] = useState(null);
 
   if (loading) {
     return (
@@ -76,17 +100,80 @@ function FileStatus() {
     (f.index === '?' || f.working_dir === '?')
   );
 
+  const updateCommitOptions = (changes) => setCommitOptions({ ...commitOptions, ...changes });
+
+  // Ticking Amend swaps the draft for the last commit's message; unticking brings the draft back
+  const handleAmendChange = async (amend) => {
+    updateCommitOptions({ amend });
+    if (amend) {
+      const last = await getLastCommit();
+      if (!last) {
+        updateCommitOptions({ amend: false });
+        return;
+      }
+      setAmendTarget(last);
+      setDraftMessage(commitMessage);
+      setCommitMessage(last.message);
+    } else {
+      setAmendTarget(null);
+      setCommitMessage(draftMessage);
+    }
+  };
+
   const handleCommit = async () => {
     if (!commitMessage.trim()) {
       Modal.error({ title: 'Error', content: 'Please enter a commit message' });
       return;
     }
-    if (stagedFiles.length === 0) {
+    if (stagedFiles.length === 0 && !commitOptions.amend && !commitOptions.allowEmpty) {
       Modal.error({ title: 'Error', content: 'No files staged for commit' });
       return;
     }
-    await commit(commitMessage);
+    const lint = await lintCommitMessage(commitMessage);
+    if (lint.problems.length > 0) {
+      if (lint.mode === 'block') {
+        Modal.error({
+          title: 'Commit message does not follow Conventional Commits',
+          content: lint.problems.map(problem => <div key={problem.rule}>{problem.message}</div>)
+        });
+        return;
+      }
+      const confirmed = await confirmAction({
+        title: 'Commit message does not follow Conventional Commits',
+        content: lint.problems.map(problem => <div key={problem.rule}>{problem.message}</div>),
+        okText: 'Commit Anyway'
+      });
+      if (!confirmed) return;
+    }
+    if (commitOptions.amend && amendTarget?.pushedTo.length > 0) {
+      const confirmed = await confirmAction({
+        title: 'Amend a pushed commit',
+        content: `${amendTarget.hash.substring(0, 7)} is already on ${amendTarget.pushedTo.join(', ')}. ` +
+          'Amending rewrites it, so pushing afterwards needs a force push.',
+        okText: 'Amend',
+        okButtonProps: { danger: true }
+      });
+      if (!confirmed) return;
+    }
+    await runCommit(commitOptions);
+  };
+
+  // Commit, keeping the output of a hook that refuses it for the hook output dialog
+  const runCommit = async (options) => {
+    try {
+      await commit(commitMessage, options);
+    } catch (error) {
+      // Error is already handled in the hook
+      setHookFailure(error.hookFailure ? { action: 'commit', ...error.hookFailure } : null);
+      return;
+    }
+    setHookFailure(null);
     setCommitMessage('');
+    setDraftMessage('');
+    setAmendTarget(null);
+    setCommitOptions(DEFAULT_COMMIT_OPTIONS);
+    // A fresh editor starts from the template again
+    setCommitCount(commitCount + 1);
   };
 
   const handleStageSelected = async () => {
@@ -99,11 +186,28 @@ function FileStatus() {
     setSelectedStaged([]);
   };
 
-  const viewDiff = async (file) => {
-    // In a real app, this would fetch the diff from the API
-    setDiffFile(file.path);
-    setDiffContent(`Diff for ${file.path}\n\n(This is a placeholder - actual diff would be shown here)`);
-    setDiffModalVisible(true);
+  const handleDiscard = async (paths) => {
+    const confirmed = await confirmAction({
+      title: 'Discard changes',
+      content: paths.length === 1
+        ? `Discard all changes to ${paths[0]}? Untracked files will be deleted.`
+        : `Discard all changes to ${paths.length} files? Untracked files will be deleted.`,
+      okText: 'Discard',
+      okButtonProps: { danger: true }
+    });
+    if (!confirmed) return;
+
+    await discardFiles(paths);
+    setSelectedUnstaged(selectedUnstaged.filter(p => !paths.includes(p)));
+  };
+
+  const viewDiff = (file, isStaged) => {
+    setDiffTarget({
+      file: file.path,
+      oldFile: file.from,
+      cached: isStaged,
+      untracked: !isStaged && (file.index === '?' || file.working_dir === '?')
+    });
   };
 
   const renderFileList = (files, isStaged, selected, setSelected) => (
@@ -138,9 +242,19 @@ function FileStatus() {
                 type="text"
                 size="small"
                 icon={<DiffOutlined />}
-                onClick={() => viewDiff(file)}
+                onClick={() => viewDiff(file, isStaged)}
                 title="View diff"
               />
+              {!isStaged && (
+                <Button
+                  type="text"
+                  size="small"
+                  danger
+                  icon={<UndoOutlined />}
+                  onClick={() => handleDiscard([file.path])}
+                  title="Discard changes"
+                />
+              )}
               <Button
                 type="text"
                 size="small"
@@ -171,6 +285,20 @@ function FileStatus() {
             Unstaged Files ({unstagedFiles.length})
           </span>
           <Space>
+            <Button
+              size="small"
+              icon={<HistoryOutlined />}
+              onClick={() => setDiscardedModalVisible(true)}
+              title="Discard history"
+            />
+            <Button
+              size="small"
+              danger
+              onClick={() => handleDiscard(selectedUnstaged)}
+              disabled={selectedUnstaged.length === 0}
+            >
+              Discard Selected
+            </Button>
             <Button
               size="small"
               onClick={handleStageSelected}
@@ -238,30 +366,114 @@ function FileStatus() {
           <span style={{ fontWeight: 500 }}>Commit</span>
         </div>
         <div style={{ flex: 1, padding: 12, display: 'flex', flexDirection: 'column' }}>
-          <TextArea
-            placeholder="Commit message"
+          <CommitMessageEditor
+            key={commitCount}
             value={commitMessage}
-            onChange={e => setCommitMessage(e.target.value)}
-            style={{ flex: 1, marginBottom: 12, minHeight: 80 }}
+            onChange={setCommitMessage}
           />
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+            <Checkbox checked={commitOptions.amend} onChange={e => handleAmendChange(e.target.checked)}>
+              Amend last commit
+            </Checkbox>
+            <Button
+              size="small"
+              type={showCommitOptions ? 'link' : 'text'}
+              icon={<SettingOutlined />}
+              onClick={() => setShowCommitOptions(!showCommitOptions)}
+              title="Commit options"
+            />
+          </div>
+
+          {commitOptions.amend && amendTarget?.pushedTo.length > 0 && (
+            <Alert
+              type="warning"
+              showIcon
+              message={`Already pushed to ${amendTarget.pushedTo.join(', ')}`}
+              description="Amending rewrites a published commit; pushing it needs a force push."
+              style={{ marginBottom: 8, fontSize: 12 }}
+            />
+          )}
+
+          {showCommitOptions && (
+            <div style={{ marginBottom: 8, display: 'flex', flexDirection: 'column', gap: 6 }}>
+              {commitOptions.amend && (
+                <Checkbox
+                  checked={!commitOptions.includeStaged}
+                  onChange={e => updateCommitOptions({ includeStaged: !e.target.checked })}
+                >
+                  Change message only
+                </Checkbox>
+              )}
+              <Input
+                size="small"
+                placeholder="Author (Name <email>)"
+                value={commitOptions.author}
+                onChange={e => updateCommitOptions({ author: e.target.value })}
+              />
+              <Input
+                size="small"
+                placeholder="Date (e.g. 2024-01-31 12:00)"
+                value={commitOptions.date}
+                onChange={e => updateCommitOptions({ date: e.target.value })}
+              />
+              <Checkbox checked={commitOptions.signoff} onChange={e => updateCommitOptions({ signoff: e.target.checked })}>
+                Add Signed-off-by
+              </Checkbox>
+              <Checkbox checked={commitOptions.noVerify} onChange={e => updateCommitOptions({ noVerify: e.target.checked })}>
+                Skip hooks (--no-verify)
+              </Checkbox>
+              <Checkbox
+                checked={commitOptions.allowEmpty}
+                onChange={e => updateCommitOptions({ allowEmpty: e.target.checked })}
+              >
+                Allow empty commit
+              </Checkbox>
+            </div>
+          )}
+
           <Button
             type="primary"
             block
             icon={<CheckOutlined />}
             onClick={handleCommit}
-            disabled={stagedFiles.length === 0}
+            disabled={stagedFiles.length === 0 && !commitOptions.amend && !commitOptions.allowEmpty}
           >
-            Commit ({stagedFiles.length} file{stagedFiles.length !== 1 ? 's' : ''})
+            {commitOptions.amend
+              ? (commitOptions.includeStaged && stagedFiles.length > 0
+                ? `Amend (+${stagedFiles.length} file${stagedFiles.length !== 1 ? 's' : ''})`
+                : 'Amend')
+              : `Commit (${stagedFiles.length} file${stagedFiles.length !== 1 ? 's' : ''})`}
           </Button>
 
           {status.conflicted && status.conflicted.length > 0 && (
             <div style={{ marginTop: 12, padding: 8, background: token.colorErrorBg, borderRadius: 4 }}>
-              <div style={{ color: token.colorError, fontWeight: 500, marginBottom: 4 }}>
-                Conflicts Detected!
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: 4
+              }}>
+                <span style={{ color: token.colorError, fontWeight: 500 }}>Conflicts Detected!</span>
+                <Button
+                  size="small"
+                  danger
+                  icon={<BranchesOutlined />}
+                  onClick={() => setConflictTarget({ file: null })}
+                >
+                  Resolve
+                </Button>
               </div>
               <div style={{ fontSize: 12 }}>
                 {status.conflicted.map(f => (
-                  <Tag key={f} color="red">{f}</Tag>
+                  <Tag
+                    key={f}
+                    color="red"
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => setConflictTarget({ file: f })}
+                  >
+                    {f}
+                  </Tag>
                 ))}
               </div>
             </div>
@@ -270,7 +482,7 @@ function FileStatus() {
           {status.ahead > 0 && (
             <div style={{ marginTop: 12, padding: 8, background: token.colorPrimaryBg, borderRadius: 4 }}>
               <div style={{ color: token.colorPrimary, fontSize: 12 }}>
-                {status.ahead} commit{status.ahead > 1 ? 's' : ''} ahead of origin
+                {status.ahead} commit{status.ahead > 1 ? 's' : ''} ahead of {status.tracking || 'upstream'}
               </div>
             </div>
           )}
@@ -278,7 +490,7 @@ function FileStatus() {
           {status.behind > 0 && (
             <div style={{ marginTop: 12, padding: 8, background: token.colorWarningBg, borderRadius: 4 }}>
               <div style={{ color: token.colorWarning, fontSize: 12 }}>
-                {status.behind} commit{status.behind > 1 ? 's' : ''} behind origin
+                {status.behind} commit{status.behind > 1 ? 's' : ''} behind {status.tracking || 'upstream'}
               </div>
             </div>
           )}
@@ -287,25 +499,40 @@ function FileStatus() {
 
       {/* Diff Modal */}
       <Modal
-        title={`Diff: ${diffFile}`}
-        open={diffModalVisible}
-        onCancel={() => setDiffModalVisible(false)}
+        title={diffTarget ? `${diffTarget.cached ? 'Staged' : 'Unstaged'} changes: ${diffTarget.file}` : 'Diff'}
+        open={!!diffTarget}
+        onCancel={() => setDiffTarget(null)}
         footer={null}
-        width={800}
+        width={1000}
+        destroyOnClose
       >
-        <pre style={{
-          background: token.colorBgContainer,
-          padding: 12,
-          borderRadius: 4,
-          maxHeight: 400,
-          overflow: 'auto',
-          fontFamily: 'monospace',
-          fontSize: 12,
-          border: `1px solid ${token.colorBorderSecondary}`
-        }}>
-          {diffContent}
-        </pre>
+        {diffTarget && (
+          <div style={{ height: '70vh' }}>
+            <DiffViewer
+              {...diffTarget}
+              staging={diffTarget.cached ? 'unstage' : 'stage'}
+            />
+          </div>
+        )}
       </Modal>
+
+      <DiscardedModal
+        visible={discardedModalVisible}
+        onClose={() => setDiscardedModalVisible(false)}
+      />
+
+      <ConflictResolver
+        visible={!!conflictTarget}
+        initialFile={conflictTarget?.file}
+        onClose={() => setConflictTarget(null)}
+      />
+
+      <HookOutputModal
+        failure={hookFailure}
+        onRetry={() => runCommit(commitOptions)}
+        onBypass={() => runCommit({ ...commitOptions, noVerify: true })}
+        onClose={() => setHookFailure(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Button, Alert, theme } from 'antd';
+import { ReloadOutlined, StopOutlined } from '@ant-design/icons';
+
+// Lines shown before the output has to be expanded
+const COLLAPSED_LINES = 12;
+
+/**
+ * Shows the full output of a git hook that refused a commit or push, with
+ * the choice to fix the problem and retry or to run again without hooks
+ */
+function HookOutputModal({ failure, onRetry, onBypass, onClose }) {
+  const { token } = theme.useToken();
+  const [expanded, setExpanded] = useState(false);
+  const [running, setRunning] = useState(null);
+
+  useEffect(() => {
+    setExpanded(false);
+  }, [failure]);
+
+  if (!failure) return null;
+
+  // Linters often colour their output; the escape codes would only be noise here
+  const lines = failure.output.replace(/\x1b\[[0-9;]*m/g, '').replace(/\n+$/, '').split('\n');
+  // The end of the output is where hooks usually sum up what failed
+  const visible = expanded ? lines : lines.slice(-COLLAPSED_LINES);
+
+  const run = async (key, action) => {
+    setRunning(key);
+    try {
+      await action();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  return (
+    <Modal
+      title={`${failure.hook} hook failed`}
+      open
+      onCancel={onClose}
+      width={760}
+      footer={[
+        <Button key="close" onClick={onClose}>Close</Button>,
+        <Button
+          key="bypass"
+          danger
+          icon={<StopOutlined />}
+          loading={running === 'bypass'}
+          disabled={running === 'retry'}
+          onClick={() => run('bypass', onBypass)}
+        >
+          {failure.action === 'push' ? 'Push' : 'Commit'} Without Hooks
+        </Button>,
+        <Button
+          key="retry"
+          type="primary"
+          icon={<ReloadOutlined />}
+          loading={running === 'retry'}
+          disabled={running === 'bypass'}
+          onClick={() => run('retry', onRetry)}
+        >
+          Retry
+        </Button>
+      ]}
+    >
+      <Alert
+        type="error"
+        showIcon
+        message={`The ${failure.hook} hook stopped the ${failure.action}`}
+        description="Fix what it reports and retry. Skipping hooks (--no-verify) bypasses these checks entirely."
+        style={{ marginBottom: 12 }}
+      />
+
+      {lines.length > COLLAPSED_LINES && (
+        <Button size="small" type="link" style={{ padding: 0, marginBottom: 4 }} onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show last lines only' : `Show all ${lines.length} lines`}
+        </Button>
+      )}
+      <pre style={{
+        margin: 0,
+        padding: 12,
+        maxHeight: 420,
+        overflow: 'auto',
+        fontSize: 12,
+        lineHeight: 1.5,
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-all',
+        background: token.colorFillQuaternary,
+        border: `1px solid ${token.colorBorderSecondary}`,
+        borderRadius: 4
+      }}>
+        {visible.join('\n') || '(the hook printed nothing)'}
+      </pre>
+    </Modal>
+  );
+}
+
+export default HookOutputModal;
@@ -0,0 +1,206 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Button, Checkbox, Empty, Space, Spin, theme } from 'antd';
+import { MinusOutlined, PlusOutlined, UndoOutlined } from '@ant-design/icons';
+import { useGitDiff, useGitStatus, useConfirmAction } from '../../hooks';
+
+const lineKey = (hunk, line) => `${hunk}:${line}`;
+
+// Indices of the added/removed lines of a hunk
+const changedLines = (hunk) => hunk.lines
+  .map((line, index) => (line.type === ' ' ? -1 : index))
+  .filter(index => index !== -1);
+
+/**
+ * Lets the user pick hunks or single lines of a file diff and stage them
+ * (mode "stage", on the unstaged diff) or unstage them (mode "unstage",
+ * on the staged diff). Unstaged lines can also be discarded.
+ */
+function HunkSelector({ file, untracked = false, mode = 'stage', onApplied }) {
+  const { token } = theme.useToken();
+  const { getDiffHunks } = useGitDiff();
+  const { stageLines, unstageLines, discardLines } = useGitStatus();
+  const confirmAction = useConfirmAction();
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [selected, setSelected] = useState(new Set());
+
+  const isStaging = mode === 'stage';
+
+  const loadHunks = useCallback(async () => {
+    if (!file) return;
+
+    setLoading(true);
+    const result = await getDiffHunks(file, { cached: !isStaging, untracked });
+    setDiff(result);
+    setSelected(new Set());
+    setLoading(false);
+  }, [file, isStaging, untracked, getDiffHunks]);
+
+  useEffect(() => {
+    loadHunks();
+  }, [loadHunks]);
+
+  const toggleLines = (keys, checked) => {
+    const next = new Set(selected);
+    keys.forEach(key => (checked ? next.add(key) : next.delete(key)));
+    setSelected(next);
+  };
+
+  const handleApply = async (action) => {
+    const lines = [...selected].map(key => {
+      const [hunk, line] = key.split(':').map(Number);
+      return { hunk, line };
+    });
+
+    if (action === 'discard') {
+      const confirmed = await confirmAction({
+        title: 'Discard selected lines',
+        content: `Discard ${lines.length} selected line${lines.length !== 1 ? 's' : ''} from ${file}?`,
+        okText: 'Discard',
+        okButtonProps: { danger: true }
+      });
+      if (!confirmed) return;
+    }
+
+    const apply = {
+      stage: stageLines,
+      unstage: unstageLines,
+      discard: discardLines
+    }[action];
+
+    setApplying(true);
+    try {
+      await apply(file, { lines, diffId: diff.id });
+      if (onApplied) onApplied();
+      await loadHunks();
+    } catch (error) {
+      // Error is already handled in the hook; reload in case the file changed
+      await loadHunks();
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (loading && !diff) {
+    return (
+      <div style={{ display: 'flex', justifyContent: 'center', padding: 48 }}>
+        <Spin />
+      </div>
+    );
+  }
+
+  if (!diff || diff.hunks.length === 0) {
+    return <Empty description="No changes to select" style={{ marginTop: 48 }} />;
+  }
+
+  if (diff.binary) {
+    return <Empty description="Binary files can only be staged as a whole" style={{ marginTop: 48 }} />;
+  }
+
+  const lineColors = {
+    '+': token.colorSuccessBg,
+    '-': token.colorErrorBg,
+    ' ': 'transparent'
+  };
+
+  return (
+    <div style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <div style={{
+        padding: '8px 16px',
+        borderBottom: `1px solid ${token.colorBorderSecondary}`,
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        <span style={{ fontSize: 12, color: token.colorTextSecondary }}>
+          {selected.size} line{selected.size !== 1 ? 's' : ''} selected
+        </span>
+        <Space>
+          <Button size="small" onClick={() => setSelected(new Set())} disabled={selected.size === 0}>
+            Clear
+          </Button>
+          {isStaging && (
+            <Button
+              size="small"
+              danger
+              icon={<UndoOutlined />}
+              onClick={() => handleApply('discard')}
+              disabled={applying || selected.size === 0}
+            >
+              Discard Selected
+            </Button>
+          )}
+          <Button
+            size="small"
+            type="primary"
+            icon={isStaging ? <PlusOutlined /> : <MinusOutlined />}
+            onClick={() => handleApply(mode)}
+            loading={applying}
+            disabled={selected.size === 0}
+          >
+            {isStaging ? 'Stage Selected' : 'Unstage Selected'}
+          </Button>
+        </Space>
+      </div>
+
+      <div style={{ flex: 1, overflow: 'auto', fontFamily: 'monospace', fontSize: 12 }}>
+        {diff.hunks.map((hunk, hunkIndex) => {
+          const keys = changedLines(hunk).map(line => lineKey(hunkIndex, line));
+          const selectedCount = keys.filter(key => selected.has(key)).length;
+
+          return (
+            <div key={hunkIndex} style={{ borderBottom: `1px solid ${token.colorBorderSecondary}` }}>
+              <div style={{
+                padding: '4px 8px',
+                background: token.colorPrimaryBg,
+                color: token.colorTextSecondary,
+                display: 'flex',
+                gap: 8
+              }}>
+                <Checkbox
+                  checked={keys.length > 0 && selectedCount === keys.length}
+                  indeterminate={selectedCount > 0 && selectedCount < keys.length}
+                  onChange={e => toggleLines(keys, e.target.checked)}
+                />
+                <span>{hunk.header}</span>
+              </div>
+
+              {hunk.lines.map((line, lineIndex) => {
+                const key = lineKey(hunkIndex, lineIndex);
+                const selectable = line.type !== ' ';
+
+                return (
+                  <div
+                    key={lineIndex}
+                    style={{
+                      display: 'flex',
+                      gap: 8,
+                      padding: '0 8px',
+                      background: lineColors[line.type],
+                      cursor: selectable ? 'pointer' : 'default'
+                    }}
+                    onClick={() => selectable && toggleLines([key], !selected.has(key))}
+                  >
+                    <span style={{ width: 16 }}>
+                      {selectable && <Checkbox checked={selected.has(key)} />}
+                    </span>
+                    <span style={{ width: 40, textAlign: 'right', color: token.colorTextTertiary }}>
+                      {line.oldLine ?? ''}
+                    </span>
+                    <span style={{ width: 40, textAlign: 'right', color: token.colorTextTertiary }}>
+                      {line.newLine ?? ''}
+                    </span>
+                    <span style={{ whiteSpace: 'pre' }}>{line.type}{line.content}</span>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default HunkSelector;
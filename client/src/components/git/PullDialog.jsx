@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Radio, Checkbox, Alert, Tag, Spin, Button, Typography, theme } from 'antd';
+import { useAppStore } from '../../store';
+import { useGitRemote } from '../../hooks';
+
+const { Text } = Typography;
+
+const STRATEGIES = [
+  {
+    value: 'merge',
+    label: 'Merge',
+    description: 'Create a merge commit when the branches have diverged.'
+  },
+  {
+    value: 'rebase',
+    label: 'Rebase',
+    description: 'Replay your local commits on top of the incoming ones.'
+  },
+  {
+    value: 'ff-only',
+    label: 'Fast-forward only',
+    description: 'Only move the branch forward; refuse when you have local commits.'
+  }
+];
+
+const FILE_STATUS_COLORS = { A: 'green', M: 'orange', D: 'red', R: 'blue', C: 'blue' };
+
+/**
+ * Pulls the current branch after showing what would arrive: fetches, lists
+ * the incoming commits and files, and lets the strategy and autostash be
+ * chosen. The choice is remembered per repository.
+ */
+function PullDialog({ visible, onClose }) {
+  const { token } = theme.useToken();
+  const { currentRepo, pullDefaults, setPullDefaults } = useAppStore();
+  const { pull, getPullPreview } = useGitRemote();
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [strategy, setStrategy] = useState('merge');
+  const [autostash, setAutostash] = useState(false);
+  const [pulling, setPulling] = useState(false);
+
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+    if (!visible) return undefined;
+
+    // The preview's fetch is cancelled once the dialog closes
+    const controller = new AbortController();
+    const loadPreview = async () => {
+      setLoading(true);
+      try {
+        const result = await getPullPreview(undefined, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        // What was used last time here, or else what git is configured to do
+        const defaults = pullDefaults[currentRepo?.id] || result.configured;
+        setStrategy(defaults.strategy);
+        setAutostash(defaults.autostash);
+        setPreview(result);
+      } catch (loadError) {
+        if (!controller.signal.aborted) setError(loadError.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    loadPreview();
+    return () => controller.abort();
+    // The remembered defaults only seed the choices when the dialog opens
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible, getPullPreview]);
+
+  const handlePull = async () => {
+    setPulling(true);
+    setPullDefaults(currentRepo.id, { strategy, autostash });
+    onClose();
+    try {
+      await pull(undefined, { strategy, autostash });
+    } catch (pullError) {
+      // Error is already handled in the hook
+    } finally {
+      setPulling(false);
+    }
+  };
+
+  const renderWarnings = () => (
+    <>
+      {strategy === 'ff-only' && !preview.fastForward && preview.behind > 0 && (
+        <Alert
+          type="error"
+          showIcon
+          style={{ marginBottom: 8 }}
+          message={`Can't fast-forward: you have ${preview.ahead} local commit${preview.ahead !== 1 ? 's' : ''} the upstream doesn't`}
+        />
+      )}
+      {preview.dirty && !autostash && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 8 }}
+          message="You have uncommitted changes"
+          description="Git refuses to pull when they touch incoming files (and always when rebasing). Autostash sets them aside and restores them afterwards."
+        />
+      )}
+    </>
+  );
+
+  const renderPreview = () => {
+    if (loading) {
+      return (
+        <div style={{ textAlign: 'center', padding: 24 }}>
+          <Spin />
+          <p style={{ marginTop: 12, color: token.colorTextSecondary }}>Fetching...</p>
+        </div>
+      );
+    }
+    if (error) {
+      return <Alert type="error" showIcon message="Can't preview the pull" description={error} />;
+    }
+    if (!preview) return null;
+
+    return (
+      <>
+        <p>
+          Pull <Tag color="purple">{preview.upstream}</Tag>
+          {preview.behind === 0
+            ? 'Already up to date.'
+            : `${preview.behind} incoming commit${preview.behind !== 1 ? 's' : ''}`}
+          {preview.ahead > 0 && `, ${preview.ahead} local commit${preview.ahead !== 1 ? 's' : ''} not on the upstream`}
+        </p>
+
+        <Radio.Group value={strategy} onChange={e => setStrategy(e.target.value)} style={{ width: '100%', marginBottom: 8 }}>
+          {STRATEGIES.map(s => (
+            <Radio key={s.value} value={s.value} style={{ display: 'flex', marginBottom: 8 }}>
+              <strong>{s.label}</strong>
+              <span style={{ color: token.colorTextSecondary, marginLeft: 8 }}>{s.description}</span>
+            </Radio>
+          ))}
+        </Radio.Group>
+        <Checkbox checked={autostash} onChange={e => setAutostash(e.target.checked)} style={{ marginBottom: 12 }}>
+          Autostash uncommitted changes
+        </Checkbox>
+
+        {renderWarnings()}
+
+        {preview.commits.length > 0 && (
+          <>
+            <div style={{ fontWeight: 500, marginBottom: 8 }}>Incoming commits ({preview.commits.length})</div>
+            <div style={{
+              maxHeight: 160,
+              overflow: 'auto',
+              marginBottom: 12,
+              border: `1px solid ${token.colorBorderSecondary}`,
+              borderRadius: 4,
+              padding: '4px 8px'
+            }}>
+              {preview.commits.map(c => (
+                <div key={c.hash} style={{ display: 'flex', gap: 8, padding: '2px 0', alignItems: 'center' }}>
+                  <Text code>{c.shortHash}</Text>
+                  <Text ellipsis style={{ flex: 1 }}>{c.subject}</Text>
+                  <Text type="secondary" style={{ fontSize: 12 }}>{c.author}</Text>
+                </div>
+              ))}
+            </div>
+
+            <div style={{ fontWeight: 500, marginBottom: 8 }}>Changed files ({preview.files.length})</div>
+            <div style={{
+              maxHeight: 160,
+              overflow: 'auto',
+              border: `1px solid ${token.colorBorderSecondary}`,
+              borderRadius: 4,
+              padding: '4px 8px'
+            }}>
+              {preview.files.map(f => (
+                <div key={f.path} style={{ display: 'flex', gap: 8, padding: '2px 0', alignItems: 'center' }}>
+                  <Tag color={FILE_STATUS_COLORS[f.status]} style={{ margin: 0 }}>{f.status}</Tag>
+                  <Text ellipsis style={{ flex: 1, fontFamily: 'monospace', fontSize: 12 }}>
+                    {f.oldPath ? `${f.oldPath} → ${f.path}` : f.path}
+                  </Text>
+                  {!f.binary && (
+                    <span style={{ fontSize: 12 }}>
+                      <span style={{ color: token.colorSuccess }}>+{f.insertions}</span>{' '}
+                      <span style={{ color: token.colorError }}>-{f.deletions}</span>
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      title="Pull"
+      open={visible}
+      onCancel={onClose}
+      width={640}
+      destroyOnClose
+      footer={[
+        <Button key="cancel" onClick={onClose}>Cancel</Button>,
+        <Button
+          key="pull"
+          type="primary"
+          onClick={handlePull}
+          loading={pulling}
+          disabled={!preview || preview.behind === 0}
+        >
+          Pull ({STRATEGIES.find(s => s.value === strategy).label.toLowerCase()})
+        </Button>
+      ]}
+    >
+      {renderPreview()}
+    </Modal>
+  );
+}
+
+export default PullDialog;
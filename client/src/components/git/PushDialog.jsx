@@ -0,0 +1,295 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Radio, Checkbox, Input, Select, Alert, Tag, Spin, Button, Typography, theme } from 'antd';
+import { useAppStore } from '../../store';
+import { useGitRemote } from '../../hooks';
+import { ALL_REMOTES } from '../../services/api';
+
+const { Text } = Typography;
+
+const MODES = [
+  { value: 'branch', label: 'Current branch' },
+  { value: 'all', label: 'All branches' },
+  { value: 'tags', label: 'Tags' },
+  { value: 'delete', label: 'Delete a remote branch' }
+];
+
+const UPDATE_TAGS = {
+  new: { color: 'green', label: 'new' },
+  'fast-forward': { color: 'blue', label: 'fast-forward' },
+  forced: { color: 'red', label: 'overwrite' },
+  deleted: { color: 'red', label: 'delete' },
+  rejected: { color: 'default', label: 'rejected' }
+};
+
+// Wait for typing in the remote branch field to settle before fetching again
+const PREVIEW_DELAY = 400;
+
+/**
+ * Pushes after showing exactly what would change on the remote: the refs a
+ * push would create, move, overwrite or delete and the commits it sends.
+ * Anything that is not a fast-forward has to be confirmed by typing the
+ * branch name, and is pushed with a lease on the remote branch as previewed.
+ */
+function PushDialog({ visible, onClose, onPush }) {
+  const { token } = theme.useToken();
+  const { status, branches, remotes, activeRemote } = useAppStore();
+  const { getPushPreview } = useGitRemote();
+  const [mode, setMode] = useState('branch');
+  const [remoteBranch, setRemoteBranch] = useState('');
+  const [setUpstream, setSetUpstream] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [confirmation, setConfirmation] = useState('');
+
+  const allRemotes = activeRemote === ALL_REMOTES;
+  // Branch names on the remote (or any remote), without the remote's prefix
+  const remoteBranches = [...new Set((branches.remote || []).flatMap(b => {
+    const remote = remotes.find(r => (allRemotes || r.name === activeRemote) && b.name.startsWith(`${r.name}/`));
+    const name = remote && b.name.slice(remote.name.length + 1);
+    return name && name !== 'HEAD' ? [name] : [];
+  }))];
+
+  // Push where the branch is tracked when it is tracked on this remote
+  const defaultRemoteBranch = () => {
+    const tracked = !allRemotes && status?.tracking?.startsWith(`${activeRemote}/`);
+    return tracked ? status.tracking.slice(activeRemote.length + 1) : status?.current || '';
+  };
+
+  useEffect(() => {
+    if (!visible) return;
+    setMode('branch');
+    setRemoteBranch(defaultRemoteBranch());
+    setSetUpstream(!status?.tracking);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible]);
+
+  const options = {
+    branch: { remoteBranch: remoteBranch || undefined },
+    all: { all: true },
+    tags: { tags: true },
+    delete: { remoteBranch: remoteBranch || undefined, delete: true }
+  }[mode];
+
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+    setConfirmation('');
+    if (!visible || ((mode === 'branch' || mode === 'delete') && !remoteBranch)) return undefined;
+
+    // The preview's fetch is cancelled once the dialog closes or the options change
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await getPushPreview(undefined, options, { signal: controller.signal });
+        if (!controller.signal.aborted) setPreview(result);
+      } catch (loadError) {
+        if (!controller.signal.aborted) setError(loadError.message);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, PREVIEW_DELAY);
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [visible, mode, remoteBranch, getPushPreview]);
+
+  const changeMode = (value) => {
+    setMode(value);
+    setRemoteBranch(value === 'branch' ? defaultRemoteBranch() : '');
+  };
+
+  const updates = preview?.updates || [];
+  const destructive = updates.filter(u => u.type === 'forced' || u.type === 'deleted');
+  const rejected = updates.filter(u => u.type === 'rejected');
+  // One branch is confirmed by its name, several by the remote's
+  const confirmWord = destructive.length === 1 ? destructive[0].name : activeRemote;
+  const confirmed = destructive.length === 0 || confirmation === confirmWord;
+
+  const handlePush = () => {
+    const forced = updates.filter(u => u.type === 'forced');
+    const pushOptions = { ...options };
+    if (mode === 'branch' && setUpstream) pushOptions.setUpstream = true;
+    if (forced.length > 0) {
+      pushOptions.forceWithLease = true;
+      // Refuse if the remote branch moved since it was previewed
+      if (forced.length === 1 && !allRemotes && mode === 'branch') {
+        pushOptions.expected = forced[0].expected;
+      }
+    }
+    onClose();
+    onPush(pushOptions);
+  };
+
+  const renderCommits = (commits, color) => (
+    <div style={{
+      maxHeight: 140,
+      overflow: 'auto',
+      marginTop: 4,
+      border: `1px solid ${color || token.colorBorderSecondary}`,
+      borderRadius: 4,
+      padding: '4px 8px'
+    }}>
+      {commits.map(c => (
+        <div key={c.hash} style={{ display: 'flex', gap: 8, padding: '2px 0', alignItems: 'center' }}>
+          <Text code>{c.shortHash}</Text>
+          <Text ellipsis style={{ flex: 1 }}>{c.subject}</Text>
+          <Text type="secondary" style={{ fontSize: 12 }}>{c.author}</Text>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderUpdate = (update) => {
+    const tag = UPDATE_TAGS[update.type];
+    return (
+      <div key={`${update.remote}:${update.ref}`} style={{ marginBottom: 12 }}>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <Tag color={tag.color} style={{ margin: 0 }}>{tag.label}</Tag>
+          <Text strong>{update.remote}/{update.name}</Text>
+          {update.tag && <Text type="secondary">tag</Text>}
+          {update.commitCount > 0 && (
+            <Text type="secondary">{update.commitCount} commit{update.commitCount !== 1 ? 's' : ''}</Text>
+          )}
+        </div>
+        {update.reason && <div style={{ color: token.colorError, fontSize: 12 }}>{update.reason}</div>}
+        {update.commits.length > 0 && renderCommits(update.commits)}
+        {update.commitCount > update.commits.length && (
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            and {update.commitCount - update.commits.length} more
+          </Text>
+        )}
+        {update.overwritten.length > 0 && (
+          <>
+            <div style={{ marginTop: 8, color: token.colorError }}>
+              Commits {update.remote}/{update.name} loses:
+            </div>
+            {renderCommits(update.overwritten, token.colorErrorBorder)}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderPreview = () => {
+    if (loading) {
+      return (
+        <div style={{ textAlign: 'center', padding: 24 }}>
+          <Spin />
+          <p style={{ marginTop: 12, color: token.colorTextSecondary }}>Fetching...</p>
+        </div>
+      );
+    }
+    if (error) {
+      return <Alert type="error" showIcon message="Can't preview the push" description={error} />;
+    }
+    if (!preview) return null;
+    if (updates.length === 0) {
+      return <Alert type="success" showIcon message="Everything is up to date" />;
+    }
+
+    return (
+      <>
+        {updates.map(renderUpdate)}
+        {rejected.length > 0 && (
+          <Alert type="error" showIcon style={{ marginBottom: 8 }} message="The remote refuses part of this push" />
+        )}
+        {destructive.length > 0 && (
+          <Alert
+            type="error"
+            showIcon
+            message={destructive.some(u => u.type === 'forced')
+              ? 'This is not a fast-forward'
+              : 'This deletes a branch on the remote'}
+            description={
+              <div>
+                <p style={{ marginBottom: 8 }}>
+                  {destructive.some(u => u.type === 'forced')
+                    ? 'The commits listed above disappear from the remote. The push is refused if the remote branch has moved since this preview.'
+                    : 'Anyone still using the branch has to recreate it from their own copy.'}
+                </p>
+                Type <Text code>{confirmWord}</Text> to confirm:
+                <Input
+                  value={confirmation}
+                  onChange={e => setConfirmation(e.target.value)}
+                  style={{ marginTop: 8 }}
+                  autoComplete="off"
+                />
+              </div>
+            }
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      title={`Push to ${allRemotes ? 'all remotes' : activeRemote}`}
+      open={visible}
+      onCancel={onClose}
+      width={640}
+      destroyOnClose
+      footer={[
+        <Button key="cancel" onClick={onClose}>Cancel</Button>,
+        <Button
+          key="push"
+          type="primary"
+          danger={destructive.length > 0}
+          onClick={handlePush}
+          disabled={!preview || updates.length === 0 || rejected.length > 0 || !confirmed}
+        >
+          {mode === 'delete' ? 'Delete' : (destructive.length > 0 ? 'Force Push' : 'Push')}
+        </Button>
+      ]}
+    >
+      <Radio.Group
+        value={mode}
+        onChange={e => changeMode(e.target.value)}
+        optionType="button"
+        options={MODES}
+        style={{ marginBottom: 12 }}
+      />
+
+      {mode === 'branch' && (
+        <div style={{ marginBottom: 12 }}>
+          <div style={{ marginBottom: 4 }}>
+            Push <Text code>{status?.current || 'HEAD'}</Text> to branch
+          </div>
+          <Input
+            value={remoteBranch}
+            onChange={e => setRemoteBranch(e.target.value.trim())}
+            placeholder="Branch name on the remote"
+            autoComplete="off"
+          />
+          <Checkbox
+            checked={setUpstream}
+            onChange={e => setSetUpstream(e.target.checked)}
+            disabled={allRemotes}
+            style={{ marginTop: 8 }}
+          >
+            Track it as the upstream branch
+          </Checkbox>
+        </div>
+      )}
+
+      {mode === 'delete' && (
+        <Select
+          showSearch
+          value={remoteBranch || undefined}
+          onChange={setRemoteBranch}
+          placeholder="Choose the remote branch to delete"
+          style={{ width: '100%', marginBottom: 12 }}
+          options={remoteBranches.map(name => ({ value: name, label: name }))}
+        />
+      )}
+
+      {renderPreview()}
+    </Modal>
+  );
+}
+
+export default PushDialog;
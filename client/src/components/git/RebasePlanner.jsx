@@ -0,0 +1,369 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Button, Select, Input, Tag, Empty, Spin, Space, Progress, Alert, theme } from 'antd';
+import {
+  HolderOutlined,
+  PlayCircleOutlined,
+  StepForwardOutlined,
+  CloseCircleOutlined,
+  BranchesOutlined
+} from '@ant-design/icons';
+import { useAppStore } from '../../store';
+import { useGitRebase, useConfirmAction } from '../../hooks';
+import ConflictResolver from './ConflictResolver';
+
+const ACTIONS = [
+  { value: 'pick', label: 'Pick', color: 'default' },
+  { value: 'reword', label: 'Reword', color: 'blue' },
+  { value: 'edit', label: 'Edit', color: 'purple' },
+  { value: 'squash', label: 'Squash', color: 'orange' },
+  { value: 'fixup', label: 'Fixup', color: 'gold' },
+  { value: 'drop', label: 'Drop', color: 'red' }
+];
+
+const actionColor = (action) => ACTIONS.find(a => a.value === action)?.color || 'default';
+
+// squash/fixup meld into the commit above, so one must come first
+function validateTodo(todo) {
+  const first = todo.find(item => item.action !== 'drop');
+  if (!first) return 'Every commit is dropped';
+  if (first.action === 'squash' || first.action === 'fixup') {
+    return 'The first commit cannot be squashed or fixed up';
+  }
+  return null;
+}
+
+/**
+ * Plans an interactive rebase of the current branch: commits can be reordered
+ * by drag and drop and picked, reworded, edited, squashed, fixed up or dropped.
+ * While a rebase is in progress it shows its progress instead.
+ */
+function RebasePlanner({ visible, onClose }) {
+  const { token } = theme.useToken();
+  const { branches } = useAppStore();
+  const {
+    getRebaseTodo,
+    getRebaseState,
+    startInteractiveRebase,
+    continueRebase,
+    skipRebase,
+    abortRebase
+  } = useGitRebase();
+  const confirmAction = useConfirmAction();
+
+  const [state, setState] = useState(null);
+  const [upstream, setUpstream] = useState(null);
+  const [todo, setTodo] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+  const [conflictsVisible, setConflictsVisible] = useState(false);
+
+  const loadState = useCallback(async () => {
+    setState(await getRebaseState());
+  }, [getRebaseState]);
+
+  useEffect(() => {
+    if (visible) {
+      setUpstream(null);
+      setTodo([]);
+      loadState();
+    }
+  }, [visible, loadState]);
+
+  const handleUpstreamChange = async (branch) => {
+    setUpstream(branch);
+    setLoading(true);
+    const commits = await getRebaseTodo(branch);
+    setTodo(commits.map(commit => ({ ...commit, message: '' })));
+    setLoading(false);
+  };
+
+  const updateItem = (index, changes) => {
+    setTodo(todo.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      const next = [...todo];
+      const [moved] = next.splice(dragIndex, 1);
+      next.splice(index, 0, moved);
+      setTodo(next);
+    }
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  // Run a rebase step and show where it ended
+  const runStep = async (step) => {
+    setRunning(true);
+    try {
+      const nextState = await step();
+      setState(nextState || { inProgress: false });
+      if (!nextState || !nextState.inProgress) onClose();
+    } catch (error) {
+      // Error is already handled in the hook
+      await loadState();
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleStart = () => runStep(() => startInteractiveRebase(
+    upstream,
+    todo.map(({ action, hash, message }) => ({ action, hash, message }))
+  ));
+
+  const handleAbort = async () => {
+    const confirmed = await confirmAction({
+      title: 'Abort rebase',
+      content: 'Abort the rebase and return the branch to where it was before?',
+      okText: 'Abort Rebase',
+      okButtonProps: { danger: true }
+    });
+    if (!confirmed) return;
+
+    setRunning(true);
+    try {
+      await abortRebase();
+      setState({ inProgress: false });
+      onClose();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderTodoItem = (item, index) => {
+    const melded = item.action === 'squash' || item.action === 'fixup';
+
+    return (
+      <div
+        key={item.hash}
+        draggable
+        onDragStart={() => setDragIndex(index)}
+        onDragOver={e => {
+          e.preventDefault();
+          setOverIndex(index);
+        }}
+        onDragEnd={() => {
+          setDragIndex(null);
+          setOverIndex(null);
+        }}
+        onDrop={() => handleDrop(index)}
+        style={{
+          padding: '6px 8px',
+          marginLeft: melded ? 24 : 0,
+          borderBottom: `1px solid ${token.colorBorderSecondary}`,
+          borderTop: overIndex === index && dragIndex !== index ? `2px solid ${token.colorPrimary}` : undefined,
+          opacity: dragIndex === index ? 0.5 : 1,
+          background: token.colorBgContainer
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <HolderOutlined style={{ cursor: 'grab', color: token.colorTextTertiary }} />
+          <Select
+            size="small"
+            value={item.action}
+            onChange={action => updateItem(index, { action })}
+            options={ACTIONS.map(a => ({ value: a.value, label: a.label }))}
+            style={{ width: 96 }}
+          />
+          <Tag color={actionColor(item.action)} style={{ fontFamily: 'monospace', margin: 0 }}>
+            {item.shortHash}
+          </Tag>
+          <span style={{
+            flex: 1,
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap',
+            textDecoration: item.action === 'drop' ? 'line-through' : 'none',
+            color: item.action === 'drop' ? token.colorTextTertiary : token.colorText
+          }}>
+            {item.subject}
+          </span>
+          <span style={{ fontSize: 12, color: token.colorTextTertiary, whiteSpace: 'nowrap' }}>
+            {item.author}
+          </span>
+        </div>
+        {item.action === 'reword' && (
+          <Input.TextArea
+            placeholder={`New message (leave empty to keep "${item.subject}")`}
+            value={item.message}
+            onChange={e => updateItem(index, { message: e.target.value })}
+            autoSize={{ minRows: 2, maxRows: 6 }}
+            style={{ marginTop: 6, marginLeft: 24, width: 'calc(100% - 24px)' }}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderPlanner = () => {
+    const upstreamOptions = [
+      ...(branches?.local || [])
+        .filter(b => !b.current)
+        .map(b => ({ value: b.name, label: b.name })),
+      ...(branches?.remote || []).map(b => ({ value: b.name, label: b.name }))
+    ];
+    const error = todo.length > 0 ? validateTodo(todo) : null;
+
+    return (
+      <>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12 }}>
+          <span>Rebase <strong>{branches?.current}</strong> onto</span>
+          <Select
+            showSearch
+            style={{ flex: 1 }}
+            placeholder="Select upstream branch"
+            value={upstream}
+            onChange={handleUpstreamChange}
+            options={upstreamOptions}
+          />
+        </div>
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: 24 }}>
+            <Spin />
+          </div>
+        ) : !upstream ? (
+          <Empty description="Select the branch to rebase onto" />
+        ) : todo.length === 0 ? (
+          <Empty description="No commits to rebase" />
+        ) : (
+          <>
+            <p style={{ fontSize: 12, color: token.colorTextSecondary, marginBottom: 8 }}>
+              Commits are applied from top to bottom. Drag to reorder; squash and fixup
+              meld a commit into the one above it.
+            </p>
+            <div style={{
+              maxHeight: 420,
+              overflow: 'auto',
+              border: `1px solid ${token.colorBorderSecondary}`,
+              borderRadius: 4
+            }}>
+              {todo.map(renderTodoItem)}
+            </div>
+            {error && <Alert type="error" showIcon message={error} style={{ marginTop: 12 }} />}
+          </>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button
+            type="primary"
+            icon={<PlayCircleOutlined />}
+            onClick={handleStart}
+            loading={running}
+            disabled={todo.length === 0 || !!error}
+          >
+            Start Rebase
+          </Button>
+        </div>
+      </>
+    );
+  };
+
+  const renderStep = (item, index, done) => (
+    <div key={`${item.hash || item.command}-${index}`} style={{ display: 'flex', gap: 8, padding: '2px 0', fontSize: 12 }}>
+      <Tag color={done ? 'default' : actionColor(item.action)} style={{ margin: 0 }}>{item.action}</Tag>
+      {item.hash ? (
+        <>
+          <span style={{ fontFamily: 'monospace' }}>{item.hash.substring(0, 7)}</span>
+          <span style={{ color: done ? token.colorTextTertiary : token.colorText }}>{item.subject}</span>
+        </>
+      ) : (
+        <span style={{ fontFamily: 'monospace', color: token.colorTextTertiary }}>{item.command}</span>
+      )}
+    </div>
+  );
+
+  const renderProgress = () => (
+    <>
+      <div style={{ marginBottom: 12 }}>
+        Rebasing <strong>{state.headName || 'detached HEAD'}</strong>
+        {state.onto && <> onto <span style={{ fontFamily: 'monospace' }}>{state.onto.substring(0, 7)}</span></>}
+      </div>
+      <Progress
+        percent={state.total ? Math.round((state.step / state.total) * 100) : 0}
+        format={() => `${state.step}/${state.total}`}
+        style={{ marginBottom: 12 }}
+      />
+
+      {state.conflicted.length > 0 ? (
+        <Alert
+          type="error"
+          showIcon
+          message={`Stopped on conflicts in ${state.conflicted.length} file${state.conflicted.length !== 1 ? 's' : ''}`}
+          action={
+            <Button size="small" danger icon={<BranchesOutlined />} onClick={() => setConflictsVisible(true)}>
+              Resolve
+            </Button>
+          }
+          style={{ marginBottom: 12 }}
+        />
+      ) : state.stoppedAt && (
+        <Alert
+          type="info"
+          showIcon
+          message={`Stopped at ${state.stoppedAt.hash.substring(0, 7)} ${state.stoppedAt.subject}`}
+          description="Amend the commit or make more commits, then continue."
+          style={{ marginBottom: 12 }}
+        />
+      )}
+
+      <div style={{ maxHeight: 300, overflow: 'auto' }}>
+        {state.done.map((item, index) => renderStep(item, index, true))}
+        {state.remaining.map((item, index) => renderStep(item, index, false))}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+        <Button danger icon={<CloseCircleOutlined />} onClick={handleAbort} disabled={running}>
+          Abort
+        </Button>
+        <Button icon={<StepForwardOutlined />} onClick={() => runStep(skipRebase)} disabled={running}>
+          Skip Commit
+        </Button>
+        <Button
+          type="primary"
+          icon={<PlayCircleOutlined />}
+          onClick={() => runStep(continueRebase)}
+          loading={running}
+          disabled={state.conflicted.length > 0}
+        >
+          Continue
+        </Button>
+      </div>
+    </>
+  );
+
+  return (
+    <>
+      <Modal
+        title={state?.inProgress ? 'Rebase in Progress' : 'Interactive Rebase'}
+        open={visible}
+        onCancel={onClose}
+        footer={null}
+        width={720}
+        destroyOnClose
+      >
+        {!state ? (
+          <div style={{ textAlign: 'center', padding: 24 }}>
+            <Spin />
+          </div>
+        ) : state.inProgress ? renderProgress() : renderPlanner()}
+      </Modal>
+
+      <ConflictResolver
+        visible={conflictsVisible}
+        onClose={() => {
+          setConflictsVisible(false);
+          loadState();
+        }}
+      />
+    </>
+  );
+}
+
+export default RebasePlanner;
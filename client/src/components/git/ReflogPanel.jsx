@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Modal, Button, Select, Tag, Empty, Spin, Input, Tooltip, Typography, theme } from 'antd';
+import { BranchesOutlined, ReloadOutlined, RollbackOutlined } from '@ant-design/icons';
+import { useAppStore } from '../../store';
+import { useGitUndo, useGitBranch } from '../../hooks';
+import ResetModal from './ResetModal';
+
+const { Text } = Typography;
+
+// Tag colours for the reflog actions worth telling apart at a glance
+const ACTION_COLORS = {
+  commit: 'green',
+  'commit (amend)': 'gold',
+  'commit (merge)': 'purple',
+  merge: 'purple',
+  reset: 'red',
+  checkout: 'blue',
+  'cherry-pick': 'cyan',
+  revert: 'orange'
+};
+
+const actionColor = (action) => {
+  if (ACTION_COLORS[action]) return ACTION_COLORS[action];
+  if (action.startsWith('rebase')) return 'magenta';
+  if (action.startsWith('pull')) return 'geekblue';
+  return 'default';
+};
+
+const PAGE_SIZE = 100;
+
+/**
+ * Browses the reflog of HEAD or a local branch. Every commit HEAD has been at
+ * is listed, including those a reset, rebase or deleted branch left
+ * unreachable, and can be reset to or recovered as a new branch.
+ */
+function ReflogPanel({ visible, onClose }) {
+  const { token } = theme.useToken();
+  const { branches } = useAppStore();
+  const { getReflog } = useGitUndo();
+  const { createBranch } = useGitBranch();
+
+  const [ref, setRef] = useState('HEAD');
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [resetTarget, setResetTarget] = useState(null);
+  const [branchTarget, setBranchTarget] = useState(null);
+  const [branchName, setBranchName] = useState('');
+
+  const loadReflog = useCallback(async () => {
+    setLoading(true);
+    setEntries(await getReflog(ref, limit));
+    setLoading(false);
+  }, [getReflog, ref, limit]);
+
+  useEffect(() => {
+    if (visible) loadReflog();
+  }, [visible, loadReflog]);
+
+  useEffect(() => {
+    if (!visible) {
+      setRef('HEAD');
+      setLimit(PAGE_SIZE);
+    }
+  }, [visible]);
+
+  const handleCreateBranch = async () => {
+    if (!branchName.trim()) return;
+    try {
+      await createBranch(branchName.trim(), branchTarget.hash);
+      setBranchTarget(null);
+      setBranchName('');
+      onClose();
+    } catch (error) {
+      // Error is already handled in the hook
+    }
+  };
+
+  const refOptions = [
+    { value: 'HEAD', label: 'HEAD' },
+    ...(branches?.local || []).map(b => ({ value: b.name, label: b.name }))
+  ];
+
+  const renderEntry = (entry) => (
+    <div
+      key={entry.selector}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 8,
+        padding: '4px 8px',
+        borderBottom: `1px solid ${token.colorBorderSecondary}`,
+        fontSize: 12
+      }}
+    >
+      <Text code style={{ whiteSpace: 'nowrap' }}>{entry.shortHash}</Text>
+      <Tag color={actionColor(entry.action)} style={{ margin: 0 }}>{entry.action}</Tag>
+      <Text ellipsis style={{ flex: 1, fontSize: 12 }} title={entry.message}>{entry.message}</Text>
+      <Tooltip title={entry.selector}>
+        <span style={{ color: token.colorTextTertiary, whiteSpace: 'nowrap' }}>
+          {new Date(entry.date).toLocaleString()}
+        </span>
+      </Tooltip>
+      <Tooltip title="Reset the current branch to this commit">
+        <Button
+          size="small"
+          type="text"
+          icon={<RollbackOutlined />}
+          onClick={() => setResetTarget({ hash: entry.hash, subject: entry.message })}
+        />
+      </Tooltip>
+      <Tooltip title="Create a branch at this commit">
+        <Button
+          size="small"
+          type="text"
+          icon={<BranchesOutlined />}
+          onClick={() => setBranchTarget(entry)}
+        />
+      </Tooltip>
+    </div>
+  );
+
+  return (
+    <>
+      <Modal
+        title="Reflog"
+        open={visible}
+        onCancel={onClose}
+        footer={null}
+        width={820}
+        destroyOnClose
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12 }}>
+          <span>History of</span>
+          <Select
+            showSearch
+            style={{ width: 240 }}
+            value={ref}
+            onChange={value => {
+              setRef(value);
+              setLimit(PAGE_SIZE);
+            }}
+            options={refOptions}
+          />
+          <Button icon={<ReloadOutlined />} onClick={loadReflog} loading={loading} />
+        </div>
+        <p style={{ fontSize: 12, color: token.colorTextSecondary, marginBottom: 8 }}>
+          Every position {ref} has been at, newest first. Commits lost to a reset, rebase or
+          deleted branch stay here until git expires them.
+        </p>
+
+        {loading && entries.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: 24 }}>
+            <Spin />
+          </div>
+        ) : entries.length === 0 ? (
+          <Empty description="No reflog entries" />
+        ) : (
+          <>
+            <div style={{
+              maxHeight: 460,
+              overflow: 'auto',
+              border: `1px solid ${token.colorBorderSecondary}`,
+              borderRadius: 4
+            }}>
+              {entries.map(renderEntry)}
+            </div>
+            {entries.length >= limit && (
+              <div style={{ textAlign: 'center', marginTop: 8 }}>
+                <Button size="small" onClick={() => setLimit(limit + PAGE_SIZE)} loading={loading}>
+                  Load more
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </Modal>
+
+      <Modal
+        title={branchTarget ? `Create Branch at ${branchTarget.shortHash}` : 'Create Branch'}
+        open={!!branchTarget}
+        onOk={handleCreateBranch}
+        okButtonProps={{ disabled: !branchName.trim() }}
+        onCancel={() => {
+          setBranchTarget(null);
+          setBranchName('');
+        }}
+      >
+        <Input
+          placeholder="Branch name"
+          value={branchName}
+          onChange={e => setBranchName(e.target.value)}
+          onPressEnter={handleCreateBranch}
+        />
+      </Modal>
+
+      <ResetModal
+        commit={resetTarget}
+        onClose={() => {
+          setResetTarget(null);
+          loadReflog();
+        }}
+      />
+    </>
+  );
+}
+
+export default ReflogPanel;
@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Button, Form, Input, Select, Checkbox, List, Tag, Popconfirm, Empty, Tooltip, theme } from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import { useAppStore } from '../../store';
+import { useGitRemotes } from '../../hooks';
+
+/**
+ * Lists the repository's remotes and adds, renames, edits and removes them.
+ * A remote may have push URLs of its own (one or several), which is how a
+ * fork is fetched from one place and pushed to another.
+ */
+function RemoteManager({ visible, onClose }) {
+  const { token } = theme.useToken();
+  const { remotes } = useAppStore();
+  const { loadRemotes, addRemote, updateRemote, renameRemote, removeRemote } = useGitRemotes();
+  const [form] = Form.useForm();
+  // null while listing, { remote: null, values } when adding, { remote, values } when editing
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      loadRemotes();
+      setEditing(null);
+    }
+  }, [visible, loadRemotes]);
+
+  const startEditing = (remote) => {
+    setEditing({
+      remote,
+      values: {
+        name: remote?.name || (remotes.length === 0 ? 'origin' : ''),
+        url: remote?.url || '',
+        pushUrls: remote?.pushUrls || [],
+        fetch: true
+      }
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      const values = await form.validateFields();
+      setSaving(true);
+      const { remote } = editing;
+      if (!remote) {
+        await addRemote(values.name, values.url, values.pushUrls, values.fetch);
+      } else {
+        if (values.name !== remote.name) {
+          await renameRemote(remote.name, values.name);
+        }
+        await updateRemote(values.name, values.url, values.pushUrls);
+      }
+      setEditing(null);
+    } catch (error) {
+      // Validation errors are shown by the form, the rest by the hook
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (name) => {
+    try {
+      await removeRemote(name);
+    } catch (error) {
+      // Error is already handled in the hook
+    }
+  };
+
+  const renderForm = () => (
+    <Form form={form} layout="vertical" initialValues={editing.values} preserve={false}>
+      <Form.Item
+        name="name"
+        label="Name"
+        rules={[{ required: true, message: 'Please enter a remote name' }]}
+      >
+        <Input placeholder="upstream" autoComplete="off" />
+      </Form.Item>
+      <Form.Item
+        name="url"
+        label="URL"
+        rules={[{ required: true, message: 'Please enter the remote URL' }]}
+      >
+        <Input placeholder="https://github.com/owner/repo.git" autoComplete="off" />
+      </Form.Item>
+      <Form.Item
+        name="pushUrls"
+        label="Push URLs (Optional)"
+        extra="Leave empty to push to the URL above. With several URLs every push goes to each of them."
+      >
+        <Select mode="tags" open={false} tokenSeparators={[' ']} placeholder="Type a URL and press Enter" />
+      </Form.Item>
+      {!editing.remote && (
+        <Form.Item name="fetch" valuePropName="checked">
+          <Checkbox>Fetch after adding</Checkbox>
+        </Form.Item>
+      )}
+    </Form>
+  );
+
+  const renderList = () => (remotes.length === 0 ? (
+    <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No remotes" />
+  ) : (
+    <List
+      dataSource={remotes}
+      renderItem={remote => (
+        <List.Item
+          actions={[
+            <Tooltip title="Edit" key="edit">
+              <Button size="small" type="text" icon={<EditOutlined />} onClick={() => startEditing(remote)} />
+            </Tooltip>,
+            <Popconfirm
+              key="remove"
+              title={`Remove remote '${remote.name}'?`}
+              description="Its remote-tracking branches are deleted too."
+              okText="Remove"
+              okButtonProps={{ danger: true }}
+              onConfirm={() => handleRemove(remote.name)}
+            >
+              <Button size="small" type="text" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          ]}
+        >
+          <div style={{ minWidth: 0 }}>
+            <strong>{remote.name}</strong>
+            <div style={{ fontFamily: 'monospace', fontSize: 12, color: token.colorTextSecondary, wordBreak: 'break-all' }}>
+              {remote.url}
+            </div>
+            {remote.pushUrls.map(url => (
+              <div key={url} style={{ fontFamily: 'monospace', fontSize: 12, wordBreak: 'break-all' }}>
+                <Tag color="blue" style={{ marginRight: 4 }}>push</Tag>{url}
+              </div>
+            ))}
+          </div>
+        </List.Item>
+      )}
+    />
+  ));
+
+  return (
+    <Modal
+      title={editing ? (editing.remote ? `Edit Remote '${editing.remote.name}'` : 'Add Remote') : 'Remotes'}
+      open={visible}
+      onCancel={editing ? () => setEditing(null) : onClose}
+      width={600}
+      footer={editing ? [
+        <Button key="back" onClick={() => setEditing(null)}>Back</Button>,
+        <Button key="save" type="primary" loading={saving} onClick={handleSave}>
+          {editing.remote ? 'Save' : 'Add'}
+        </Button>
+      ] : [
+        <Button key="add" icon={<PlusOutlined />} onClick={() => startEditing(null)}>Add Remote</Button>,
+        <Button key="close" type="primary" onClick={onClose}>Close</Button>
+      ]}
+    >
+      {editing ? renderForm() : renderList()}
+    </Modal>
+  );
+}
+
+export default RemoteManager;
@@ -0,0 +1,231 @@
+import React, { useEffect, useState } from 'react';
+import { Modal, Radio, Alert, Tag, Spin, Button, Typography, Result, theme } from 'antd';
+import { RollbackOutlined } from '@ant-design/icons';
+import { useGitReset, useGitUndo } from '../../hooks';
+
+const { Text } = Typography;
+
+const MODES = [
+  {
+    value: 'soft',
+    label: 'Soft',
+    description: 'Move the branch only. Changes of the removed commits stay staged.'
+  },
+  {
+    value: 'mixed',
+    label: 'Mixed',
+    description: 'Move the branch and reset the index. All changes are kept, unstaged.'
+  },
+  {
+    value: 'hard',
+    label: 'Hard',
+    description: 'Move the branch and discard every change to tracked files.'
+  }
+];
+
+/**
+ * Resets the current branch to a commit, previewing what each mode would
+ * lose, and offers to undo the reset through the reflog afterwards
+ */
+function ResetModal({ commit, onClose }) {
+  const { token } = theme.useToken();
+  const { getResetPreview, resetTo } = useGitReset();
+  const { undoLastOperation } = useGitUndo();
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState('mixed');
+  const [resetting, setResetting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [undoing, setUndoing] = useState(false);
+
+  useEffect(() => {
+    const loadPreview = async () => {
+      setPreview(null);
+      setResult(null);
+      setMode('mixed');
+      if (!commit) return;
+
+      setLoading(true);
+      setPreview(await getResetPreview(commit.hash));
+      setLoading(false);
+    };
+
+    loadPreview();
+  }, [commit, getResetPreview]);
+
+  const handleReset = async () => {
+    setResetting(true);
+    try {
+      setResult(await resetTo(commit.hash, mode));
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    setUndoing(true);
+    try {
+      await undoLastOperation();
+      onClose();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  const renderChanges = () => {
+    const { staged, unstaged } = preview.changes;
+    const uncommitted = [...new Set([...staged, ...unstaged])];
+
+    if (mode === 'soft') {
+      return (
+        <Alert
+          type="info"
+          showIcon
+          message="Nothing is lost"
+          description="The removed commits' changes and your staged changes end up staged; unstaged changes stay as they are."
+        />
+      );
+    }
+    if (mode === 'mixed') {
+      return (
+        <Alert
+          type="info"
+          showIcon
+          message="Nothing in the working tree is lost"
+          description="The removed commits' changes and your staged changes end up unstaged."
+        />
+      );
+    }
+    return (
+      <Alert
+        type="error"
+        showIcon
+        message={uncommitted.length > 0
+          ? `${uncommitted.length} file${uncommitted.length !== 1 ? 's' : ''} with uncommitted changes will be discarded`
+          : 'The removed commits\' changes will be discarded'}
+        description={
+          <>
+            {uncommitted.length > 0 && (
+              <div style={{ maxHeight: 120, overflow: 'auto', marginBottom: 4 }}>
+                {uncommitted.map(path => <div key={path}><Text code>{path}</Text></div>)}
+              </div>
+            )}
+            <span style={{ fontSize: 12 }}>
+              Untracked files are kept. Uncommitted changes are saved so the reset can be undone right after.
+            </span>
+          </>
+        }
+      />
+    );
+  };
+
+  const renderPreview = () => {
+    if (loading || !preview) {
+      return (
+        <div style={{ textAlign: 'center', padding: 24 }}>
+          <Spin />
+        </div>
+      );
+    }
+
+    const orphaned = preview.commits.filter(c => c.orphaned).length;
+
+    return (
+      <>
+        <p>
+          Reset <strong>{preview.branch || 'detached HEAD'}</strong> to{' '}
+          <Tag color="blue" style={{ fontFamily: 'monospace' }}>{preview.target.hash.substring(0, 7)}</Tag>
+          {preview.target.subject}
+        </p>
+
+        <Radio.Group value={mode} onChange={e => setMode(e.target.value)} style={{ width: '100%', marginBottom: 16 }}>
+          {MODES.map(m => (
+            <Radio key={m.value} value={m.value} style={{ display: 'flex', marginBottom: 8 }}>
+              <strong>{m.label}</strong>
+              <span style={{ color: token.colorTextSecondary, marginLeft: 8 }}>{m.description}</span>
+            </Radio>
+          ))}
+        </Radio.Group>
+
+        <div style={{ fontWeight: 500, marginBottom: 8 }}>
+          Commits removed from the branch ({preview.commits.length})
+        </div>
+        {preview.commits.length === 0 ? (
+          <p style={{ color: token.colorTextSecondary }}>
+            No commits are removed.
+            {preview.added > 0 && ` The branch moves forward by ${preview.added} commit${preview.added !== 1 ? 's' : ''}.`}
+          </p>
+        ) : (
+          <>
+            <div style={{
+              maxHeight: 180,
+              overflow: 'auto',
+              marginBottom: 8,
+              border: `1px solid ${token.colorBorderSecondary}`,
+              borderRadius: 4,
+              padding: '4px 8px'
+            }}>
+              {preview.commits.map(c => (
+                <div key={c.hash} style={{ display: 'flex', gap: 8, padding: '2px 0', alignItems: 'center' }}>
+                  <Text code>{c.shortHash}</Text>
+                  <Text ellipsis style={{ flex: 1 }}>{c.subject}</Text>
+                  {c.orphaned && <Tag color="red" style={{ margin: 0 }}>reflog only</Tag>}
+                </div>
+              ))}
+            </div>
+            {orphaned > 0 && (
+              <p style={{ fontSize: 12, color: token.colorWarning }}>
+                {orphaned} commit{orphaned !== 1 ? 's are' : ' is'} on no other branch or tag and will
+                only be reachable through the reflog.
+              </p>
+            )}
+          </>
+        )}
+
+        {renderChanges()}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      title="Reset Branch to Commit"
+      open={!!commit}
+      onCancel={onClose}
+      width={640}
+      destroyOnClose
+      footer={result ? [
+        <Button key="undo" icon={<RollbackOutlined />} onClick={handleUndo} loading={undoing}>
+          Undo Reset
+        </Button>,
+        <Button key="close" type="primary" onClick={onClose}>Close</Button>
+      ] : [
+        <Button key="cancel" onClick={onClose}>Cancel</Button>,
+        <Button
+          key="reset"
+          type="primary"
+          danger={mode === 'hard'}
+          onClick={handleReset}
+          loading={resetting}
+          disabled={!preview}
+        >
+          Reset ({mode})
+        </Button>
+      ]}
+    >
+      {result ? (
+        <Result
+          status="success"
+          title={`Branch reset to ${result.to.substring(0, 7)}`}
+          subTitle={`It was at ${result.from.substring(0, 7)}. Undo moves it back through the reflog.`}
+        />
+      ) : renderPreview()}
+    </Modal>
+  );
+}
+
+export default ResetModal;
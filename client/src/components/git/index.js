@@ -2,3 +2,16 @@ export { default as CommitGraph } from './CommitGraph';
 export { default as FileStatus } from './FileStatus';
 export { default as DiffViewer } from './DiffViewer';
 export { default as BranchGraph } from './BranchGraph';
+export { default as CommitDetail } from './CommitDetail';
+export { default as HunkSelector } from './HunkSelector';
+export { default as DiscardedModal } from './DiscardedModal';
+export { default as ConflictResolver } from './ConflictResolver';
+export { default as RebasePlanner } from './RebasePlanner';
+export { default as ResetModal } from './ResetModal';
+export { default as ReflogPanel } from './ReflogPanel';
+export { default as CommitMessageEditor } from './CommitMessageEditor';
+export { default as HookOutputModal } from './HookOutputModal';
+export { default as RemoteManager } from './RemoteManager';
+export { default as PullDialog } from './PullDialog';
+export { default as PushDialog } from './PushDialog';
+export { default as BranchCompare } from './BranchCompare';
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Progress, theme } from 'antd';
+
+// What git is doing, e.g. "Receiving objects 45% (1200/2650)"
+export function jobProgressText(job) {
+  if (job?.state === 'queued') return 'Waiting for another command to finish...';
+  if (!job?.progress) return 'Starting...';
+
+  const { stage, percent, processed, total } = job.progress;
+  const label = stage === 'unknown' ? 'Working' : `${stage.charAt(0).toUpperCase()}${stage.slice(1)} objects`;
+  return `${label} ${percent}% (${processed}/${total})`;
+}
+
+/**
+ * Progress bar of a background job, labelled with the stage git reports
+ */
+function JobProgress({ job }) {
+  const { token } = theme.useToken();
+
+  return (
+    <div>
+      <Progress percent={job?.progress?.percent || 0} size="small" status="active" style={{ marginBottom: 0 }} />
+      <div style={{ fontSize: 12, color: token.colorTextSecondary }}>{jobProgressText(job)}</div>
+    </div>
+  );
+}
+
+export default JobProgress;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Popover, Button, Badge, List, Tag, Alert, Tooltip, Empty, theme } from 'antd';
+import { UnorderedListOutlined, CloseOutlined, UnlockOutlined } from '@ant-design/icons';
+import { useAppStore } from '../../store';
+import { useJobs } from '../../hooks';
+import { jobProgressText } from './JobProgress';
+
+// How often the queue is refreshed while the panel is open
+const REFRESH_INTERVAL = 1000;
+
+const STATE_COLORS = {
+  queued: 'default',
+  running: 'processing',
+  succeeded: 'success',
+  failed: 'error',
+  cancelled: 'warning'
+};
+
+/**
+ * Header button listing the current repository's queued, running and
+ * recently finished git commands, with cancelling and stale lock cleanup
+ */
+function JobsPanel() {
+  const { token } = theme.useToken();
+  const { currentRepo, jobs: followedJobs } = useAppStore();
+  const { loadJobs, cancelJob, getLocks, removeStaleLocks } = useJobs();
+  const [open, setOpen] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [locks, setLocks] = useState(null);
+  const [removing, setRemoving] = useState(false);
+
+  const refresh = useCallback(async () => {
+    const [loadedJobs, loadedLocks] = await Promise.all([loadJobs(), getLocks()]);
+    setJobs(loadedJobs.reverse());
+    setLocks(loadedLocks);
+  }, [loadJobs, getLocks]);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [open, refresh]);
+
+  const handleCancel = async (id) => {
+    try {
+      await cancelJob(id);
+      await refresh();
+    } catch (error) {
+      // Error is already handled in the hook
+    }
+  };
+
+  const handleRemoveLocks = async () => {
+    setRemoving(true);
+    try {
+      await removeStaleLocks();
+      await refresh();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  // Background jobs started from this window are known without opening the panel
+  const active = open
+    ? jobs.filter(job => !job.finishedAt).length
+    : Object.values(followedJobs).filter(job => job.repoId === currentRepo?.id).length;
+
+  const content = (
+    <div style={{ width: 380 }}>
+      {locks?.locks.length > 0 && (
+        <Alert
+          type={locks.stale ? 'warning' : 'info'}
+          showIcon
+          style={{ marginBottom: 8 }}
+          message={locks.stale ? 'Stale lock files' : 'Git is working in this repository'}
+          description={
+            <div>
+              <div style={{ fontFamily: 'monospace', fontSize: 12 }}>
+                {locks.locks.map(lock => lock.file).join(', ')}
+              </div>
+              {locks.stale ? (
+                <Button
+                  size="small"
+                  icon={<UnlockOutlined />}
+                  loading={removing}
+                  onClick={handleRemoveLocks}
+                  style={{ marginTop: 8 }}
+                >
+                  Remove Stale Locks
+                </Button>
+              ) : (
+                <div style={{ fontSize: 12, color: token.colorTextSecondary }}>
+                  Held by git process {locks.processes.join(', ')}
+                </div>
+              )}
+            </div>
+          }
+        />
+      )}
+
+      {jobs.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No jobs" />
+      ) : (
+        <List
+          size="small"
+          dataSource={jobs}
+          style={{ maxHeight: 360, overflow: 'auto' }}
+          renderItem={job => (
+            <List.Item
+              actions={job.finishedAt ? [] : [
+                <Tooltip title="Cancel" key="cancel">
+                  <Button size="small" type="text" icon={<CloseOutlined />} onClick={() => handleCancel(job.id)} />
+                </Tooltip>
+              ]}
+            >
+              <div style={{ minWidth: 0, flex: 1 }}>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                  <Tag color={STATE_COLORS[job.state]} style={{ marginRight: 0 }}>{job.state}</Tag>
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{job.title}</span>
+                </div>
+                {job.state === 'running' && job.progress && (
+                  <div style={{ fontSize: 12, color: token.colorTextSecondary }}>{jobProgressText(job)}</div>
+                )}
+                {job.state === 'failed' && (
+                  <div style={{ fontSize: 12, color: token.colorError, whiteSpace: 'pre-wrap' }}>{job.error}</div>
+                )}
+              </div>
+            </List.Item>
+          )}
+        />
+      )}
+    </div>
+  );
+
+  return (
+    <Popover
+      title="Jobs"
+      content={content}
+      trigger="click"
+      placement="bottomRight"
+      open={open}
+      onOpenChange={setOpen}
+    >
+      <Badge count={active} size="small">
+        <Button icon={<UnorderedListOutlined />} disabled={!currentRepo} />
+      </Badge>
+    </Popover>
+  );
+}
+
+export default JobsPanel;
@@ -1,11 +1,12 @@
 import React, { useEffect, useCallback, useState } from 'react';
-import { Layout, Menu, Button, Dropdown, Space, theme, Tooltip } from 'antd';
+import { Layout, Menu, Button, Dropdown, Space, Select, theme, Tooltip } from 'antd';
 import {
   GithubOutlined,
   PlusOutlined,
   CloudDownloadOutlined,
   CloudUploadOutlined,
   SyncOutlined,
+  CloudServerOutlined,
   SettingOutlined,
   MoonOutlined,
   SunOutlined
@@ -14,26 +15,47 @@ import RepoList from '../repo/RepoList';
 import AddRepoModal from '../repo/AddRepoModal';
 import CommitGraph from '../git/CommitGraph';
 import FileStatus from '../git/FileStatus';
+import CommitDetail from '../git/CommitDetail';
+import HookOutputModal from '../git/HookOutputModal';
+import RemoteManager from '../git/RemoteManager';
+import PullDialog from '../git/PullDialog';
+import PushDialog from '../git/PushDialog';
 import Toolbar from './Toolbar';
+import JobsPanel from './JobsPanel';
+import { jobProgressText } from './JobProgress';
 import { useAppStore } from '../../store';
-import { useRepo, useGitStatus, useGitBranch, useGitLog, useGitRemote } from '../../hooks';
+import { ALL_REMOTES } from '../../services/api';
+import { useRepo, useGitStatus, useGitBranch, useGitLog, useGitRemote, useGitRemotes, useSettings, useRepoWatcher } from '../../hooks';
 
 const { Header, Sider, Content } = Layout;
 
 function MainLayout() {
   const { token } = theme.useToken();
-  const { darkMode, toggleDarkMode, currentRepo, branches, setRefreshCallback } = useAppStore();
-  const { repos, loadRepos, addRepo, removeRepo, selectRepo } = useRepo();
+  const {
+    darkMode, toggleDarkMode, currentRepo, branches, selectedCommit, setRefreshCallback, jobs,
+    remotes, activeRemote, setActiveRemote
+  } = useAppStore();
+  const { repos, loadRepos, addRepo, cloneRepo, removeRepo, selectRepo } = useRepo();
   const { loadStatus } = useGitStatus();
   const { loadBranches } = useGitBranch();
   const { loadLog } = useGitLog();
-  const { push, pull, fetch } = useGitRemote();
+  const { push, fetch } = useGitRemote();
+  const { loadRemotes } = useGitRemotes();
+  const { loadSettings } = useSettings();
   const [addRepoModalVisible, setAddRepoModalVisible] = useState(false);
+  const [hookFailure, setHookFailure] = useState(null);
+  const [remoteManagerVisible, setRemoteManagerVisible] = useState(false);
+  const [pullDialogVisible, setPullDialogVisible] = useState(false);
+  const [pushDialogVisible, setPushDialogVisible] = useState(false);
+
+  // Reload when the repository is changed outside the app
+  useRepoWatcher();
 
   // Load initial data
   useEffect(() => {
     loadRepos();
-  }, [loadRepos]);
+    loadSettings();
+  }, [loadRepos, loadSettings]);
 
   // Load data when repo changes
   useEffect(() => {
@@ -41,8 +63,9 @@ function MainLayout() {
       loadStatus();
       loadBranches();
       loadLog();
+      loadRemotes();
     }
-  }, [currentRepo?.id, loadStatus, loadBranches, loadLog]);
+  }, [currentRepo?.id, loadStatus, loadBranches, loadLog, loadRemotes]);
 
   // Set up refresh callback - use a stable reference
   useEffect(() => {
@@ -64,6 +87,35 @@ function MainLayout() {
     }
   };
 
+  // Push, keeping the output of a pre-push hook that refuses it along with
+  // the options to retry with
+  const handlePush = async (options = {}) => {
+    try {
+      await push(undefined, options);
+      setHookFailure(null);
+    } catch (error) {
+      // Error is already handled in the hook
+      setHookFailure(error.hookFailure ? { action: 'push', options, ...error.hookFailure } : null);
+    }
+  };
+
+  // The fetch, pull or push running for this repository, shown on its button
+  const runningJob = (type) => Object.values(jobs).find(job => job.type === type && job.repoId === currentRepo?.id);
+
+  const remoteLabel = activeRemote === ALL_REMOTES ? 'all remotes' : activeRemote;
+
+  const renderRemoteButton = (type, action, icon, onClick) => {
+    const job = runningJob(type);
+    const title = `${action} ${remoteLabel}`;
+    return (
+      <Tooltip title={job ? `${title}: ${jobProgressText(job)}` : title}>
+        <Button icon={icon} onClick={onClick} disabled={!currentRepo} loading={!!job}>
+          {job?.progress && `${job.progress.percent}%`}
+        </Button>
+      </Tooltip>
+    );
+  };
+
   const repoMenuItems = repos.filter(r => r.valid).map(repo => ({
     key: repo.id,
     label: repo.name
@@ -99,27 +151,27 @@ function MainLayout() {
         </div>
 
         <Space>
-          <Tooltip title="Fetch">
-            <Button
-              icon={<SyncOutlined />}
-              onClick={() => fetch()}
-              disabled={!currentRepo}
-            />
-          </Tooltip>
-          <Tooltip title="Pull">
-            <Button
-              icon={<CloudDownloadOutlined />}
-              onClick={() => pull()}
-              disabled={!currentRepo}
-            />
-          </Tooltip>
-          <Tooltip title="Push">
+          <Select
+            value={activeRemote}
+            onChange={setActiveRemote}
+            disabled={!currentRepo}
+            style={{ width: 140 }}
+            options={[
+              ...remotes.map(remote => ({ value: remote.name, label: remote.name })),
+              ...(remotes.length > 1 ? [{ value: ALL_REMOTES, label: 'All remotes' }] : [])
+            ]}
+          />
+          <Tooltip title="Manage remotes">
             <Button
-              icon={<CloudUploadOutlined />}
-              onClick={() => push()}
+              icon={<CloudServerOutlined />}
+              onClick={() => setRemoteManagerVisible(true)}
               disabled={!currentRepo}
             />
           </Tooltip>
+          {renderRemoteButton('fetch', 'Fetch', <SyncOutlined />, () => fetch().catch(() => {}))}
+          {renderRemoteButton('pull', 'Pull from', <CloudDownloadOutlined />, () => setPullDialogVisible(true))}
+          {renderRemoteButton('push', 'Push to', <CloudUploadOutlined />, () => setPushDialogVisible(true))}
+          <JobsPanel />
           <Tooltip title={darkMode ? 'Light mode' : 'Dark mode'}>
             <Button
               icon={darkMode ? <SunOutlined /> : <MoonOutlined />}
@@ -171,7 +223,22 @@ function MainLayout() {
             overflow: 'auto'
           }}>
             {currentRepo ? (
-              <CommitGraph />
+              <div style={{ display: 'flex', height: '100%', gap: 16 }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <CommitGraph />
+                </div>
+                {selectedCommit && (
+                  <div style={{
+                    width: 400,
+                    flexShrink: 0,
+                    border: `1px solid ${token.colorBorderSecondary}`,
+                    borderRadius: token.borderRadius,
+                    overflow: 'hidden'
+                  }}>
+                    <CommitDetail />
+                  </div>
+                )}
+              </div>
             ) : (
               <div style={{
                 display: 'flex',
@@ -201,11 +268,35 @@ function MainLayout() {
         </Layout>
       </Layout>
 
+      <HookOutputModal
+        failure={hookFailure}
+        onRetry={() => handlePush(hookFailure.options)}
+        onBypass={() => handlePush({ ...hookFailure.options, noVerify: true })}
+        onClose={() => setHookFailure(null)}
+      />
+
+      <RemoteManager
+        visible={remoteManagerVisible}
+        onClose={() => setRemoteManagerVisible(false)}
+      />
+
+      <PullDialog
+        visible={pullDialogVisible}
+        onClose={() => setPullDialogVisible(false)}
+      />
+
+      <PushDialog
+        visible={pushDialogVisible}
+        onClose={() => setPushDialogVisible(false)}
+        onPush={handlePush}
+      />
+
       {/* Add Repository Modal */}
       <AddRepoModal
         visible={addRepoModalVisible}
         onClose={() => setAddRepoModalVisible(false)}
         onAdd={addRepo}
+        onClone={cloneRepo}
       />
     </Layout>
   );
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Alert, Button, Space, Tag } from 'antd';
+import {
+  BranchesOutlined,
+  CloseCircleOutlined,
+  PlayCircleOutlined,
+  StepForwardOutlined
+} from '@ant-design/icons';
+import { useAppStore } from '../../store';
+import { useGitOperation, useConfirmAction } from '../../hooks';
+import ConflictResolver from '../git/ConflictResolver';
+
+// Wording and available actions for each kind of operation
+const OPERATIONS = {
+  rebase: { title: 'Rebase in progress', commitLabel: 'Stopped at', actions: ['continue', 'skip', 'abort'] },
+  am: { title: 'Applying patches', commitLabel: 'Applying', actions: ['continue', 'skip', 'abort'] },
+  merge: { title: 'Merge in progress', commitLabel: 'Merging', actions: ['continue', 'abort'] },
+  'cherry-pick': { title: 'Cherry-pick in progress', commitLabel: 'Applying', actions: ['continue', 'skip', 'abort'] },
+  revert: { title: 'Revert in progress', commitLabel: 'Reverting', actions: ['continue', 'skip', 'abort'] },
+  bisect: { title: 'Bisect in progress', commitLabel: 'Testing', actions: ['skip', 'abort'] }
+};
+
+const shortHash = (hash) => (hash ? hash.substring(0, 7) : '');
+
+/**
+ * Persistent banner for a merge, rebase, cherry-pick, revert or bisect left
+ * in progress, with the actions that operation supports
+ */
+function OperationBanner() {
+  const { status } = useAppStore();
+  const { operation, runOperationAction } = useGitOperation();
+  const confirmAction = useConfirmAction();
+  const [running, setRunning] = useState(null);
+  const [conflictsVisible, setConflictsVisible] = useState(false);
+
+  if (!operation) return null;
+
+  const config = OPERATIONS[operation.type] || { title: `${operation.type} in progress`, actions: ['abort'] };
+  const conflictCount = status?.conflicted?.length || 0;
+
+  const handleAction = async (action) => {
+    if (action === 'abort') {
+      const confirmed = await confirmAction({
+        title: operation.type === 'bisect' ? 'End bisect' : `Abort ${operation.type}`,
+        content: operation.type === 'bisect'
+          ? 'End the bisect session and go back to where it started?'
+          : `Abort the ${operation.type} and return to the state before it started?`,
+        okText: operation.type === 'bisect' ? 'Reset' : 'Abort',
+        okButtonProps: { danger: true }
+      });
+      if (!confirmed) return;
+    }
+
+    setRunning(action);
+    try {
+      await runOperationAction(action);
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const buttons = {
+    continue: (
+      <Button
+        key="continue"
+        size="small"
+        type="primary"
+        icon={<PlayCircleOutlined />}
+        loading={running === 'continue'}
+        disabled={conflictCount > 0 || (running && running !== 'continue')}
+        onClick={() => handleAction('continue')}
+      >
+        {operation.type === 'merge' ? 'Commit Merge' : 'Continue'}
+      </Button>
+    ),
+    skip: (
+      <Button
+        key="skip"
+        size="small"
+        icon={<StepForwardOutlined />}
+        loading={running === 'skip'}
+        disabled={running && running !== 'skip'}
+        onClick={() => handleAction('skip')}
+      >
+        Skip
+      </Button>
+    ),
+    abort: (
+      <Button
+        key="abort"
+        size="small"
+        danger
+        icon={<CloseCircleOutlined />}
+        loading={running === 'abort'}
+        disabled={running && running !== 'abort'}
+        onClick={() => handleAction('abort')}
+      >
+        {operation.type === 'bisect' ? 'Reset' : 'Abort'}
+      </Button>
+    )
+  };
+
+  const description = (
+    <Space size={4} wrap style={{ fontSize: 12 }}>
+      {operation.progress && <Tag style={{ margin: 0 }}>{operation.progress}</Tag>}
+      {operation.head && <span>on <strong>{operation.head}</strong></span>}
+      {operation.onto && <span>onto <code>{shortHash(operation.onto)}</code></span>}
+      {operation.commit && (
+        <span>
+          · {config.commitLabel} <code>{shortHash(operation.commit.hash)}</code> {operation.commit.subject}
+        </span>
+      )}
+      {operation.remaining > 0 && <span>· {operation.remaining} more to go</span>}
+    </Space>
+  );
+
+  return (
+    <>
+      <Alert
+        type={conflictCount > 0 ? 'error' : 'warning'}
+        banner
+        message={
+          <Space size={8} wrap>
+            <strong>{config.title}</strong>
+            {conflictCount > 0 && (
+              <Tag color="red" style={{ margin: 0 }}>
+                {conflictCount} conflicted file{conflictCount !== 1 ? 's' : ''}
+              </Tag>
+            )}
+            {description}
+          </Space>
+        }
+        action={
+          <Space>
+            {conflictCount > 0 && (
+              <Button size="small" danger icon={<BranchesOutlined />} onClick={() => setConflictsVisible(true)}>
+                Resolve
+              </Button>
+            )}
+            {config.actions.map(action => buttons[action])}
+          </Space>
+        }
+      />
+
+      <ConflictResolver
+        visible={conflictsVisible}
+        onClose={() => setConflictsVisible(false)}
+      />
+    </>
+  );
+}
+
+export default OperationBanner;
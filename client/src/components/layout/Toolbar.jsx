@@ -1,5 +1,5 @@
-import React, { useState, useCallback } from 'react';
-import { Space, Button, Dropdown, Modal, Input, Select, Tooltip, Popconfirm, Checkbox, List, Spin, theme } from 'antd';
+import React, { useState, useCallback, useEffect } from 'react';
+import { Space, Button, Dropdown, Modal, Input, InputNumber, Select, Tooltip, Popconfirm, Checkbox, List, Spin, Tag, Radio, Alert, theme } from 'antd';
 import {
   BranchesOutlined,
   TagOutlined,
@@ -9,11 +9,18 @@ import {
   UndoOutlined,
   PlusOutlined,
   ClearOutlined,
-  DeleteOutlined
+  DeleteOutlined,
+  HistoryOutlined,
+  LinkOutlined,
+  DiffOutlined
 } from '@ant-design/icons';
 import { useAppStore } from '../../store';
-import { useGitBranch, useGitStatus } from '../../hooks';
-import { gitApi } from '../../services/api';
+import { useGitBranch, useGitStatus, useGitUndo, useConfirmAction } from '../../hooks';
+import { gitApi, repoApi, ALL_REMOTES } from '../../services/api';
+import RebasePlanner from '../git/RebasePlanner';
+import ReflogPanel from '../git/ReflogPanel';
+import BranchCompare from '../git/BranchCompare';
+import OperationBanner from './OperationBanner';
 
 // Simple notification helper
 const notify = {
@@ -31,16 +38,67 @@ const notify = {
   }
 };
 
+// Upstream, ahead/behind and merged badges of a local branch
+function BranchBadges({ branch }) {
+  const badge = (color, text) => <Tag color={color} style={{ marginRight: 0, marginLeft: 4 }}>{text}</Tag>;
+  return (
+    <>
+      {branch.ahead > 0 && badge('blue', `↑${branch.ahead}`)}
+      {branch.behind > 0 && badge('orange', `↓${branch.behind}`)}
+      {branch.gone && badge('red', 'gone')}
+      {!branch.upstream && badge('default', 'local only')}
+      {branch.merged && badge('purple', 'merged')}
+    </>
+  );
+}
+
+// How a branch can be merged; 'ff' is git's default of fast-forwarding when possible
+const MERGE_MODES = [
+  { value: 'ff', label: 'Fast-forward if possible', description: 'Otherwise create a merge commit.' },
+  { value: 'no-ff', label: 'Always create a merge commit', description: 'Keeps the branch visible in history (--no-ff).' },
+  { value: 'squash', label: 'Squash', description: 'Stage all changes as one, to commit yourself (--squash).' }
+];
+
+// Why the stale branch scan reports a branch
+function StaleReasons({ branch }) {
+  const reason = (color, text) => <Tag key={text} color={color} style={{ marginLeft: 4, marginRight: 0 }}>{text}</Tag>;
+  return (
+    <>
+      {branch.reasons.includes('upstream-gone') && reason('red', 'upstream gone')}
+      {branch.reasons.includes('merged') && reason('green', 'merged')}
+      {branch.reasons.includes('inactive') && reason('orange', `${branch.ageDays} days old`)}
+      {!branch.merged && reason('default', 'unmerged')}
+      {!branch.pushed && reason('default', 'never pushed')}
+    </>
+  );
+}
+
+// The branch's upstream and last commit, for the branch menu's tooltips
+function describeBranch(branch) {
+  const upstream = branch.upstream
+    ? `Tracks ${branch.upstream}${branch.gone ? ' (deleted on the remote)' : ''}`
+    : 'No upstream branch';
+  if (!branch.lastCommit) return upstream;
+  const { hash, author, date, subject } = branch.lastCommit;
+  return `${upstream}\n${hash.slice(0, 7)} ${subject}\n${author}, ${new Date(date).toLocaleString()}`;
+}
+
 function Toolbar() {
   const { token } = theme.useToken();
-  const { currentRepo, branches, setBranches } = useAppStore();
-  const { createBranch, checkout, deleteBranch, loadBranches } = useGitBranch();
+  const { currentRepo, branches, setBranches, status, remotes, activeRemote } = useAppStore();
+  const { createBranch, checkout, deleteBranch, loadBranches, setUpstream } = useGitBranch();
   const { loadStatus } = useGitStatus();
+  const { getUndoableOperation, undoLastOperation } = useGitUndo();
+  const confirmAction = useConfirmAction();
 
   const [branchModalVisible, setBranchModalVisible] = useState(false);
   const [newBranchName, setNewBranchName] = useState('');
   const [mergeModalVisible, setMergeModalVisible] = useState(false);
   const [mergeBranch, setMergeBranch] = useState('');
+  const [mergeMode, setMergeMode] = useState('ff');
+  const [mergePreview, setMergePreview] = useState(null);
+  const [mergePreviewError, setMergePreviewError] = useState(null);
+  const [loadingMergePreview, setLoadingMergePreview] = useState(false);
   const [stashModalVisible, setStashModalVisible] = useState(false);
   const [stashMessage, setStashMessage] = useState('');
   const [tagModalVisible, setTagModalVisible] = useState(false);
@@ -52,25 +110,75 @@ function Toolbar() {
   const [loadingStale, setLoadingStale] = useState(false);
   const [deletingBranches, setDeletingBranches] = useState(false);
   const [forceDelete, setForceDelete] = useState(false);
+  const [staleRemote, setStaleRemote] = useState(activeRemote);
+  // The repository's protected branch globs and inactivity limit, as last scanned with
+  const [staleSettings, setStaleSettings] = useState(null);
+  const [savingStaleSettings, setSavingStaleSettings] = useState(false);
+  const [rebaseModalVisible, setRebaseModalVisible] = useState(false);
+  const [reflogVisible, setReflogVisible] = useState(false);
+  const [lastOperation, setLastOperation] = useState(null);
+  const [undoing, setUndoing] = useState(false);
+  const [upstreamModalVisible, setUpstreamModalVisible] = useState(false);
+  const [upstreamBranch, setUpstreamBranch] = useState(null);
+  const [upstreamTarget, setUpstreamTarget] = useState(null);
+  const [savingUpstream, setSavingUpstream] = useState(false);
+  const [compareVisible, setCompareVisible] = useState(false);
+  const [compareTarget, setCompareTarget] = useState(null);
+
+  // Whether the last operation can still be undone changes with every status refresh
+  useEffect(() => {
+    getUndoableOperation().then(setLastOperation);
+  }, [status, getUndoableOperation]);
 
   if (!branches) return null;
 
   const currentBranch = branches.current;
+  const rebasing = status?.operation?.type === 'rebase';
   const localBranches = branches.local || [];
   const remoteBranches = branches.remote || [];
 
+  // Opens the comparison without also checking the branch out
+  const compareButton = (name) => name !== currentBranch && (
+    <Tooltip title="Compare with current">
+      <Button
+        size="small"
+        type="text"
+        icon={<DiffOutlined />}
+        style={{ marginLeft: 4 }}
+        onClick={(e) => {
+          e.stopPropagation();
+          setCompareTarget(name);
+          setCompareVisible(true);
+        }}
+      />
+    </Tooltip>
+  );
+
   // Branch menu - includes local and remote branches
   const branchMenuItems = [
     { type: 'group', label: 'Local Branches' },
     ...localBranches.map(b => ({
       key: `local:${b.name}`,
-      label: b.name + (b.current ? ' (current)' : '')
+      label: (
+        <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{describeBranch(b)}</span>} placement="right" mouseEnterDelay={0.5}>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <span style={{ flex: 1, marginRight: 8 }}>{b.name + (b.current ? ' (current)' : '')}</span>
+            <BranchBadges branch={b} />
+            {compareButton(b.name)}
+          </div>
+        </Tooltip>
+      )
     })),
     { type: 'divider' },
     { type: 'group', label: 'Remote Branches' },
     ...remoteBranches.map(b => ({
       key: `remote:${b.name}`,
-      label: b.name
+      label: (
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <span style={{ flex: 1, marginRight: 8 }}>{b.name}</span>
+          {compareButton(b.name)}
+        </div>
+      )
     }))
   ];
 
@@ -79,7 +187,8 @@ function Toolbar() {
     if (branchName !== currentBranch) {
       if (type === 'remote') {
         // For remote branches, checkout and track
-        const localName = branchName.replace(/^origin\//, '');
+        const remote = remotes.find(r => branchName.startsWith(`${r.name}/`));
+        const localName = remote ? branchName.slice(remote.name.length + 1) : branchName;
         try {
           await gitApi.checkoutRemote(currentRepo.id, branchName, localName);
           notify.success(`Checked out '${branchName}' as new local branch '${localName}'`);
@@ -93,6 +202,31 @@ function Toolbar() {
     }
   };
 
+  const openUpstreamModal = () => {
+    const branch = localBranches.find(b => b.current) || localBranches[0];
+    setUpstreamBranch(branch?.name || null);
+    setUpstreamTarget(branch?.upstream || null);
+    setUpstreamModalVisible(true);
+  };
+
+  const handleUpstreamBranchChange = (name) => {
+    setUpstreamBranch(name);
+    setUpstreamTarget(localBranches.find(b => b.name === name)?.upstream || null);
+  };
+
+  // Set the selected branch's upstream, or unset it when upstream is null
+  const handleSaveUpstream = async (upstream) => {
+    setSavingUpstream(true);
+    try {
+      await setUpstream(upstreamBranch, upstream);
+      setUpstreamModalVisible(false);
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setSavingUpstream(false);
+    }
+  };
+
   // Handle create branch
   const handleCreateBranch = async () => {
     if (!newBranchName.trim()) {
@@ -104,6 +238,48 @@ function Toolbar() {
     setNewBranchName('');
   };
 
+  // Handle undo of the last journaled operation
+  const handleUndo = async () => {
+    const confirmed = await confirmAction({
+      title: 'Undo last operation',
+      content: `Undo ${lastOperation.description}?`,
+      okText: 'Undo'
+    });
+    if (!confirmed) return;
+
+    setUndoing(true);
+    try {
+      await undoLastOperation();
+    } catch (error) {
+      // Error is already handled in the hook
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  // Pick the branch to merge and find out what merging it would do
+  const handleMergeBranchChange = async (branch) => {
+    setMergeBranch(branch);
+    setMergePreview(null);
+    setMergePreviewError(null);
+    setLoadingMergePreview(true);
+    try {
+      setMergePreview(await gitApi.getMergePreview(currentRepo.id, branch));
+    } catch (error) {
+      setMergePreviewError(error.message);
+    } finally {
+      setLoadingMergePreview(false);
+    }
+  };
+
+  const closeMergeModal = () => {
+    setMergeModalVisible(false);
+    setMergeBranch('');
+    setMergeMode('ff');
+    setMergePreview(null);
+    setMergePreviewError(null);
+  };
+
   // Handle merge
   const handleMerge = async () => {
     if (!mergeBranch) {
@@ -111,9 +287,14 @@ function Toolbar() {
       return;
     }
     try {
-      const result = await gitApi.merge(currentRepo.id, mergeBranch);
+      const result = await gitApi.merge(currentRepo.id, mergeBranch, {
+        noFF: mergeMode === 'no-ff',
+        squash: mergeMode === 'squash'
+      });
       if (result.success) {
-        notify.success(`Merged ${mergeBranch} into ${currentBranch}`);
+        notify.success(mergeMode === 'squash'
+          ? `Staged the changes of ${mergeBranch}; commit them to finish the squash`
+          : `Merged ${mergeBranch} into ${currentBranch}`);
         loadStatus();
       } else if (result.conflict) {
         notify.error('Merge conflicts detected. Please resolve them.');
@@ -121,8 +302,68 @@ function Toolbar() {
     } catch (error) {
       notify.error(`Merge failed: ${error.message}`);
     }
-    setMergeModalVisible(false);
-    setMergeBranch('');
+    closeMergeModal();
+  };
+
+  // What the merge preview says would happen
+  const renderMergePreview = () => {
+    if (loadingMergePreview) {
+      return (
+        <div style={{ textAlign: 'center', padding: 16 }}>
+          <Spin />
+          <p style={{ marginTop: 8, color: token.colorTextSecondary }}>Checking the merge...</p>
+        </div>
+      );
+    }
+    if (mergePreviewError) {
+      return <Alert type="error" showIcon message="Can't preview the merge" description={mergePreviewError} />;
+    }
+    if (!mergePreview) return null;
+
+    const commits = `${mergePreview.commits} commit${mergePreview.commits !== 1 ? 's' : ''}`;
+    const files = `${mergePreview.files.length} file${mergePreview.files.length !== 1 ? 's' : ''}`;
+    return (
+      <>
+        {mergePreview.result === 'up-to-date' && (
+          <Alert type="info" showIcon message={`Already up to date: ${currentBranch} contains ${mergeBranch}`} />
+        )}
+        {mergePreview.result === 'fast-forward' && (
+          <Alert
+            type="success"
+            showIcon
+            message={mergeMode === 'ff' ? `Fast-forward by ${commits}` : `Merges cleanly (${commits}, ${files})`}
+          />
+        )}
+        {mergePreview.result === 'clean' && (
+          <Alert type="success" showIcon message={`Merges cleanly (${commits}, ${files})`} />
+        )}
+        {mergePreview.result === 'conflicts' && (
+          <Alert
+            type="warning"
+            showIcon
+            message={`${mergePreview.conflicts.length} file(s) would conflict`}
+            description={
+              <div style={{ maxHeight: 160, overflow: 'auto' }}>
+                {mergePreview.conflicts.map(c => (
+                  <div key={c.path} style={{ fontSize: 12 }}>
+                    <span style={{ fontFamily: 'monospace' }}>{c.path}</span>
+                    {c.type && <span style={{ color: token.colorTextSecondary, marginLeft: 8 }}>{c.type}</span>}
+                  </div>
+                ))}
+              </div>
+            }
+          />
+        )}
+        {mergePreview.dirty && mergePreview.result !== 'up-to-date' && (
+          <Alert
+            type="info"
+            showIcon
+            style={{ marginTop: 8 }}
+            message="You have uncommitted changes; git refuses the merge if it touches the same files"
+          />
+        )}
+      </>
+    );
   };
 
   // Handle stash
@@ -155,16 +396,17 @@ function Toolbar() {
     setTagMessage('');
   };
 
-  // Handle open prune modal
-  const handleOpenPruneModal = async () => {
-    setPruneModalVisible(true);
+  // Scan for stale branches against one remote or all of them
+  const scanStaleBranches = async (remote) => {
+    setStaleRemote(remote);
     setLoadingStale(true);
     setStaleBranches([]);
     setSelectedStaleBranches([]);
 
     try {
-      const result = await gitApi.getStaleBranches(currentRepo.id, 'origin');
+      const result = await gitApi.getStaleBranches(currentRepo.id, remote);
       setStaleBranches(result.staleBranches || []);
+      setStaleSettings({ protectedBranches: result.protectedBranches, staleDays: result.staleDays });
     } catch (error) {
       notify.error(`Failed to get stale branches: ${error.message}`);
     } finally {
@@ -172,6 +414,25 @@ function Toolbar() {
     }
   };
 
+  // Save the repository's stale branch settings and scan again with them
+  const handleSaveStaleSettings = async () => {
+    setSavingStaleSettings(true);
+    try {
+      await repoApi.update(currentRepo.id, staleSettings);
+      await scanStaleBranches(staleRemote);
+    } catch (error) {
+      notify.error(`Failed to save settings: ${error.message}`);
+    } finally {
+      setSavingStaleSettings(false);
+    }
+  };
+
+  // Handle open prune modal
+  const handleOpenPruneModal = () => {
+    setPruneModalVisible(true);
+    scanStaleBranches(activeRemote);
+  };
+
   // Handle delete selected stale branches
   const handleDeleteStaleBranches = async () => {
     if (selectedStaleBranches.length === 0) {
@@ -234,7 +495,15 @@ function Toolbar() {
           title="Create new branch"
         />
 
-        <Tooltip title="Clear stale local branches (tracking deleted remote branches)">
+        <Tooltip title="Set upstream branch">
+          <Button
+            icon={<LinkOutlined />}
+            onClick={openUpstreamModal}
+            disabled={localBranches.length === 0}
+          />
+        </Tooltip>
+
+        <Tooltip title="Clear stale local branches (upstream gone, merged or inactive)">
           <Button
             icon={<ClearOutlined />}
             onClick={handleOpenPruneModal}
@@ -251,9 +520,13 @@ function Toolbar() {
             </Button>
           </Tooltip>
 
-          <Tooltip title="Rebase">
-            <Button icon={<SwapOutlined />}>
-              Rebase
+          <Tooltip title={rebasing ? 'Rebase in progress' : 'Interactive rebase'}>
+            <Button
+              icon={<SwapOutlined />}
+              danger={rebasing}
+              onClick={() => setRebaseModalVisible(true)}
+            >
+              {rebasing ? `Rebasing ${status.operation.progress || ''}` : 'Rebase'}
             </Button>
           </Tooltip>
 
@@ -275,8 +548,49 @@ function Toolbar() {
             </Button>
           </Tooltip>
         </Space>
+
+        <Space style={{ marginLeft: 'auto' }}>
+          <Tooltip title={!lastOperation
+            ? 'Nothing to undo'
+            : lastOperation.blocked
+              ? `Cannot undo ${lastOperation.description}: ${lastOperation.blocked}`
+              : `Undo ${lastOperation.description}`}
+          >
+            <Button
+              icon={<UndoOutlined />}
+              onClick={handleUndo}
+              loading={undoing}
+              disabled={!lastOperation || !!lastOperation.blocked}
+            >
+              Undo
+            </Button>
+          </Tooltip>
+
+          <Tooltip title="Browse the reflog">
+            <Button
+              icon={<HistoryOutlined />}
+              onClick={() => setReflogVisible(true)}
+            >
+              Reflog
+            </Button>
+          </Tooltip>
+        </Space>
       </div>
 
+      <OperationBanner />
+
+      <ReflogPanel
+        visible={reflogVisible}
+        onClose={() => setReflogVisible(false)}
+      />
+
+      <BranchCompare
+        visible={compareVisible}
+        base={currentBranch}
+        target={compareTarget}
+        onClose={() => setCompareVisible(false)}
+      />
+
       {/* Create Branch Modal */}
       <Modal
         title="Create New Branch"
@@ -295,25 +609,81 @@ function Toolbar() {
         />
       </Modal>
 
+      {/* Upstream Modal */}
+      <Modal
+        title="Upstream Branch"
+        open={upstreamModalVisible}
+        onCancel={() => setUpstreamModalVisible(false)}
+        footer={[
+          <Button
+            key="unset"
+            danger
+            disabled={!localBranches.find(b => b.name === upstreamBranch)?.upstream}
+            loading={savingUpstream}
+            onClick={() => handleSaveUpstream(null)}
+          >
+            Stop Tracking
+          </Button>,
+          <Button key="cancel" onClick={() => setUpstreamModalVisible(false)}>Cancel</Button>,
+          <Button
+            key="save"
+            type="primary"
+            disabled={!upstreamTarget}
+            loading={savingUpstream}
+            onClick={() => handleSaveUpstream(upstreamTarget)}
+          >
+            Track
+          </Button>
+        ]}
+      >
+        <div style={{ marginBottom: 8 }}>Local branch</div>
+        <Select
+          style={{ width: '100%', marginBottom: 16 }}
+          value={upstreamBranch}
+          onChange={handleUpstreamBranchChange}
+          options={localBranches.map(b => ({ value: b.name, label: b.name }))}
+        />
+        <div style={{ marginBottom: 8 }}>Tracks</div>
+        <Select
+          showSearch
+          style={{ width: '100%' }}
+          placeholder="Select a remote branch"
+          value={upstreamTarget}
+          onChange={setUpstreamTarget}
+          options={remoteBranches
+            .filter(b => !b.name.endsWith('/HEAD'))
+            .map(b => ({ value: b.name, label: b.name }))}
+        />
+      </Modal>
+
       {/* Merge Modal */}
       <Modal
         title="Merge Branch"
         open={mergeModalVisible}
         onOk={handleMerge}
-        onCancel={() => {
-          setMergeModalVisible(false);
-          setMergeBranch('');
-        }}
+        onCancel={closeMergeModal}
+        okText={mergePreview?.result === 'conflicts' ? 'Merge Anyway' : 'Merge'}
+        okButtonProps={{ disabled: !mergeBranch || loadingMergePreview || mergePreview?.result === 'up-to-date' }}
+        width={560}
       >
         <Select
-          style={{ width: '100%' }}
+          style={{ width: '100%', marginBottom: 12 }}
           placeholder="Select branch to merge"
-          value={mergeBranch}
-          onChange={setMergeBranch}
+          value={mergeBranch || undefined}
+          onChange={handleMergeBranchChange}
           options={localBranches
             .filter(b => b.name !== currentBranch)
             .map(b => ({ value: b.name, label: b.name }))}
         />
+        <Radio.Group value={mergeMode} onChange={e => setMergeMode(e.target.value)} style={{ width: '100%', marginBottom: 12 }}>
+          {MERGE_MODES.map(m => (
+            <Radio key={m.value} value={m.value} style={{ display: 'flex', marginBottom: 8 }}>
+              <strong>{m.label}</strong>
+              <span style={{ color: token.colorTextSecondary, marginLeft: 8 }}>{m.description}</span>
+            </Radio>
+          ))}
+        </Radio.Group>
+        {renderMergePreview()}
       </Modal>
 
       {/* Stash Modal */}
@@ -359,6 +729,12 @@ function Toolbar() {
         />
       </Modal>
 
+      {/* Interactive Rebase Modal */}
+      <RebasePlanner
+        visible={rebaseModalVisible}
+        onClose={() => setRebaseModalVisible(false)}
+      />
+
       {/* Prune Stale Branches Modal */}
       <Modal
         title="Clear Stale Local Branches"
@@ -374,8 +750,49 @@ function Toolbar() {
           loading: deletingBranches,
           disabled: selectedStaleBranches.length === 0
         }}
-        width={500}
+        width={560}
       >
+        <div style={{ marginBottom: 12, display: 'flex', alignItems: 'center', gap: 8 }}>
+          <span>Compare with</span>
+          <Select
+            size="small"
+            value={staleRemote}
+            onChange={scanStaleBranches}
+            disabled={loadingStale}
+            style={{ width: 160 }}
+            options={[
+              ...remotes.map(remote => ({ value: remote.name, label: remote.name })),
+              ...(remotes.length > 1 ? [{ value: ALL_REMOTES, label: 'All remotes' }] : [])
+            ]}
+          />
+        </div>
+        {staleSettings && (
+          <div style={{ marginBottom: 12, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+            <span>Protected</span>
+            <Select
+              size="small"
+              mode="tags"
+              open={false}
+              tokenSeparators={[' ', ',']}
+              value={staleSettings.protectedBranches}
+              onChange={protectedBranches => setStaleSettings({ ...staleSettings, protectedBranches })}
+              placeholder="main, release/*"
+              style={{ flex: 1, minWidth: 200 }}
+            />
+            <span>Inactive after</span>
+            <InputNumber
+              size="small"
+              min={1}
+              value={staleSettings.staleDays}
+              onChange={staleDays => setStaleSettings({ ...staleSettings, staleDays })}
+              addonAfter="days"
+              style={{ width: 120 }}
+            />
+            <Button size="small" loading={savingStaleSettings} disabled={loadingStale} onClick={handleSaveStaleSettings}>
+              Apply
+            </Button>
+          </div>
+        )}
         {loadingStale ? (
           <div style={{ textAlign: 'center', padding: 24 }}>
             <Spin />
@@ -386,13 +803,13 @@ function Toolbar() {
             <ClearOutlined style={{ fontSize: 32 }} />
             <p style={{ marginTop: 12 }}>No stale branches found!</p>
             <p style={{ color: '#888', fontSize: 12 }}>
-              All local branches exist on remote. Local and remote are in sync.
+              No branch has lost its upstream, been merged into the default branch or gone {staleSettings?.staleDays} days without commits.
             </p>
           </div>
         ) : (
           <>
             <p style={{ marginBottom: 12, color: '#ff4d4f' }}>
-              Found {staleBranches.length} local branch(es) that don't exist on remote:
+              Found {staleBranches.length} stale local branch(es):
             </p>
             <List
               dataSource={staleBranches}
@@ -410,15 +827,14 @@ function Toolbar() {
                     }}
                   >
                     <strong>{item.name}</strong>
-                    <span style={{ color: '#888', fontSize: 12, marginLeft: 8 }}>
-                      (not on remote)
-                    </span>
+                    <StaleReasons branch={item} />
                   </Checkbox>
                 </List.Item>
               )}
             />
             <div style={{ marginTop: 12, color: '#888', fontSize: 12 }}>
-              Note: Protected branches (main, master, develop, dev) and current branch are excluded.
+              Note: Protected branches, the default branch and the current branch are excluded.
+              Branches that were only never pushed are not stale.
             </div>
             <div style={{ marginTop: 8, marginBottom: 8 }}>
               <Checkbox
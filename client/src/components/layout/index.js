@@ -1,2 +1,4 @@
 export { default as MainLayout } from './MainLayout';
 export { default as Toolbar } from './Toolbar';
+export { default as JobProgress } from './JobProgress';
+export { default as JobsPanel } from './JobsPanel';
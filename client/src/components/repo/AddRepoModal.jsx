@@ -1,17 +1,29 @@
 import React, { useState } from 'react';
-import { Modal, Input, Form, theme } from 'antd';
+import { Modal, Input, Form, Tabs, theme } from 'antd';
+import { useAppStore } from '../../store';
+import JobProgress from '../layout/JobProgress';
 
-function AddRepoModal({ visible, onClose, onAdd }) {
+function AddRepoModal({ visible, onClose, onAdd, onClone }) {
   const { token } = theme.useToken();
+  const { jobs } = useAppStore();
   const [form] = Form.useForm();
+  const [cloneForm] = Form.useForm();
+  const [mode, setMode] = useState('local');
   const [loading, setLoading] = useState(false);
 
+  const cloneJob = Object.values(jobs).find(job => job.type === 'clone');
+
   const handleSubmit = async () => {
+    const activeForm = mode === 'clone' ? cloneForm : form;
     try {
-      const values = await form.validateFields();
+      const values = await activeForm.validateFields();
       setLoading(true);
-      await onAdd(values.path, values.name);
-      form.resetFields();
+      if (mode === 'clone') {
+        await onClone(values.url, values.path, values.name);
+      } else {
+        await onAdd(values.path, values.name);
+      }
+      activeForm.resetFields();
       onClose();
     } catch (error) {
       if (error.errorFields) {
@@ -26,18 +38,20 @@ function AddRepoModal({ visible, onClose, onAdd }) {
 
   const handleCancel = () => {
     form.resetFields();
+    cloneForm.resetFields();
     onClose();
   };
 
-  return (
-    <Modal
-      title="Add Repository"
-      open={visible}
-      onOk={handleSubmit}
-      onCancel={handleCancel}
-      confirmLoading={loading}
-      okText="Add"
-    >
+  // Suggest a target folder named after the repository
+  const handleUrlChange = (e) => {
+    const name = e.target.value.trim().replace(/\/+$/, '').split(/[/:]/).pop().replace(/\.git$/, '');
+    if (name && !cloneForm.isFieldTouched('name')) {
+      cloneForm.setFieldsValue({ name });
+    }
+  };
+
+  const localTab = (
+    <>
       <Form
         form={form}
         layout="vertical"
@@ -79,6 +93,73 @@ function AddRepoModal({ visible, onClose, onAdd }) {
           <li>C:\Users\username\projects\my-project (Windows)</li>
         </ul>
       </div>
+    </>
+  );
+
+  const cloneTab = (
+    <>
+      <Form
+        form={cloneForm}
+        layout="vertical"
+        initialValues={{ url: '', path: '', name: '' }}
+        disabled={loading}
+      >
+        <Form.Item
+          name="url"
+          label="Repository URL"
+          rules={[{ required: true, message: 'Please enter the URL to clone' }]}
+        >
+          <Input
+            placeholder="https://github.com/user/repo.git"
+            autoComplete="off"
+            onChange={handleUrlChange}
+          />
+        </Form.Item>
+
+        <Form.Item
+          name="path"
+          label="Clone Into"
+          rules={[{ required: true, message: 'Please enter the target folder' }]}
+          extra="Full path of the folder to create"
+        >
+          <Input
+            placeholder="/Users/username/projects/repo"
+            autoComplete="off"
+          />
+        </Form.Item>
+
+        <Form.Item
+          name="name"
+          label="Display Name (Optional)"
+        >
+          <Input
+            placeholder="My Project"
+            autoComplete="off"
+          />
+        </Form.Item>
+      </Form>
+
+      {cloneJob && <JobProgress job={cloneJob} />}
+    </>
+  );
+
+  return (
+    <Modal
+      title="Add Repository"
+      open={visible}
+      onOk={handleSubmit}
+      onCancel={handleCancel}
+      confirmLoading={loading}
+      okText={mode === 'clone' ? 'Clone' : 'Add'}
+    >
+      <Tabs
+        activeKey={mode}
+        onChange={setMode}
+        items={[
+          { key: 'local', label: 'Local Repository', children: localTab, disabled: loading },
+          { key: 'clone', label: 'Clone', children: cloneTab, disabled: loading }
+        ]}
+      />
     </Modal>
   );
 }
@@ -1,6 +1,7 @@
-import { useCallback, useRef } from 'react';
+import { useCallback, useEffect, useRef } from 'react';
+import { Modal } from 'antd';
 import { useAppStore } from '../store';
-import { repoApi, gitApi } from '../services/api';
+import { repoApi, gitApi, configApi, jobApi, ALL_REMOTES } from '../services/api';
 
 // Simple notification helper
 const notify = {
@@ -18,6 +19,192 @@ const notify = {
   }
 };
 
+// Delay before reconnecting to the live update socket once it dropped
+const WATCH_RECONNECT_DELAY = 3000;
+
+// An error for a commit or push that a git hook refused, carrying the hook's output
+function hookError({ hook, output }) {
+  const error = new Error(`${hook} hook failed`);
+  error.hookFailure = { hook, output };
+  return error;
+}
+
+/**
+ * Hook for running background jobs: starts one, keeps its progress in the
+ * store while it runs and resolves with its result. Aborting signal cancels
+ * the job once its result is no longer wanted.
+ */
+export function useJobRunner() {
+  const { setJob, removeJob } = useAppStore();
+
+  return useCallback(async (start, { signal } = {}) => {
+    const { job } = await start;
+    setJob(job);
+    const cancel = () => jobApi.cancel(job.id).catch(() => {});
+    if (signal?.aborted) cancel();
+    signal?.addEventListener('abort', cancel);
+    try {
+      return await jobApi.watch(job.id, setJob);
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      removeJob(job.id);
+    }
+  }, [setJob, removeJob]);
+}
+
+/**
+ * Hook for the current repository's job queue and its lock files
+ */
+export function useJobs() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+
+  const loadJobs = useCallback(async () => {
+    if (!currentRepo) return [];
+
+    try {
+      const result = await jobApi.list(currentRepo.id);
+      return result.jobs;
+    } catch (error) {
+      return [];
+    }
+  }, [currentRepo]);
+
+  const cancelJob = useCallback(async (id) => {
+    try {
+      await jobApi.cancel(id);
+    } catch (error) {
+      notify.error(`Failed to cancel: ${error.message}`);
+      throw error;
+    }
+  }, []);
+
+  const getLocks = useCallback(async () => {
+    if (!currentRepo) return null;
+
+    try {
+      return await gitApi.getLocks(currentRepo.id);
+    } catch (error) {
+      return null;
+    }
+  }, [currentRepo]);
+
+  const removeStaleLocks = useCallback(async () => {
+    if (!currentRepo) return;
+
+    try {
+      const result = await gitApi.removeStaleLocks(currentRepo.id);
+      await loadStatus();
+      notify.success(`Removed ${result.removed.join(', ')}`);
+    } catch (error) {
+      notify.error(`Failed to remove locks: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  return { loadJobs, cancelJob, getLocks, removeStaleLocks };
+}
+
+/**
+ * Hook that keeps the open repository's status, branches and history in
+ * step with changes made outside the app (an editor, a terminal), which the
+ * server reports over the /api/watch WebSocket
+ */
+export function useRepoWatcher() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+  const { loadBranches } = useGitBranch();
+  const { refreshLog } = useGitLog();
+  // The loaders change with the log filter, which shouldn't reopen the socket
+  const loaders = useRef();
+  loaders.current = { loadStatus, loadBranches, refreshLog };
+
+  useEffect(() => {
+    if (!currentRepo?.id) return undefined;
+
+    let socket;
+    let reconnectTimer;
+    let stopped = false;
+
+    const connect = () => {
+      const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+      socket = new WebSocket(`${protocol}://${window.location.host}/api/watch`);
+      socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'subscribe', repoId: currentRepo.id }));
+      };
+      socket.onmessage = (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type !== 'changed') return;
+
+        const { loadStatus, loadBranches, refreshLog } = loaders.current;
+        if (message.status) loadStatus();
+        if (message.branches) loadBranches();
+        // Skipped when the app reloaded the history itself after the change,
+        // as it does after its own commits, merges and the like
+        if (message.log) refreshLog(message.changedAt);
+      };
+      socket.onclose = () => {
+        if (!stopped) reconnectTimer = setTimeout(connect, WATCH_RECONNECT_DELAY);
+      };
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      socket.close();
+    };
+  }, [currentRepo?.id]);
+}
+
+/**
+ * Hook for application settings
+ */
+export function useSettings() {
+  const { settings, setSettings } = useAppStore();
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const result = await configApi.get();
+      setSettings(result.settings);
+    } catch (error) {
+      notify.error(`Failed to load settings: ${error.message}`);
+    }
+  }, [setSettings]);
+
+  const updateSettings = useCallback(async (updates) => {
+    try {
+      const result = await configApi.update(updates);
+      setSettings(result.settings);
+    } catch (error) {
+      notify.error(`Failed to save settings: ${error.message}`);
+      throw error;
+    }
+  }, [setSettings]);
+
+  return { settings, loadSettings, updateSettings };
+}
+
+/**
+ * Hook returning a confirm(options) helper that resolves to true when the
+ * action may go ahead. Skips the dialog when confirmActions is turned off.
+ */
+export function useConfirmAction() {
+  const { settings } = useAppStore();
+
+  return useCallback((options) => new Promise(resolve => {
+    if (settings && settings.confirmActions === false) {
+      resolve(true);
+      return;
+    }
+    Modal.confirm({
+      ...options,
+      onOk: () => resolve(true),
+      onCancel: () => resolve(false)
+    });
+  }), [settings]);
+}
+
 /**
  * Hook for repository operations
  */
@@ -27,12 +214,15 @@ export function useRepo() {
     setRepos,
     currentRepo,
     setCurrentRepo,
+    resetLogFilter,
+    setSelectedCommit,
     loading,
     setLoading,
     setError
   } = useAppStore();
 
   const hasAutoSelected = useRef(false);
+  const runJob = useJobRunner();
 
   const loadRepos = useCallback(async () => {
     setLoading('repos', true);
@@ -69,6 +259,18 @@ export function useRepo() {
     }
   }, [loadRepos]);
 
+  const cloneRepo = useCallback(async (url, path, name) => {
+    try {
+      const { repo } = await runJob(repoApi.clone(url, path, name));
+      await loadRepos();
+      notify.success(`Cloned into ${repo.path}`);
+      return repo;
+    } catch (error) {
+      notify.error(`Failed to clone repository: ${error.message}`);
+      throw error;
+    }
+  }, [loadRepos, runJob]);
+
   const removeRepo = useCallback(async (id) => {
     try {
       await repoApi.remove(id);
@@ -85,8 +287,12 @@ export function useRepo() {
   }, [currentRepo, loadRepos, setCurrentRepo]);
 
   const selectRepo = useCallback((repo) => {
+    if (repo?.id !== currentRepo?.id) {
+      resetLogFilter();
+      setSelectedCommit(null);
+    }
     setCurrentRepo(repo);
-  }, [setCurrentRepo]);
+  }, [currentRepo?.id, setCurrentRepo, resetLogFilter, setSelectedCommit]);
 
   return {
     repos,
@@ -94,6 +300,7 @@ export function useRepo() {
     loading: loading.repos,
     loadRepos,
     addRepo,
+    cloneRepo,
     removeRepo,
     selectRepo
   };
@@ -151,6 +358,83 @@ export function useGitStatus() {
     }
   }, [currentRepo, loadStatus]);
 
+  const stageLines = useCallback(async (file, selection) => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.stageLines(currentRepo.id, file, selection);
+      await loadStatus();
+      notify.success('Selected lines staged');
+    } catch (error) {
+      notify.error(`Failed to stage lines: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  const unstageLines = useCallback(async (file, selection) => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.unstageLines(currentRepo.id, file, selection);
+      await loadStatus();
+      notify.success('Selected lines unstaged');
+    } catch (error) {
+      notify.error(`Failed to unstage lines: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  const discardFiles = useCallback(async (files) => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.discard(currentRepo.id, files);
+      await loadStatus();
+      notify.success('Changes discarded (recoverable from discard history)');
+    } catch (error) {
+      notify.error(`Failed to discard changes: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  const discardLines = useCallback(async (file, selection) => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.discardLines(currentRepo.id, file, selection);
+      await loadStatus();
+      notify.success('Selected lines discarded (recoverable from discard history)');
+    } catch (error) {
+      notify.error(`Failed to discard lines: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  const getDiscarded = useCallback(async () => {
+    if (!currentRepo) return [];
+
+    try {
+      const result = await gitApi.getDiscarded(currentRepo.id);
+      return result.entries;
+    } catch (error) {
+      notify.error(`Failed to get discard history: ${error.message}`);
+      return [];
+    }
+  }, [currentRepo]);
+
+  const restoreDiscarded = useCallback(async (id) => {
+    if (!currentRepo) return;
+
+    try {
+      const result = await gitApi.restoreDiscarded(currentRepo.id, id);
+      await loadStatus();
+      notify.success(`Restored ${result.path}`);
+    } catch (error) {
+      notify.error(`Failed to restore: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
   const stageAll = useCallback(async () => {
     await stageFiles(['.']);
   }, [stageFiles]);
@@ -165,11 +449,77 @@ export function useGitStatus() {
     loadStatus,
     stageFiles,
     unstageFiles,
+    stageLines,
+    unstageLines,
+    discardFiles,
+    discardLines,
+    getDiscarded,
+    restoreDiscarded,
     stageAll,
     unstageAll
   };
 }
 
+/**
+ * Hook for resolving merge conflicts
+ */
+export function useGitConflicts() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+
+  const getConflicts = useCallback(async () => {
+    if (!currentRepo) return [];
+
+    try {
+      const result = await gitApi.getConflicts(currentRepo.id);
+      return result.conflicts;
+    } catch (error) {
+      notify.error(`Failed to get conflicts: ${error.message}`);
+      return [];
+    }
+  }, [currentRepo]);
+
+  const getConflict = useCallback(async (file) => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.getConflict(currentRepo.id, file);
+      return result.conflict;
+    } catch (error) {
+      notify.error(`Failed to load conflict: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
+  const resolveConflict = useCallback(async (file, content, deleted = false) => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.resolveConflict(currentRepo.id, file, content, deleted);
+      await loadStatus();
+      notify.success(`${file} marked as resolved`);
+    } catch (error) {
+      notify.error(`Failed to resolve conflict: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  const takeConflictSide = useCallback(async (files, side) => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.takeConflictSide(currentRepo.id, files, side);
+      await loadStatus();
+      notify.success(`Resolved ${files.length} file${files.length !== 1 ? 's' : ''} using ${side}`);
+    } catch (error) {
+      notify.error(`Failed to resolve conflict: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus]);
+
+  return { getConflicts, getConflict, resolveConflict, takeConflictSide };
+}
+
 /**
  * Hook for git commit operations
  */
@@ -178,49 +528,91 @@ export function useGitCommit() {
   const { loadStatus } = useGitStatus();
   const { loadLog } = useGitLog();
 
-  const commit = useCallback(async (message) => {
+  const commit = useCallback(async (message, options = {}) => {
     if (!currentRepo) return;
 
     try {
-      await gitApi.commit(currentRepo.id, message);
+      const result = await gitApi.commit(currentRepo.id, message, options);
+      if (result.hookFailed) {
+        throw hookError(result);
+      }
       await loadStatus();
       await loadLog();
-      notify.success('Commit successful');
+      notify.success(options.amend ? 'Commit amended' : 'Commit successful');
     } catch (error) {
-      notify.error(`Failed to commit: ${error.message}`);
+      notify.error(`Failed to ${options.amend ? 'amend' : 'commit'}: ${error.message}`);
       throw error;
     }
   }, [currentRepo, loadStatus, loadLog]);
 
-  return { commit };
+  const getLastCommit = useCallback(async () => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.getLastCommit(currentRepo.id);
+      return result.commit;
+    } catch (error) {
+      notify.error(`Failed to load last commit: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
+  const getCommitMessageInfo = useCallback(async () => {
+    if (!currentRepo) return { template: null, recent: [] };
+
+    try {
+      const { template, recent } = await gitApi.getCommitMessageInfo(currentRepo.id);
+      return { template, recent };
+    } catch (error) {
+      return { template: null, recent: [] };
+    }
+  }, [currentRepo]);
+
+  // Problems with the message under the Conventional Commits settings, if enabled
+  const lintCommitMessage = useCallback(async (message) => {
+    try {
+      const { enabled, mode, problems } = await gitApi.lintCommitMessage(message);
+      return { enabled, mode, problems };
+    } catch (error) {
+      return { enabled: false, mode: 'warn', problems: [] };
+    }
+  }, []);
+
+  return { commit, getLastCommit, getCommitMessageInfo, lintCommitMessage };
 }
 
 /**
  * Hook for git push/pull/fetch operations
  */
 export function useGitRemote() {
-  const { currentRepo } = useAppStore();
+  const { currentRepo, activeRemote } = useAppStore();
   const { loadStatus } = useGitStatus();
   const { loadLog } = useGitLog();
+  const runJob = useJobRunner();
 
-  const push = useCallback(async (branch, setUpstream = false) => {
+  // options: { remoteBranch, setUpstream, forceWithLease, expected, all, tags, delete, noVerify }
+  const push = useCallback(async (branch, options = {}) => {
     if (!currentRepo) return;
 
     try {
-      await gitApi.push(currentRepo.id, 'origin', branch, setUpstream);
+      const result = await runJob(gitApi.push(currentRepo.id, activeRemote, branch, options));
+      if (result.hookFailed) {
+        throw hookError(result);
+      }
       await loadLog();
-      notify.success('Push successful');
+      notify.success(options.delete ? 'Remote branch deleted' : 'Push successful');
     } catch (error) {
       notify.error(`Failed to push: ${error.message}`);
       throw error;
     }
-  }, [currentRepo, loadLog]);
+  }, [currentRepo, activeRemote, loadLog, runJob]);
 
-  const pull = useCallback(async (branch) => {
+  // options: { strategy: 'merge' | 'rebase' | 'ff-only', autostash }
+  const pull = useCallback(async (branch, options = {}) => {
     if (!currentRepo) return;
 
     try {
-      await gitApi.pull(currentRepo.id, 'origin', branch);
+      await runJob(gitApi.pull(currentRepo.id, activeRemote, branch, options));
       await loadStatus();
       await loadLog();
       notify.success('Pull successful');
@@ -228,21 +620,388 @@ export function useGitRemote() {
       notify.error(`Failed to pull: ${error.message}`);
       throw error;
     }
-  }, [currentRepo, loadStatus, loadLog]);
+  }, [currentRepo, activeRemote, loadStatus, loadLog, runJob]);
 
   const fetch = useCallback(async () => {
     if (!currentRepo) return;
 
     try {
-      await gitApi.fetch(currentRepo.id, 'origin');
+      await runJob(gitApi.fetch(currentRepo.id, activeRemote));
       notify.success('Fetch successful');
     } catch (error) {
       notify.error(`Failed to fetch: ${error.message}`);
       throw error;
     }
+  }, [currentRepo, activeRemote, runJob]);
+
+  // Fetch, then list what a pull would bring in. The fetch runs as a job,
+  // cancelled when signal is aborted.
+  const getPullPreview = useCallback(async (branch, { signal } = {}) => {
+    if (!currentRepo) return null;
+    return runJob(gitApi.getPullPreview(currentRepo.id, activeRemote, branch), { signal });
+  }, [currentRepo, activeRemote, runJob]);
+
+  // Fetch, then list what a push with the same options would change, as a
+  // job like getPullPreview
+  const getPushPreview = useCallback(async (branch, options = {}, { signal } = {}) => {
+    if (!currentRepo) return null;
+    return runJob(gitApi.getPushPreview(currentRepo.id, activeRemote, branch, options), { signal });
+  }, [currentRepo, activeRemote, runJob]);
+
+  return { push, pull, fetch, getPullPreview, getPushPreview };
+}
+
+/**
+ * Hook for managing the current repository's remotes
+ */
+export function useGitRemotes() {
+  const { currentRepo, setRemotes, setActiveRemote } = useAppStore();
+  const { loadBranches } = useGitBranch();
+
+  const loadRemotes = useCallback(async () => {
+    if (!currentRepo) return;
+
+    try {
+      const result = await gitApi.getRemotes(currentRepo.id);
+      setRemotes(result.remotes);
+
+      // Keep fetch/pull/push pointed at a remote this repository has
+      const { activeRemote } = useAppStore.getState();
+      if (activeRemote !== ALL_REMOTES && !result.remotes.some(r => r.name === activeRemote)) {
+        const fallback = result.remotes.find(r => r.name === 'origin') || result.remotes[0];
+        setActiveRemote(fallback ? fallback.name : 'origin');
+      }
+    } catch (error) {
+      notify.error(`Failed to load remotes: ${error.message}`);
+    }
+  }, [currentRepo?.id, setRemotes, setActiveRemote]);
+
+  // Remote changes also add, rename or drop remote-tracking branches
+  const runRemoteChange = useCallback(async (change, successMessage, failureMessage) => {
+    if (!currentRepo) return;
+
+    try {
+      await change();
+      await loadRemotes();
+      await loadBranches();
+      notify.success(successMessage);
+    } catch (error) {
+      notify.error(`${failureMessage}: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadRemotes, loadBranches]);
+
+  const addRemote = useCallback((name, url, pushUrls, fetch) => runRemoteChange(
+    () => gitApi.addRemote(currentRepo.id, name, url, pushUrls, fetch),
+    `Remote '${name}' added`,
+    'Failed to add remote'
+  ), [currentRepo, runRemoteChange]);
+
+  const updateRemote = useCallback((name, url, pushUrls) => runRemoteChange(
+    () => gitApi.updateRemote(currentRepo.id, name, url, pushUrls),
+    `Remote '${name}' updated`,
+    'Failed to update remote'
+  ), [currentRepo, runRemoteChange]);
+
+  const renameRemote = useCallback((oldName, newName) => runRemoteChange(
+    async () => {
+      await gitApi.renameRemote(currentRepo.id, oldName, newName);
+      if (useAppStore.getState().activeRemote === oldName) setActiveRemote(newName);
+    },
+    `Remote '${oldName}' renamed to '${newName}'`,
+    'Failed to rename remote'
+  ), [currentRepo, runRemoteChange, setActiveRemote]);
+
+  const removeRemote = useCallback((name) => runRemoteChange(
+    () => gitApi.removeRemote(currentRepo.id, name),
+    `Remote '${name}' removed`,
+    'Failed to remove remote'
+  ), [currentRepo, runRemoteChange]);
+
+  return { loadRemotes, addRemote, updateRemote, renameRemote, removeRemote };
+}
+
+/**
+ * Hook for interactive rebase
+ */
+export function useGitRebase() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+  const { loadLog } = useGitLog();
+
+  const getRebaseTodo = useCallback(async (branch) => {
+    if (!currentRepo) return [];
+
+    try {
+      const result = await gitApi.getRebaseTodo(currentRepo.id, branch);
+      return result.todo;
+    } catch (error) {
+      notify.error(`Failed to get rebase todo list: ${error.message}`);
+      return [];
+    }
+  }, [currentRepo]);
+
+  const getRebaseState = useCallback(async () => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.getRebaseState(currentRepo.id);
+      return result.state;
+    } catch (error) {
+      notify.error(`Failed to get rebase state: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
+  // Every rebase step ends finished, stopped for an edit or stopped on conflicts
+  const runStep = useCallback(async (request, failureMessage) => {
+    try {
+      const result = await request();
+      await loadStatus();
+      await loadLog();
+
+      if (result.conflict) {
+        notify.error('Rebase stopped on conflicts. Resolve them and continue.');
+      } else if (result.stopped) {
+        const stoppedAt = result.state.stoppedAt;
+        notify.success(stoppedAt ? `Rebase stopped at ${stoppedAt.hash.substring(0, 7)} for editing` : 'Rebase stopped');
+      } else {
+        notify.success('Rebase completed');
+      }
+      return result.state;
+    } catch (error) {
+      notify.error(`${failureMessage}: ${error.message}`);
+      throw error;
+    }
+  }, [loadStatus, loadLog]);
+
+  const startInteractiveRebase = useCallback(async (branch, todo) => {
+    if (!currentRepo) return null;
+    return runStep(() => gitApi.rebaseInteractive(currentRepo.id, branch, todo), 'Failed to rebase');
+  }, [currentRepo, runStep]);
+
+  const continueRebase = useCallback(async () => {
+    if (!currentRepo) return null;
+    return runStep(() => gitApi.rebaseContinue(currentRepo.id), 'Failed to continue rebase');
+  }, [currentRepo, runStep]);
+
+  const skipRebase = useCallback(async () => {
+    if (!currentRepo) return null;
+    return runStep(() => gitApi.rebaseSkip(currentRepo.id), 'Failed to skip commit');
+  }, [currentRepo, runStep]);
+
+  const abortRebase = useCallback(async () => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.rebaseAbort(currentRepo.id);
+      await loadStatus();
+      await loadLog();
+      notify.success('Rebase aborted');
+    } catch (error) {
+      notify.error(`Failed to abort rebase: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus, loadLog]);
+
+  return {
+    getRebaseTodo,
+    getRebaseState,
+    startInteractiveRebase,
+    continueRebase,
+    skipRebase,
+    abortRebase
+  };
+}
+
+/**
+ * Hook for the merge/rebase/cherry-pick/revert/bisect left in progress
+ */
+export function useGitOperation() {
+  const { currentRepo, status } = useAppStore();
+  const { loadStatus } = useGitStatus();
+  const { loadLog } = useGitLog();
+
+  const runOperationAction = useCallback(async (action) => {
+    if (!currentRepo) return null;
+
+    const type = status?.operation?.type || 'operation';
+    try {
+      const result = await gitApi.runOperationAction(currentRepo.id, action);
+      await loadStatus();
+      await loadLog();
+
+      if (result.conflict) {
+        notify.error(`The ${type} stopped on conflicts. Resolve them and continue.`);
+      } else if (!result.success) {
+        notify.error(`The ${type} stopped: ${result.message}`);
+      } else {
+        notify.success({ continue: `Continued ${type}`, skip: 'Skipped', abort: `Aborted ${type}` }[action]);
+      }
+      return result;
+    } catch (error) {
+      notify.error(`Failed to ${action} ${type}: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, status?.operation?.type, loadStatus, loadLog]);
+
+  return { operation: status?.operation || null, runOperationAction };
+}
+
+/**
+ * Hook for resetting the current branch to a commit
+ */
+export function useGitReset() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+  const { loadLog } = useGitLog();
+  const { loadBranches } = useGitBranch();
+
+  const getResetPreview = useCallback(async (commit) => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.getResetPreview(currentRepo.id, commit);
+      return result.preview;
+    } catch (error) {
+      notify.error(`Failed to preview reset: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
+  const resetTo = useCallback(async (commit, mode) => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.resetTo(currentRepo.id, commit, mode);
+      await loadStatus();
+      await loadLog();
+      await loadBranches();
+      notify.success(`Reset (${mode}) to ${result.to.substring(0, 7)}`);
+      return result;
+    } catch (error) {
+      notify.error(`Failed to reset: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus, loadLog, loadBranches]);
+
+  return { getResetPreview, resetTo };
+}
+
+/**
+ * Hook for the reflog and undoing the last operation
+ */
+export function useGitUndo() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+  const { loadLog } = useGitLog();
+  const { loadBranches } = useGitBranch();
+
+  const getReflog = useCallback(async (ref = 'HEAD', limit) => {
+    if (!currentRepo) return [];
+
+    try {
+      const result = await gitApi.getReflog(currentRepo.id, ref, limit);
+      return result.entries;
+    } catch (error) {
+      notify.error(`Failed to load reflog: ${error.message}`);
+      return [];
+    }
+  }, [currentRepo]);
+
+  const getUndoableOperation = useCallback(async () => {
+    if (!currentRepo) return null;
+
+    try {
+      const { operation, blocked } = await gitApi.getUndoableOperation(currentRepo.id);
+      return operation ? { ...operation, blocked } : null;
+    } catch (error) {
+      return null;
+    }
   }, [currentRepo]);
 
-  return { push, pull, fetch };
+  const undoLastOperation = useCallback(async () => {
+    if (!currentRepo) return;
+
+    try {
+      const result = await gitApi.undoLastOperation(currentRepo.id);
+      await loadStatus();
+      await loadLog();
+      await loadBranches();
+      notify.success(`Undone: ${result.operation.description}`);
+      return result.operation;
+    } catch (error) {
+      notify.error(`Failed to undo: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus, loadLog, loadBranches]);
+
+  return { getReflog, getUndoableOperation, undoLastOperation };
+}
+
+/**
+ * Hook for cherry-picking commits
+ */
+export function useGitCherryPick() {
+  const { currentRepo } = useAppStore();
+  const { loadStatus } = useGitStatus();
+  const { loadLog } = useGitLog();
+
+  // A stopped cherry-pick leaves its conflicts in the status for the user to resolve
+  const runStep = useCallback(async (request, successMessage, failureMessage) => {
+    try {
+      const result = await request();
+      await loadStatus();
+      await loadLog();
+
+      if (result.conflict) {
+        notify.error(`Cherry-pick stopped on conflicts in ${result.conflicted.length} file(s). Resolve them and continue.`);
+      } else if (!result.success) {
+        notify.error(`Cherry-pick stopped: ${result.message}`);
+      } else {
+        notify.success(successMessage);
+      }
+      return result;
+    } catch (error) {
+      notify.error(`${failureMessage}: ${error.message}`);
+      throw error;
+    }
+  }, [loadStatus, loadLog]);
+
+  const cherryPick = useCallback(async (commits, options = {}) => {
+    if (!currentRepo) return null;
+    return runStep(
+      () => gitApi.cherryPick(currentRepo.id, commits, options),
+      commits.length === 1 ? 'Commit cherry-picked' : `${commits.length} commits cherry-picked`,
+      'Failed to cherry-pick'
+    );
+  }, [currentRepo, runStep]);
+
+  const continueCherryPick = useCallback(async () => {
+    if (!currentRepo) return null;
+    return runStep(() => gitApi.cherryPickContinue(currentRepo.id), 'Cherry-pick completed', 'Failed to continue cherry-pick');
+  }, [currentRepo, runStep]);
+
+  const skipCherryPick = useCallback(async () => {
+    if (!currentRepo) return null;
+    return runStep(() => gitApi.cherryPickSkip(currentRepo.id), 'Cherry-pick completed', 'Failed to skip commit');
+  }, [currentRepo, runStep]);
+
+  const abortCherryPick = useCallback(async () => {
+    if (!currentRepo) return;
+
+    try {
+      await gitApi.cherryPickAbort(currentRepo.id);
+      await loadStatus();
+      await loadLog();
+      notify.success('Cherry-pick aborted');
+    } catch (error) {
+      notify.error(`Failed to abort cherry-pick: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadStatus, loadLog]);
+
+  return { cherryPick, continueCherryPick, skipCherryPick, abortCherryPick };
 }
 
 /**
@@ -326,6 +1085,25 @@ export function useGitBranch() {
     }
   }, [currentRepo, loadBranches]);
 
+  // upstream: a remote branch such as 'origin/main', or null to stop tracking
+  const setUpstream = useCallback(async (branch, upstream) => {
+    if (!currentRepo) return;
+
+    try {
+      if (upstream) {
+        await gitApi.setUpstream(currentRepo.id, branch, upstream);
+      } else {
+        await gitApi.unsetUpstream(currentRepo.id, branch);
+      }
+      await loadBranches();
+      await loadStatus();
+      notify.success(upstream ? `'${branch}' now tracks '${upstream}'` : `'${branch}' no longer tracks an upstream`);
+    } catch (error) {
+      notify.error(`Failed to change upstream: ${error.message}`);
+      throw error;
+    }
+  }, [currentRepo, loadBranches, loadStatus]);
+
   return {
     branches,
     loading: loading.branches,
@@ -333,10 +1111,34 @@ export function useGitBranch() {
     createBranch,
     deleteBranch,
     checkout,
-    renameBranch
+    renameBranch,
+    setUpstream
   };
 }
 
+// Turn the history filter into query params, dropping unset values
+function logFilterParams(filter) {
+  const params = {};
+  Object.entries(filter).forEach(([key, value]) => {
+    if (value) params[key] = value;
+  });
+  return params;
+}
+
+// The graph lanes left open below row index of laid out commits, replayed
+// from what each row recorded; matches the lanes getLog returns for a page
+// ending at that row
+function lanesAfter(commits, index) {
+  const lanes = [];
+  commits.slice(0, index + 1).forEach(({ parents, graph }) => {
+    graph.incoming.forEach(lane => { lanes[lane] = null; });
+    graph.outgoing.forEach((lane, i) => { lanes[lane] = parents[i]; });
+  });
+  const open = Array.from(lanes, hash => hash || null);
+  while (open.length > 0 && open[open.length - 1] === null) open.pop();
+  return open;
+}
+
 /**
  * Hook for commit history
  */
@@ -345,6 +1147,11 @@ export function useGitLog() {
     currentRepo,
     commits,
     setCommits,
+    appendCommits,
+    logFilter,
+    setLogFilter,
+    logPage,
+    setLogPage,
     loading,
     setLoading
   } = useAppStore();
@@ -354,22 +1161,136 @@ export function useGitLog() {
 
     setLoading('commits', true);
     try {
-      const result = await gitApi.getLog(currentRepo.id, limit);
+      const result = await gitApi.getLog(currentRepo.id, { limit, ...logFilterParams(logFilter) });
       setCommits(result.log.commits);
+      setLogPage({
+        limit,
+        nextSkip: result.log.nextSkip,
+        lanes: result.log.lanes,
+        hasMore: result.log.hasMore,
+        loadedAt: result.log.loadedAt
+      });
     } catch (error) {
       notify.error(`Failed to get commit history: ${error.message}`);
     } finally {
       setLoading('commits', false);
     }
-  }, [currentRepo?.id, setCommits, setLoading]);
+  }, [currentRepo?.id, logFilter, setCommits, setLogPage, setLoading]);
+
+  // Bring the loaded history up to date without losing the pages the user
+  // has scrolled through, unless it was loaded after changedAt (server time)
+  // anyway. Only the first page is read again: where it ends at a loaded
+  // commit with the graph lanes unchanged, the rest is kept and just gets
+  // the current refs. Waits for other loads of the history to finish.
+  const refreshLog = useCallback(async (changedAt) => {
+    if (!currentRepo) return;
+
+    const busy = ({ loading: current }) => current.commits || current.moreCommits || current.refreshCommits;
+    while (busy(useAppStore.getState())) {
+      await new Promise(resolve => {
+        const unsubscribe = useAppStore.subscribe(state => {
+          if (busy(state)) return;
+          unsubscribe();
+          resolve();
+        });
+      });
+    }
+    const { logPage: page, commits: loaded } = useAppStore.getState();
+    if (changedAt && page.loadedAt >= changedAt) return;
+
+    setLoading('refreshCommits', true);
+    try {
+      const { log } = await gitApi.getLog(currentRepo.id, { limit: page.limit, ...logFilterParams(logFilter) });
+      const last = log.commits[log.commits.length - 1];
+      const cut = log.hasMore && last ? loaded.findIndex(commit => commit.hash === last.hash) : -1;
+      const keep = cut !== -1 && cut < loaded.length - 1 &&
+        JSON.stringify(lanesAfter(loaded, cut)) === JSON.stringify(log.lanes);
+
+      if (keep) {
+        const { refs } = await gitApi.getLogRefs(currentRepo.id);
+        const rest = loaded.slice(cut + 1).map(commit => ({ ...commit, refs: refs[commit.hash] || [] }));
+        setCommits([...log.commits, ...rest]);
+        setLogPage({ ...page, nextSkip: log.nextSkip + rest.length, loadedAt: log.loadedAt });
+      } else {
+        setCommits(log.commits);
+        setLogPage({
+          limit: page.limit,
+          nextSkip: log.nextSkip,
+          lanes: log.lanes,
+          hasMore: log.hasMore,
+          loadedAt: log.loadedAt
+        });
+      }
+    } catch (error) {
+      notify.error(`Failed to refresh commit history: ${error.message}`);
+    } finally {
+      setLoading('refreshCommits', false);
+    }
+  }, [currentRepo?.id, logFilter, setCommits, setLogPage, setLoading]);
+
+  const loadMore = useCallback(async () => {
+    if (!currentRepo) return;
+
+    // Read the latest state so scroll events firing in a burst load a page only once
+    const { loading: current, logPage: page } = useAppStore.getState();
+    if (!page.hasMore || current.commits || current.moreCommits || current.refreshCommits) return;
+
+    setLoading('moreCommits', true);
+    try {
+      const result = await gitApi.getLog(currentRepo.id, {
+        limit: page.limit,
+        skip: page.nextSkip,
+        lanes: page.lanes.map(hash => hash || '').join(','),
+        ...logFilterParams(logFilter)
+      });
+      appendCommits(result.log.commits);
+      setLogPage({
+        ...page,
+        nextSkip: result.log.nextSkip,
+        lanes: result.log.lanes,
+        hasMore: result.log.hasMore
+      });
+    } catch (error) {
+      notify.error(`Failed to load more commits: ${error.message}`);
+    } finally {
+      setLoading('moreCommits', false);
+    }
+  }, [currentRepo?.id, logFilter, appendCommits, setLogPage, setLoading]);
 
   return {
     commits,
     loading: loading.commits,
-    loadLog
+    loadingMore: loading.moreCommits,
+    hasMore: logPage.hasMore,
+    logFilter,
+    setLogFilter,
+    loadLog,
+    refreshLog,
+    loadMore
   };
 }
 
+/**
+ * Hook for single commit details
+ */
+export function useGitCommitDetail() {
+  const { currentRepo } = useAppStore();
+
+  const getCommitDetail = useCallback(async (hash) => {
+    if (!currentRepo || !hash) return null;
+
+    try {
+      const result = await gitApi.getCommit(currentRepo.id, hash);
+      return result.commit;
+    } catch (error) {
+      notify.error(`Failed to get commit details: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
+  return { getCommitDetail };
+}
+
 /**
  * Hook for diff operations
  */
@@ -388,6 +1309,18 @@ export function useGitDiff() {
     }
   }, [currentRepo]);
 
+  const getDiffHunks = useCallback(async (file, options = {}) => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.getDiffHunks(currentRepo.id, file, options);
+      return result.diff;
+    } catch (error) {
+      notify.error(`Failed to get diff hunks: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
   const getDiffSummary = useCallback(async (cached = false) => {
     if (!currentRepo) return null;
 
@@ -400,5 +1333,18 @@ export function useGitDiff() {
     }
   }, [currentRepo]);
 
-  return { getDiff, getDiffSummary };
+  // mode: 'three-dot' (changes since the merge base) or 'two-dot' (direct)
+  const compareRefs = useCallback(async (base, target, mode) => {
+    if (!currentRepo) return null;
+
+    try {
+      const result = await gitApi.compare(currentRepo.id, base, target, mode);
+      return result.comparison;
+    } catch (error) {
+      notify.error(`Failed to compare: ${error.message}`);
+      return null;
+    }
+  }, [currentRepo]);
+
+  return { getDiff, getDiffHunks, getDiffSummary, compareRefs };
 }
@@ -24,10 +24,10 @@ export const repoApi = {
   add: (path, name) => api.post('/repos', { path, name }),
   remove: (id) => api.delete(`/repos/${id}`),
   update: (id, data) => api.put(`/repos/${id}`, data),
-  clone: (url, path, name) => api.post('/repos/clone', { url, path, name }),
+  clone: (url, path, name) => api.post('/repos/clone', { url, path, name, background: true }),
   getStatus: (id) => api.get(`/repos/${id}/status`),
   getBranches: (id) => api.get(`/repos/${id}/branches`),
-  getLog: (id, limit = 100) => api.get(`/repos/${id}/log?limit=${limit}`)
+  getLog: (id, options = {}) => api.get(`/repos/${id}/log`, { params: { limit: 100, ...options } })
 };
 
 // Git operation APIs
@@ -38,17 +38,45 @@ export const gitApi = {
   // Stage/Unstage
   add: (repoId, files) => api.post('/git/add', { repoId, files }),
   reset: (repoId, files) => api.post('/git/reset', { repoId, files }),
+  stageLines: (repoId, file, selection) =>
+    api.post('/git/stage-lines', { repoId, file, ...selection }),
+  unstageLines: (repoId, file, selection) =>
+    api.post('/git/unstage-lines', { repoId, file, ...selection }),
+
+  // Discard
+  discard: (repoId, files) => api.post('/git/discard', { repoId, files }),
+  discardLines: (repoId, file, selection) =>
+    api.post('/git/discard-lines', { repoId, file, ...selection }),
+  getDiscarded: (repoId) => api.get('/git/discarded', { params: { repoId } }),
+  restoreDiscarded: (repoId, id) => api.post('/git/discarded/restore', { repoId, id }),
+  getConflicts: (repoId) => api.get('/git/conflicts', { params: { repoId } }),
+  getConflict: (repoId, file) => api.get('/git/conflict', { params: { repoId, file } }),
+  resolveConflict: (repoId, file, content, deleted = false) =>
+    api.post('/git/conflict/resolve', { repoId, file, content, deleted }),
+  takeConflictSide: (repoId, files, side) =>
+    api.post('/git/conflict/take', { repoId, files, side }),
 
   // Commit
-  commit: (repoId, message) => api.post('/git/commit', { repoId, message }),
-
-  // Push/Pull/Fetch
-  push: (repoId, remote, branch, setUpstream) =>
-    api.post('/git/push', { repoId, remote, branch, setUpstream }),
-  pull: (repoId, remote, branch) =>
-    api.post('/git/pull', { repoId, remote, branch }),
+  commit: (repoId, message, options = {}) =>
+    api.post('/git/commit', { repoId, message, ...options }),
+  getCommitMessageInfo: (repoId) =>
+    api.get('/git/commit-message', { params: { repoId } }),
+  lintCommitMessage: (message) =>
+    api.post('/git/commit-message/lint', { message }),
+  getLastCommit: (repoId) =>
+    api.get('/git/last-commit', { params: { repoId } }),
+
+  // Push/Pull/Fetch and their previews, run as background jobs
+  push: (repoId, remote, branch, options = {}) =>
+    api.post('/git/push', { repoId, remote, branch, ...options, background: true }),
+  getPushPreview: (repoId, remote, branch, options = {}) =>
+    api.get('/git/push/preview', { params: { repoId, remote, branch, ...options, background: true } }),
+  pull: (repoId, remote, branch, options = {}) =>
+    api.post('/git/pull', { repoId, remote, branch, ...options, background: true }),
+  getPullPreview: (repoId, remote, branch) =>
+    api.get('/git/pull/preview', { params: { repoId, remote, branch, background: true } }),
   fetch: (repoId, remote) =>
-    api.post('/git/fetch', { repoId, remote }),
+    api.post('/git/fetch', { repoId, remote, background: true }),
   prune: (repoId, remote) =>
     api.post('/git/prune', { repoId, remote }),
   getStaleBranches: (repoId, remote) =>
@@ -68,24 +96,45 @@ export const gitApi = {
     api.post('/git/checkout-remote', { repoId, remoteBranch, localBranch }),
   renameBranch: (repoId, oldName, newName) =>
     api.post('/git/rename-branch', { repoId, oldName, newName }),
+  setUpstream: (repoId, branch, upstream) =>
+    api.post('/git/upstream', { repoId, branch, upstream }),
+  unsetUpstream: (repoId, branch) =>
+    api.delete('/git/upstream', { data: { repoId, branch } }),
 
   // Log & Diff
-  getLog: (repoId, limit = 100) =>
-    api.get('/git/log', { params: { repoId, limit } }),
+  getLog: (repoId, options = {}) =>
+    api.get('/git/log', { params: { repoId, limit: 100, ...options } }),
+  getLogRefs: (repoId) => api.get('/git/log/refs', { params: { repoId } }),
+  getCommit: (repoId, hash) =>
+    api.get(`/git/commit/${encodeURIComponent(hash)}`, { params: { repoId } }),
   getDiff: (repoId, options = {}) =>
     api.get('/git/diff', { params: { repoId, ...options } }),
+  getDiffHunks: (repoId, file, options = {}) =>
+    api.get('/git/diff-hunks', { params: { repoId, file, ...options } }),
   getDiffSummary: (repoId, cached = false) =>
     api.get('/git/diff-summary', { params: { repoId, cached } }),
+  compare: (repoId, base, target, mode) =>
+    api.get('/git/compare', { params: { repoId, base, target, mode } }),
 
   // Merge & Rebase
   merge: (repoId, branch, options = {}) =>
     api.post('/git/merge', { repoId, branch, ...options }),
+  getMergePreview: (repoId, branch) =>
+    api.get('/git/merge/preview', { params: { repoId, branch } }),
   rebase: (repoId, branch) =>
     api.post('/git/rebase', { repoId, branch }),
   rebaseAbort: (repoId) =>
     api.post('/git/rebase/abort', { repoId }),
   rebaseContinue: (repoId) =>
     api.post('/git/rebase/continue', { repoId }),
+  rebaseSkip: (repoId) =>
+    api.post('/git/rebase/skip', { repoId }),
+  rebaseInteractive: (repoId, branch, todo, onto) =>
+    api.post('/git/rebase', { repoId, branch, interactive: true, todo, onto }),
+  getRebaseTodo: (repoId, branch) =>
+    api.get('/git/rebase/todo', { params: { repoId, branch } }),
+  getRebaseState: (repoId) =>
+    api.get('/git/rebase/state', { params: { repoId } }),
 
   // Stash
   stash: (repoId, options = {}) =>
@@ -102,14 +151,76 @@ export const gitApi = {
     api.get('/git/tags', { params: { repoId } }),
 
   // Reset & Revert
-  reset: (repoId, commit, mode) =>
-    api.post('/git/reset', { repoId, commit, mode }),
+  resetTo: (repoId, commit, mode) =>
+    api.post('/git/reset-to', { repoId, commit, mode }),
+  getResetPreview: (repoId, commit) =>
+    api.get('/git/reset-to/preview', { params: { repoId, commit } }),
+  getReflog: (repoId, ref, limit) =>
+    api.get('/git/reflog', { params: { repoId, ref, limit } }),
+  getUndoableOperation: (repoId) =>
+    api.get('/git/undo', { params: { repoId } }),
+  undoLastOperation: (repoId) =>
+    api.post('/git/undo', { repoId }),
   revert: (repoId, commit, noCommit) =>
     api.post('/git/revert', { repoId, commit, noCommit }),
+  runOperationAction: (repoId, action) =>
+    api.post(`/git/operation/${action}`, { repoId }),
+  cherryPick: (repoId, commits, options = {}) =>
+    api.post('/git/cherry-pick', { repoId, commits, ...options }),
+  cherryPickContinue: (repoId) =>
+    api.post('/git/cherry-pick/continue', { repoId }),
+  cherryPickSkip: (repoId) =>
+    api.post('/git/cherry-pick/skip', { repoId }),
+  cherryPickAbort: (repoId) =>
+    api.post('/git/cherry-pick/abort', { repoId }),
 
   // Remotes
   getRemotes: (repoId) =>
-    api.get('/git/remotes', { params: { repoId } })
+    api.get('/git/remotes', { params: { repoId } }),
+  addRemote: (repoId, name, url, pushUrls, fetch) =>
+    api.post('/git/remote', { repoId, name, url, pushUrls, fetch }),
+  updateRemote: (repoId, name, url, pushUrls) =>
+    api.put('/git/remote', { repoId, name, url, pushUrls }),
+  removeRemote: (repoId, name) =>
+    api.delete('/git/remote', { data: { repoId, name } }),
+  renameRemote: (repoId, oldName, newName) =>
+    api.post('/git/rename-remote', { repoId, oldName, newName }),
+
+  // Lock files
+  getLocks: (repoId) =>
+    api.get('/git/locks', { params: { repoId } }),
+  removeStaleLocks: (repoId) =>
+    api.delete('/git/locks', { data: { repoId } })
+};
+
+// Remote name that makes fetch, pull, push and the stale branch scan target every remote
+export const ALL_REMOTES = '*';
+
+// Background job APIs
+export const jobApi = {
+  list: (repoId) => api.get('/jobs', { params: { repoId } }),
+  get: (id) => api.get(`/jobs/${id}`),
+  cancel: (id) => api.post(`/jobs/${id}/cancel`),
+  // Follow a job over Server-Sent Events until it finishes, resolving with its result
+  watch: (id, onUpdate) => new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${id}/events`);
+    source.onmessage = (event) => {
+      const job = JSON.parse(event.data);
+      if (onUpdate) onUpdate(job);
+      if (!job.finishedAt) return;
+
+      source.close();
+      if (job.state === 'succeeded') {
+        resolve(job.result);
+      } else {
+        reject(new Error(job.error || `Job ${job.state}`));
+      }
+    };
+    source.onerror = () => {
+      source.close();
+      reject(new Error('Lost connection to the server while following the job'));
+    };
+  })
 };
 
 // Config APIs
@@ -1,6 +1,14 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 
+const DEFAULT_LOG_FILTER = {
+  all: false,
+  branch: null,
+  range: '',
+  since: null,
+  until: null
+};
+
 export const useAppStore = create(
   persist(
     (set, get) => ({
@@ -16,6 +24,10 @@ export const useAppStore = create(
       repos: [],
       setRepos: (repos) => set({ repos }),
 
+      // Application settings from /api/config
+      settings: null,
+      setSettings: (settings) => set({ settings }),
+
       // Status
       status: null,
       setStatus: (status) => set({ status }),
@@ -24,20 +36,61 @@ export const useAppStore = create(
       branches: null,
       setBranches: (branches) => set({ branches }),
 
+      // Remotes of the current repository, and the one fetch/pull/push target
+      remotes: [],
+      setRemotes: (remotes) => set({ remotes }),
+      activeRemote: 'origin',
+      setActiveRemote: (activeRemote) => set({ activeRemote }),
+
+      // Pull strategy and autostash last used, by repo ID
+      pullDefaults: {},
+      setPullDefaults: (repoId, defaults) => set(state => ({
+        pullDefaults: { ...state.pullDefaults, [repoId]: defaults }
+      })),
+
       // Commit history
       commits: [],
       setCommits: (commits) => set({ commits }),
+      appendCommits: (commits) => set(state => ({ commits: [...state.commits, ...commits] })),
+
+      // Commit history filter (scope, range and dates)
+      logFilter: DEFAULT_LOG_FILTER,
+      setLogFilter: (filter) => set(state => ({
+        logFilter: { ...state.logFilter, ...filter }
+      })),
+      resetLogFilter: () => set({ logFilter: DEFAULT_LOG_FILTER }),
+
+      // Pagination cursor for the loaded history, and the server time its
+      // first page was read
+      logPage: {
+        limit: 100,
+        nextSkip: 0,
+        lanes: [],
+        hasMore: false,
+        loadedAt: 0
+      },
+      setLogPage: (logPage) => set({ logPage }),
 
       // Selected commit
       selectedCommit: null,
       setSelectedCommit: (commit) => set({ selectedCommit: commit }),
 
+      // Background jobs (clone, fetch, pull, push) by id, as last reported
+      jobs: {},
+      setJob: (job) => set(state => ({ jobs: { ...state.jobs, [job.id]: job } })),
+      removeJob: (id) => set(state => {
+        const { [id]: removed, ...jobs } = state.jobs;
+        return { jobs };
+      }),
+
       // Loading states
       loading: {
         repos: false,
         status: false,
         branches: false,
         commits: false,
+        moreCommits: false,
+        refreshCommits: false,
         operation: false
       },
       setLoading: (key, value) => set(state => ({
@@ -65,7 +118,8 @@ export const useAppStore = create(
       name: 'mygit-storage',
       partialize: (state) => ({
         darkMode: state.darkMode,
-        currentRepo: state.currentRepo
+        currentRepo: state.currentRepo,
+        pullDefaults: state.pullDefaults
       })
     }
   )
@@ -9,7 +9,9 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3000',
         changeOrigin: true,
-        timeout: 60000
+        timeout: 60000,
+        // Live repository updates (/api/watch)
+        ws: true
       }
     }
   }
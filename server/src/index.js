@@ -5,6 +5,8 @@ import { dirname, join } from 'path';
 import repoRoutes from './routes/repo.js';
 import gitRoutes from './routes/git.js';
 import configRoutes from './routes/config.js';
+import jobRoutes from './routes/jobs.js';
+import { attachWatchSocket } from './routes/watch.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -39,6 +41,7 @@ app.use(express.static(join(__dirname, '../../client/dist')));
 app.use('/api/repos', repoRoutes);
 app.use('/api/git', gitRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Serve React app for all other routes in production
 app.get('*', (req, res) => {
@@ -54,6 +57,9 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`MyGit server running at http://localhost:${PORT}`);
 });
+
+// Live repository updates for the browser
+attachWatchSocket(server);
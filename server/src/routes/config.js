@@ -1,13 +1,5 @@
 import express from 'express';
-import fs from 'fs-extra';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const CONFIG_DIR = join(__dirname, '../../data');
-const SETTINGS_FILE = join(CONFIG_DIR, 'settings.json');
+import settingsService from '../services/settingsService.js';
 
 const router = express.Router();
 
@@ -16,19 +8,7 @@ const router = express.Router();
  */
 router.get('/', async (req, res) => {
   try {
-    const exists = await fs.pathExists(SETTINGS_FILE);
-    if (!exists) {
-      return res.json({
-        success: true,
-        settings: {
-          theme: 'light',
-          editor: 'vscode',
-          confirmActions: true
-        }
-      });
-    }
-
-    const settings = await fs.readJson(SETTINGS_FILE);
+    const settings = await settingsService.get();
     res.json({ success: true, settings });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -40,17 +20,7 @@ router.get('/', async (req, res) => {
  */
 router.put('/', async (req, res) => {
   try {
-    await fs.ensureDir(CONFIG_DIR);
-
-    let existing = {};
-    const exists = await fs.pathExists(SETTINGS_FILE);
-    if (exists) {
-      existing = await fs.readJson(SETTINGS_FILE);
-    }
-
-    const settings = { ...existing, ...req.body };
-    await fs.writeJson(SETTINGS_FILE, settings, { spaces: 2 });
-
+    const settings = await settingsService.update(req.body);
     res.json({ success: true, settings });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
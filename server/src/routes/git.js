@@ -1,5 +1,8 @@
 import express from 'express';
 import repoService from '../services/repoService.js';
+import settingsService from '../services/settingsService.js';
+import jobService from '../services/jobService.js';
+import { lintCommitMessage } from '../services/commitMessage.js';
 
 const router = express.Router();
 
@@ -24,6 +27,81 @@ const getRepoMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Wrap a command on the request's repository as a job (see jobService). The
+ * git service handed to run is bound to the job, so cancelling the job
+ * interrupts git; lock files an interrupted command leaves behind are
+ * removed before the next job of the repository starts.
+ */
+const repoJob = (req, run) => async ({ signal, onProgress }) => {
+  try {
+    return await run(repoService.getGitService(req.repo.path, { signal }), { onProgress });
+  } finally {
+    if (signal.aborted) {
+      await repoService.getGitService(req.repo.path).removeStaleLocks().catch(() => {});
+    }
+  }
+};
+
+/**
+ * Middleware for routes that change the repository: the request runs as a
+ * job of the repository's queue until it responds, so concurrent commands
+ * wait for each other instead of failing on index.lock. The job is listed in
+ * GET /api/jobs and can be cancelled from there.
+ */
+const queueMiddleware = (req, res, next) => {
+  const { job, done } = jobService.enqueue(req.path.slice(1), { repoId: req.repo.id }, repoJob(req, (git) => {
+    req.git = git;
+    return new Promise((resolve, reject) => {
+      // Every handler ends with res.json, which is when its command is done
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        json(body);
+        if (res.statusCode >= 400) {
+          reject(new Error(body?.error || `Request failed with status ${res.statusCode}`));
+        } else {
+          resolve(null);
+        }
+        return res;
+      };
+      next();
+    });
+  }));
+
+  done.catch((error) => {
+    // Cancelled while waiting in the queue
+    if (!res.headersSent) {
+      res.status(409).json({ success: false, error: error.message });
+    }
+  });
+
+  // Nobody is waiting for a command the client gave up on before it started
+  res.on('close', () => {
+    if (!res.writableFinished && jobService.get(job.id)?.state === 'queued') {
+      jobService.cancel(job.id);
+    }
+  });
+};
+
+// How a remote parameter reads in job titles ('*' targets every remote)
+const describeRemote = (remote) => (remote === '*' ? 'all remotes' : remote || 'origin');
+
+/**
+ * Build getLog options from query parameters.
+ * `lanes` is the comma separated lane state returned with the previous page,
+ * empty entries being free lanes.
+ */
+export const parseLogQuery = (query) => ({
+  maxCount: parseInt(query.limit) || 100,
+  skip: parseInt(query.skip) || 0,
+  lanes: query.lanes ? query.lanes.split(',').map(hash => hash || null) : [],
+  all: query.all === 'true',
+  branch: query.branch || undefined,
+  range: query.range || undefined,
+  since: query.since || undefined,
+  until: query.until || undefined
+});
+
 /**
  * GET /api/git/status - Get repository status
  */
@@ -36,10 +114,36 @@ router.get('/status', getRepoMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/git/locks - Lock files in the repository and whether they are stale
+ */
+router.get('/locks', getRepoMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.getLocks();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/git/locks - Remove stale lock files. Queued like any other
+ * command, so none of ours is running; refused while another git process
+ * is working in the repository.
+ */
+router.delete('/locks', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.removeStaleLocks();
+    res.json(result);
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/git/add - Stage files
  */
-router.post('/add', getRepoMiddleware, async (req, res) => {
+router.post('/add', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { files } = req.body;
     await req.git.add(files);
@@ -52,7 +156,7 @@ router.post('/add', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/reset - Unstage files
  */
-router.post('/reset', getRepoMiddleware, async (req, res) => {
+router.post('/reset', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { files } = req.body;
     await req.git.reset(files);
@@ -62,16 +166,212 @@ router.post('/reset', getRepoMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/git/diff-hunks - Get a file's diff split into hunks and lines
+ */
+router.get('/diff-hunks', getRepoMiddleware, async (req, res) => {
+  try {
+    const { file, cached, untracked } = req.query;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+    const diff = await req.git.getDiffHunks(file, {
+      cached: cached === 'true',
+      untracked: untracked === 'true'
+    });
+    res.json({ success: true, diff });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/stage-lines - Stage selected hunks/lines of a file
+ */
+router.post('/stage-lines', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { file, hunks, lines, diffId } = req.body;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+    await req.git.stageLines(file, { hunks, lines, diffId });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/unstage-lines - Unstage selected hunks/lines of a file
+ */
+router.post('/unstage-lines', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { file, hunks, lines, diffId } = req.body;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+    await req.git.unstageLines(file, { hunks, lines, diffId });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/discard - Discard working tree changes of files
+ */
+router.post('/discard', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { files } = req.body;
+    if (!files || !Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ success: false, error: 'Files array is required' });
+    }
+    const result = await req.git.discardFiles(files);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/discard-lines - Discard selected hunks/lines of a file
+ */
+router.post('/discard-lines', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { file, hunks, lines, diffId } = req.body;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+    const result = await req.git.discardLines(file, { hunks, lines, diffId });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/discarded - List snapshots of discarded changes
+ */
+router.get('/discarded', getRepoMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.getDiscarded();
+    res.json({ success: true, entries: result.entries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/discarded/restore - Restore a discarded snapshot
+ */
+router.post('/discarded/restore', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { id } = req.body;
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Snapshot id is required' });
+    }
+    const result = await req.git.restoreDiscarded(id);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/conflicts - List conflicted files
+ */
+router.get('/conflicts', getRepoMiddleware, async (req, res) => {
+  try {
+    const conflicts = await req.git.getConflicts();
+    res.json({ success: true, conflicts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/conflict - Get base/ours/theirs versions and conflict blocks of a file
+ */
+router.get('/conflict', getRepoMiddleware, async (req, res) => {
+  try {
+    const { file } = req.query;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+    const conflict = await req.git.getConflictFile(file);
+    res.json({ success: true, conflict });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/conflict/resolve - Mark a file resolved with edited content
+ */
+router.post('/conflict/resolve', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { file, content, deleted } = req.body;
+    if (!file) {
+      return res.status(400).json({ success: false, error: 'File is required' });
+    }
+    if (!deleted && typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'Resolved content is required' });
+    }
+    const result = await req.git.resolveConflict(file, deleted ? null : content);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/conflict/take - Resolve files by taking ours or theirs
+ */
+router.post('/conflict/take', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { files, side } = req.body;
+    if (!files || files.length === 0) {
+      return res.status(400).json({ success: false, error: 'Files are required' });
+    }
+    if (!['ours', 'theirs'].includes(side)) {
+      return res.status(400).json({ success: false, error: 'Side must be "ours" or "theirs"' });
+    }
+    const result = await req.git.takeConflictSide(files, side);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/git/commit - Commit changes
  */
-router.post('/commit', getRepoMiddleware, async (req, res) => {
+router.post('/commit', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, amend, includeStaged, author, date, noVerify, signoff, allowEmpty } = req.body;
     if (!message) {
       return res.status(400).json({ success: false, error: 'Commit message is required' });
     }
-    const result = await req.git.commit(message);
+
+    const { commitLint } = await settingsService.get();
+    if (commitLint.enabled && commitLint.mode === 'block') {
+      const problems = lintCommitMessage(message, commitLint);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Commit message does not follow Conventional Commits: ${problems[0].message}`,
+          problems
+        });
+      }
+    }
+
+    const result = await req.git.commit(message, {
+      amend, includeStaged, author, date, noVerify, signoff, allowEmpty
+    });
+    // A refusing hook is reported with its output rather than as an error
+    if (result.hookFailed) {
+      return res.json(result);
+    }
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -79,12 +379,70 @@ router.post('/commit', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/git/push - Push to remote
+ * GET /api/git/commit-message - Get the commit template and recently used messages
+ */
+router.get('/commit-message', getRepoMiddleware, async (req, res) => {
+  try {
+    const template = await req.git.getCommitTemplate();
+    const recent = await req.git.getRecentMessages();
+    res.json({ success: true, template, recent });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/commit-message/lint - Check a message against the Conventional Commits settings
+ */
+router.post('/commit-message/lint', async (req, res) => {
+  try {
+    const { message } = req.body;
+    const { commitLint } = await settingsService.get();
+    const problems = commitLint.enabled ? lintCommitMessage(message || '', commitLint) : [];
+    res.json({ success: true, enabled: commitLint.enabled, mode: commitLint.mode, problems });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/last-commit - Get the commit an amend would rewrite
+ */
+router.get('/last-commit', getRepoMiddleware, async (req, res) => {
+  try {
+    const commit = await req.git.getLastCommit();
+    res.json({ success: true, commit });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/push - Push to remote (`remoteBranch`, `forceWithLease` with
+ * `expected`, `all`, `tags`, `delete`).
+ * With `background` the push runs as a job and the response is the job.
  */
 router.post('/push', getRepoMiddleware, async (req, res) => {
   try {
-    const { remote, branch, setUpstream } = req.body;
-    const result = await req.git.push(remote || 'origin', branch, { setUpstream });
+    const {
+      remote, branch, remoteBranch, setUpstream, noVerify, forceWithLease, expected, all, tags, background
+    } = req.body;
+    const title = req.body.delete
+      ? `Delete ${remoteBranch || branch} from ${describeRemote(remote)}`
+      : `Push to ${describeRemote(remote)}`;
+    const meta = { repoId: req.repo.id, title };
+    const run = repoJob(req, (git, { onProgress }) => git.push(remote || 'origin', branch, {
+      remoteBranch, setUpstream, noVerify, forceWithLease, expected, all, tags, delete: req.body.delete, onProgress
+    }));
+    if (background) {
+      const job = jobService.start('push', meta, run);
+      return res.status(202).json({ success: true, job });
+    }
+
+    const result = await jobService.enqueue('push', meta, run).done;
+    if (result.hookFailed) {
+      return res.json(result);
+    }
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -92,12 +450,50 @@ router.post('/push', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/git/pull - Pull from remote
+ * GET /api/git/push/preview - Fetch, then list the refs a push with the same
+ * options would update and the commits it would send or overwrite.
+ * With `background` the preview runs as a job and the response is the job.
+ */
+router.get('/push/preview', getRepoMiddleware, async (req, res) => {
+  try {
+    const { remote, branch, remoteBranch, all, tags, background } = req.query;
+    const meta = { repoId: req.repo.id, title: `Preview push to ${describeRemote(remote)}` };
+    const run = repoJob(req, (git, { onProgress }) => git.getPushPreview(remote || 'origin', branch, {
+      remoteBranch,
+      all: all === 'true',
+      tags: tags === 'true',
+      delete: req.query.delete === 'true',
+      onProgress
+    }));
+    if (background === 'true') {
+      const job = jobService.start('push-preview', meta, run);
+      return res.status(202).json({ success: true, job });
+    }
+
+    const preview = await jobService.enqueue('push-preview', meta, run).done;
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/pull - Pull from remote (`strategy`: merge/rebase/ff-only,
+ * `autostash`).
+ * With `background` the pull runs as a job and the response is the job.
  */
 router.post('/pull', getRepoMiddleware, async (req, res) => {
   try {
-    const { remote, branch } = req.body;
-    const result = await req.git.pull(remote || 'origin', branch);
+    const { remote, branch, strategy, autostash, background } = req.body;
+    const meta = { repoId: req.repo.id, title: `Pull from ${describeRemote(remote)}` };
+    const run = repoJob(req, (git, { onProgress }) =>
+      git.pull(remote || 'origin', branch, { strategy, autostash, onProgress }));
+    if (background) {
+      const job = jobService.start('pull', meta, run);
+      return res.status(202).json({ success: true, job });
+    }
+
+    const result = await jobService.enqueue('pull', meta, run).done;
     res.json({ success: true, result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -105,12 +501,43 @@ router.post('/pull', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/git/fetch - Fetch from remote
+ * GET /api/git/pull/preview - Fetch, then list the commits and files a pull
+ * would bring in.
+ * With `background` the preview runs as a job and the response is the job.
+ */
+router.get('/pull/preview', getRepoMiddleware, async (req, res) => {
+  try {
+    const { remote, branch, background } = req.query;
+    const meta = { repoId: req.repo.id, title: `Preview pull from ${describeRemote(remote)}` };
+    const run = repoJob(req, (git, { onProgress }) =>
+      git.getPullPreview(remote || 'origin', branch, { onProgress }));
+    if (background === 'true') {
+      const job = jobService.start('pull-preview', meta, run);
+      return res.status(202).json({ success: true, job });
+    }
+
+    const preview = await jobService.enqueue('pull-preview', meta, run).done;
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/fetch - Fetch from remote.
+ * With `background` the fetch runs as a job and the response is the job.
  */
 router.post('/fetch', getRepoMiddleware, async (req, res) => {
   try {
-    const { remote } = req.body;
-    await req.git.fetch(remote || 'origin');
+    const { remote, background } = req.body;
+    const meta = { repoId: req.repo.id, title: `Fetch ${describeRemote(remote)}` };
+    const run = repoJob(req, (git, { onProgress }) => git.fetch(remote || 'origin', { onProgress }));
+    if (background) {
+      const job = jobService.start('fetch', meta, run);
+      return res.status(202).json({ success: true, job });
+    }
+
+    await jobService.enqueue('fetch', meta, run).done;
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -120,7 +547,7 @@ router.post('/fetch', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/prune - Prune stale remote-tracking branches
  */
-router.post('/prune', getRepoMiddleware, async (req, res) => {
+router.post('/prune', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { remote } = req.body;
     await req.git.prune(remote || 'origin');
@@ -131,12 +558,14 @@ router.post('/prune', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * GET /api/git/stale-branches - Get stale local branches
+ * GET /api/git/stale-branches - Get stale local branches, leaving out the
+ * repository's protected branches
  */
-router.get('/stale-branches', getRepoMiddleware, async (req, res) => {
+router.get('/stale-branches', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { remote } = req.query;
-    const result = await req.git.getStaleBranches(remote || 'origin');
+    const { protectedBranches, staleDays } = req.repo;
+    const result = await req.git.getStaleBranches(remote || 'origin', { protectedBranches, staleDays });
     res.json({ success: true, ...result });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -146,7 +575,7 @@ router.get('/stale-branches', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/delete-branches - Delete multiple local branches
  */
-router.post('/delete-branches', getRepoMiddleware, async (req, res) => {
+router.post('/delete-branches', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { branches, force } = req.body;
     if (!branches || !Array.isArray(branches) || branches.length === 0) {
@@ -174,7 +603,7 @@ router.get('/branches', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/branch - Create branch
  */
-router.post('/branch', getRepoMiddleware, async (req, res) => {
+router.post('/branch', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { name, startPoint } = req.body;
     if (!name) {
@@ -190,7 +619,7 @@ router.post('/branch', getRepoMiddleware, async (req, res) => {
 /**
  * DELETE /api/git/branch - Delete branch
  */
-router.delete('/branch', getRepoMiddleware, async (req, res) => {
+router.delete('/branch', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { name, force } = req.body;
     if (!name) {
@@ -206,7 +635,7 @@ router.delete('/branch', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/checkout - Switch branch
  */
-router.post('/checkout', getRepoMiddleware, async (req, res) => {
+router.post('/checkout', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { branch } = req.body;
     if (!branch) {
@@ -222,7 +651,7 @@ router.post('/checkout', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/checkout-remote - Checkout remote branch as new local branch
  */
-router.post('/checkout-remote', getRepoMiddleware, async (req, res) => {
+router.post('/checkout-remote', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { remoteBranch, localBranch } = req.body;
     if (!remoteBranch || !localBranch) {
@@ -238,7 +667,7 @@ router.post('/checkout-remote', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/rename-branch - Rename branch
  */
-router.post('/rename-branch', getRepoMiddleware, async (req, res) => {
+router.post('/rename-branch', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { oldName, newName } = req.body;
     if (!oldName || !newName) {
@@ -252,28 +681,85 @@ router.post('/rename-branch', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * GET /api/git/log - Get commit history
+ * POST /api/git/upstream - Make a local branch track a remote branch
+ */
+router.post('/upstream', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { branch, upstream } = req.body;
+    if (!branch || !upstream) {
+      return res.status(400).json({ success: false, error: 'Branch and upstream are required' });
+    }
+    await req.git.setUpstream(branch, upstream);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/git/upstream - Stop a local branch from tracking its upstream
+ */
+router.delete('/upstream', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { branch } = req.body;
+    if (!branch) {
+      return res.status(400).json({ success: false, error: 'Branch is required' });
+    }
+    await req.git.unsetUpstream(branch);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/log - Get commit history (paginated with skip/lanes)
  */
 router.get('/log', getRepoMiddleware, async (req, res) => {
   try {
-    const log = await req.git.getLog({
-      maxCount: parseInt(req.query.limit) || 100
-    });
+    const log = await req.git.getLog(parseLogQuery(req.query));
     res.json({ success: true, log });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/git/log/refs - The refs decorating each commit a ref points at,
+ * by hash, for redecorating history that is already loaded
+ */
+router.get('/log/refs', getRepoMiddleware, async (req, res) => {
+  try {
+    const refs = await req.git.getRefDecorations();
+    res.json({ success: true, refs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/commit/:hash - Get commit details and changed files
+ */
+router.get('/commit/:hash', getRepoMiddleware, async (req, res) => {
+  try {
+    const commit = await req.git.getCommitDetail(req.params.hash);
+    res.json({ success: true, commit });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/git/diff - Get diff
  */
 router.get('/diff', getRepoMiddleware, async (req, res) => {
   try {
-    const { cached, file, commit1, commit2 } = req.query;
+    const { cached, untracked, file, oldFile, commit1, commit2 } = req.query;
     const diff = await req.git.getDiff({
       cached: cached === 'true',
+      untracked: untracked === 'true',
       file,
+      oldFile,
       commit1,
       commit2
     });
@@ -298,10 +784,27 @@ router.get('/diff-summary', getRepoMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/git/compare - Compare two refs (`base`, `target`, `mode`:
+ * three-dot or two-dot)
+ */
+router.get('/compare', getRepoMiddleware, async (req, res) => {
+  try {
+    const { base, target, mode } = req.query;
+    if (!base || !target) {
+      return res.status(400).json({ success: false, error: 'Base and target are required' });
+    }
+    const comparison = await req.git.compareRefs(base, target, mode || 'three-dot');
+    res.json({ success: true, comparison });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/git/merge - Merge branch
  */
-router.post('/merge', getRepoMiddleware, async (req, res) => {
+router.post('/merge', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { branch, noFF, squash } = req.body;
     if (!branch) {
@@ -315,25 +818,75 @@ router.post('/merge', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/git/rebase - Rebase
+ * GET /api/git/merge/preview - Tell whether merging a branch would be a
+ * fast-forward, clean or conflicting, without merging
  */
-router.post('/rebase', getRepoMiddleware, async (req, res) => {
+router.get('/merge/preview', getRepoMiddleware, async (req, res) => {
   try {
-    const { branch } = req.body;
+    const { branch } = req.query;
     if (!branch) {
       return res.status(400).json({ success: false, error: 'Branch name is required' });
     }
-    const result = await req.git.rebase(branch);
+    const preview = await req.git.getMergePreview(branch);
+    res.json({ success: true, ...preview });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/rebase - Rebase, interactively when a todo list is given
+ */
+router.post('/rebase', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { branch, interactive, todo, onto } = req.body;
+    if (!branch) {
+      return res.status(400).json({ success: false, error: 'Branch name is required' });
+    }
+    if (interactive && (!Array.isArray(todo) || todo.length === 0)) {
+      return res.status(400).json({ success: false, error: 'Todo list is required for an interactive rebase' });
+    }
+    const result = interactive
+      ? await req.git.rebaseInteractive(branch, todo, { onto })
+      : await req.git.rebase(branch);
     res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * GET /api/git/rebase/todo - Get the todo list of an interactive rebase onto a branch
+ */
+router.get('/rebase/todo', getRepoMiddleware, async (req, res) => {
+  try {
+    const { branch } = req.query;
+    if (!branch) {
+      return res.status(400).json({ success: false, error: 'Branch name is required' });
+    }
+    const result = await req.git.getRebaseTodo(branch);
+    res.json({ success: true, todo: result.todo });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/rebase/state - Get the progress of a rebase in progress
+ */
+router.get('/rebase/state', getRepoMiddleware, async (req, res) => {
+  try {
+    const state = await req.git.getRebaseState();
+    res.json({ success: true, state });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/git/rebase/abort - Abort rebase
  */
-router.post('/rebase/abort', getRepoMiddleware, async (req, res) => {
+router.post('/rebase/abort', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     await req.git.rebaseAbort();
     res.json({ success: true });
@@ -345,10 +898,22 @@ router.post('/rebase/abort', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/rebase/continue - Continue rebase
  */
-router.post('/rebase/continue', getRepoMiddleware, async (req, res) => {
+router.post('/rebase/continue', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
-    await req.git.rebaseContinue();
-    res.json({ success: true });
+    const result = await req.git.rebaseContinue();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/rebase/skip - Skip the commit the rebase stopped at
+ */
+router.post('/rebase/skip', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.rebaseSkip();
+    res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -357,7 +922,7 @@ router.post('/rebase/continue', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/stash - Stash operations
  */
-router.post('/stash', getRepoMiddleware, async (req, res) => {
+router.post('/stash', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { message, pop, apply, drop, index } = req.body;
     await req.git.stash({ message, pop, apply, drop, index });
@@ -382,7 +947,7 @@ router.get('/stash/list', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/tag - Create tag
  */
-router.post('/tag', getRepoMiddleware, async (req, res) => {
+router.post('/tag', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { name, message, commit } = req.body;
     if (!name) {
@@ -398,7 +963,7 @@ router.post('/tag', getRepoMiddleware, async (req, res) => {
 /**
  * DELETE /api/git/tag - Delete tag
  */
-router.delete('/tag', getRepoMiddleware, async (req, res) => {
+router.delete('/tag', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { name } = req.body;
     if (!name) {
@@ -424,16 +989,70 @@ router.get('/tags', getRepoMiddleware, async (req, res) => {
 });
 
 /**
- * POST /api/git/reset - Reset to commit
+ * POST /api/git/reset-to - Reset the current branch to a commit. `mode`
+ * (soft, mixed or hard) is required: a reset is too destructive to guess.
  */
-router.post('/reset', getRepoMiddleware, async (req, res) => {
+router.post('/reset-to', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { commit, mode } = req.body;
+    if (!commit || !mode) {
+      return res.status(400).json({ success: false, error: 'Commit and mode are required' });
+    }
+    const result = await req.git.resetTo(commit, mode);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/reset-to/preview - Preview the commits and changes a reset would drop
+ */
+router.get('/reset-to/preview', getRepoMiddleware, async (req, res) => {
+  try {
+    const { commit } = req.query;
     if (!commit) {
       return res.status(400).json({ success: false, error: 'Commit is required' });
     }
-    await req.git.resetTo(commit, mode || 'mixed');
-    res.json({ success: true });
+    const preview = await req.git.getResetPreview(commit);
+    res.json({ success: true, preview });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/reflog - Get the reflog of HEAD or a branch
+ */
+router.get('/reflog', getRepoMiddleware, async (req, res) => {
+  try {
+    const { ref, limit } = req.query;
+    const result = await req.git.getReflog(ref || 'HEAD', parseInt(limit) || 100);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/git/undo - Get the last operation and whether it can be undone
+ */
+router.get('/undo', getRepoMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.getUndoableOperation();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/undo - Undo the last operation
+ */
+router.post('/undo', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.undoLastOperation();
+    res.json(result);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -442,7 +1061,7 @@ router.post('/reset', getRepoMiddleware, async (req, res) => {
 /**
  * POST /api/git/revert - Revert commit
  */
-router.post('/revert', getRepoMiddleware, async (req, res) => {
+router.post('/revert', getRepoMiddleware, queueMiddleware, async (req, res) => {
   try {
     const { commit, noCommit } = req.body;
     if (!commit) {
@@ -455,6 +1074,74 @@ router.post('/revert', getRepoMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/git/operation/:action - Continue, skip or abort the operation in progress
+ */
+router.post('/operation/:action', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { action } = req.params;
+    if (!['continue', 'skip', 'abort'].includes(action)) {
+      return res.status(400).json({ success: false, error: 'Action must be continue, skip or abort' });
+    }
+    const result = await req.git.runOperationAction(action);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/cherry-pick - Cherry-pick commits onto the current branch
+ */
+router.post('/cherry-pick', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { commits, recordOrigin, noCommit } = req.body;
+    if (!commits || !Array.isArray(commits) || commits.length === 0) {
+      return res.status(400).json({ success: false, error: 'Commits array is required' });
+    }
+    const result = await req.git.cherryPick(commits, { recordOrigin, noCommit });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/cherry-pick/continue - Continue cherry-pick
+ */
+router.post('/cherry-pick/continue', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.cherryPickContinue();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/cherry-pick/skip - Skip the commit the cherry-pick stopped at
+ */
+router.post('/cherry-pick/skip', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const result = await req.git.cherryPickSkip();
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/cherry-pick/abort - Abort cherry-pick
+ */
+router.post('/cherry-pick/abort', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    await req.git.cherryPickAbort();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/git/remotes - Get remotes
  */
@@ -467,4 +1154,68 @@ router.get('/remotes', getRepoMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/git/remote - Add a remote
+ */
+router.post('/remote', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { name, url, pushUrls, fetch } = req.body;
+    if (!name || !url) {
+      return res.status(400).json({ success: false, error: 'Remote name and URL are required' });
+    }
+    const result = await req.git.addRemote(name, url, { pushUrls, fetch });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/git/remote - Change a remote's fetch URL and/or push URLs
+ */
+router.put('/remote', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { name, url, pushUrls } = req.body;
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Remote name is required' });
+    }
+    const result = await req.git.updateRemote(name, { url, pushUrls });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/git/remote - Remove a remote
+ */
+router.delete('/remote', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'Remote name is required' });
+    }
+    const result = await req.git.removeRemote(name);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/git/rename-remote - Rename a remote
+ */
+router.post('/rename-remote', getRepoMiddleware, queueMiddleware, async (req, res) => {
+  try {
+    const { oldName, newName } = req.body;
+    if (!oldName || !newName) {
+      return res.status(400).json({ success: false, error: 'Both old and new names are required' });
+    }
+    const result = await req.git.renameRemote(oldName, newName);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import jobService from '../services/jobService.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs - List queued, running and recently finished jobs
+ * (optionally only those of one repository)
+ */
+router.get('/', (req, res) => {
+  const jobs = jobService.list({ repoId: req.query.repoId });
+  res.json({ success: true, jobs });
+});
+
+/**
+ * GET /api/jobs/:id - Get a background job
+ */
+router.get('/:id', (req, res) => {
+  const job = jobService.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+/**
+ * POST /api/jobs/:id/cancel - Cancel a queued or running job
+ */
+router.post('/:id/cancel', (req, res) => {
+  if (!jobService.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  try {
+    const job = jobService.cancel(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events - Follow a job's progress as Server-Sent Events.
+ * Each event is the job as JSON; the stream ends once the job has finished.
+ */
+router.get('/:id/events', (req, res) => {
+  const job = jobService.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (update) => {
+    res.write(`data: ${JSON.stringify(update)}\n\n`);
+    if (update.finishedAt) {
+      stop();
+      res.end();
+    }
+  };
+  const onUpdate = (update) => {
+    if (update.id === job.id) send(update);
+  };
+  const stop = () => jobService.off('update', onUpdate);
+
+  jobService.on('update', onUpdate);
+  req.on('close', stop);
+  send(job);
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import repoService from '../services/repoService.js';
+import jobService from '../services/jobService.js';
 import GitService from '../services/gitService.js';
+import { parseLogQuery } from './git.js';
 
 const router = express.Router();
 
@@ -74,16 +76,24 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * POST /api/repos/clone - Clone a repository
+ * POST /api/repos/clone - Clone a repository.
+ * With `background` the clone runs as a job whose result is { repo }.
  */
 router.post('/clone', async (req, res) => {
   try {
-    const { url, path, name } = req.body;
+    const { url, path, name, background } = req.body;
 
     if (!url || !path) {
       return res.status(400).json({ success: false, error: 'URL and path are required' });
     }
 
+    if (background) {
+      const job = jobService.start('clone', { title: `Clone ${url}` }, async ({ onProgress, signal }) => ({
+        repo: await repoService.clone(url, path, name, { onProgress, signal })
+      }));
+      return res.status(202).json({ success: true, job });
+    }
+
     const repo = await repoService.clone(url, path, name);
     res.json({ success: true, repo });
   } catch (error) {
@@ -140,9 +150,7 @@ router.get('/:id/log', async (req, res) => {
     }
 
     const git = repoService.getGitService(repo.path);
-    const log = await git.getLog({
-      maxCount: parseInt(req.query.limit) || 100
-    });
+    const log = await git.getLog(parseLogQuery(req.query));
 
     res.json({ success: true, log });
   } catch (error) {
@@ -0,0 +1,69 @@
+import { WebSocketServer } from 'ws';
+import repoService from '../services/repoService.js';
+import watchService from '../services/watchService.js';
+
+/**
+ * WebSocket /api/watch - Live repository updates.
+ *
+ * The client sends { type: 'subscribe', repoId } for the repository it has
+ * open (a null repoId stops watching). Whenever files of that repository
+ * change, the server sends { type: 'changed', repoId, status, branches, log,
+ * changedAt } saying which views are out of date and when (server time) the
+ * last of the changes happened.
+ */
+export function attachWatchSocket(server) {
+  const wss = new WebSocketServer({ server, path: '/api/watch' });
+
+  wss.on('connection', (socket) => {
+    let repoId = null;
+
+    const send = (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+    const onChange = (change) => {
+      if (change.repoId === repoId) send({ type: 'changed', ...change });
+    };
+    const unsubscribe = async () => {
+      if (!repoId) return;
+      const watchedId = repoId;
+      repoId = null;
+      await watchService.unwatch(watchedId);
+    };
+
+    socket.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return send({ type: 'error', error: 'Invalid message' });
+      }
+      if (message.type !== 'subscribe') return;
+
+      await unsubscribe();
+      if (!message.repoId) return;
+
+      const repo = await repoService.getById(message.repoId);
+      if (!repo) {
+        return send({ type: 'error', error: 'Repository not found' });
+      }
+      try {
+        repoId = repo.id;
+        await watchService.watch(repo);
+        send({ type: 'subscribed', repoId });
+      } catch (error) {
+        repoId = null;
+        send({ type: 'error', error: error.message });
+      }
+    });
+
+    watchService.on('change', onChange);
+    socket.on('close', () => {
+      watchService.off('change', onChange);
+      unsubscribe();
+    });
+  });
+
+  return wss;
+}
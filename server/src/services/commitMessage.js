@@ -0,0 +1,68 @@
+// type(scope)!: subject
+const HEADER_PATTERN = /^(\w+)(?:\(([^()\s]+)\))?(!)?: (.*)$/;
+
+// Messages git writes itself, or that an interactive rebase will meld away
+const GENERATED_HEADER = /^(Merge |Revert "|fixup! |squash! |amend! )/;
+
+/**
+ * Drop the comment lines git would strip from an edited message, as found in
+ * commit templates, along with the blank lines that leaves at the end
+ */
+export function stripCommentLines(text, commentChar = '#') {
+  return text
+    .split('\n')
+    .filter(line => !line.startsWith(commentChar))
+    .join('\n')
+    .replace(/\n\s*$/, '');
+}
+
+/**
+ * Check a commit message against the Conventional Commits format.
+ *
+ * Returns a list of { rule, message } problems, empty when the message
+ * conforms. Rules come from the commitLint settings: the allowed types,
+ * the allowed scopes (any if empty), whether a scope is required and the
+ * maximum header length.
+ */
+export function lintCommitMessage(message, rules) {
+  const [header, separator] = message.split('\n');
+  if (GENERATED_HEADER.test(header)) return [];
+
+  const problems = [];
+  const match = header.match(HEADER_PATTERN);
+
+  if (!match) {
+    problems.push({
+      rule: 'header-format',
+      message: 'Header must look like "type(scope): subject", e.g. "fix(api): handle empty body"'
+    });
+  } else {
+    const [, type, scope, , subject] = match;
+    if (rules.types?.length > 0 && !rules.types.includes(type)) {
+      problems.push({ rule: 'type-enum', message: `Type "${type}" must be one of: ${rules.types.join(', ')}` });
+    }
+    if (!scope && rules.requireScope) {
+      problems.push({ rule: 'scope-empty', message: 'A scope is required' });
+    }
+    if (scope && rules.scopes?.length > 0 && !rules.scopes.includes(scope)) {
+      problems.push({ rule: 'scope-enum', message: `Scope "${scope}" must be one of: ${rules.scopes.join(', ')}` });
+    }
+    if (!subject.trim()) {
+      problems.push({ rule: 'subject-empty', message: 'The subject must not be empty' });
+    } else if (subject.trimEnd().endsWith('.')) {
+      problems.push({ rule: 'subject-full-stop', message: 'The subject must not end with a period' });
+    }
+  }
+
+  if (rules.maxHeaderLength && header.length > rules.maxHeaderLength) {
+    problems.push({
+      rule: 'header-max-length',
+      message: `Header is ${header.length} characters, the limit is ${rules.maxHeaderLength}`
+    });
+  }
+  if (separator !== undefined && separator.trim() !== '') {
+    problems.push({ rule: 'body-leading-blank', message: 'Leave a blank line between the header and the body' });
+  }
+
+  return problems;
+}
@@ -0,0 +1,82 @@
+const MARKER = {
+  start: '<<<<<<<',
+  base: '|||||||',
+  separator: '=======',
+  end: '>>>>>>>'
+};
+
+// A marker line is the 7 marker characters, optionally followed by a space and a label
+function markerLabel(line, marker) {
+  const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+  if (text === marker) return '';
+  if (text.startsWith(`${marker} `)) return text.substring(marker.length + 1);
+  return null;
+}
+
+/**
+ * Split a file containing conflict markers into common and conflict segments.
+ *
+ * Common segments are { type: 'common', lines }, conflicts are
+ * { type: 'conflict', ours, base, theirs, oursLabel, theirsLabel } where base
+ * is null unless the file was written with the diff3/zdiff3 conflict style.
+ * Joining every line of the segments with '\n' gives back the original text.
+ */
+export function parseConflictMarkers(text) {
+  const segments = [];
+  let common = [];
+  let conflict = null;
+  let section = null;
+
+  for (const line of text.split('\n')) {
+    if (!conflict) {
+      const label = markerLabel(line, MARKER.start);
+      if (label !== null) {
+        if (common.length > 0) segments.push({ type: 'common', lines: common });
+        common = [];
+        conflict = { type: 'conflict', ours: [], base: null, theirs: [], oursLabel: label, theirsLabel: '' };
+        section = 'ours';
+      } else {
+        common.push(line);
+      }
+      continue;
+    }
+
+    if (section === 'ours' && markerLabel(line, MARKER.base) !== null) {
+      conflict.base = [];
+      section = 'base';
+    } else if (section !== 'theirs' && markerLabel(line, MARKER.separator) !== null) {
+      section = 'theirs';
+    } else if (section === 'theirs' && markerLabel(line, MARKER.end) !== null) {
+      conflict.theirsLabel = markerLabel(line, MARKER.end);
+      segments.push(conflict);
+      conflict = null;
+    } else {
+      conflict[section].push(line);
+    }
+  }
+
+  // An unterminated conflict is not a real one, keep its lines as they were
+  if (conflict) {
+    common.push(`${MARKER.start}${conflict.oursLabel ? ` ${conflict.oursLabel}` : ''}`, ...conflict.ours);
+    if (conflict.base) common.push(MARKER.base, ...conflict.base);
+    if (section === 'theirs') common.push(MARKER.separator, ...conflict.theirs);
+  }
+  if (common.length > 0) segments.push({ type: 'common', lines: common });
+
+  return segments;
+}
+
+/**
+ * Describe a conflict from the index stages that are present
+ * (1 = common ancestor, 2 = ours, 3 = theirs).
+ */
+export function describeConflict(stages) {
+  const has = (stage) => stages.includes(stage);
+
+  if (has(2) && has(3)) return has(1) ? 'both-modified' : 'both-added';
+  if (has(1) && has(3)) return 'deleted-by-us';
+  if (has(1) && has(2)) return 'deleted-by-them';
+  if (has(2)) return 'added-by-us';
+  if (has(3)) return 'added-by-them';
+  return 'both-deleted';
+}
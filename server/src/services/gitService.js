@@ -1,14 +1,252 @@
 import simpleGit from 'simple-git';
+import fs from 'fs-extra';
+import os from 'os';
+import crypto from 'crypto';
+import { join, dirname, isAbsolute, relative, sep } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { parseFileDiff, buildPartialPatch } from './patch.js';
+import { parseConflictMarkers, describeConflict } from './conflicts.js';
+import { stripCommentLines } from './commitMessage.js';
+
+/**
+ * Assign every commit of a topologically ordered list to a graph lane.
+ * Each lane holds the hash of the commit it is waiting for, so lane indices
+ * stay stable from row to row and lines can be drawn straight down.
+ *
+ * Per commit we record:
+ *   column   - lane the commit node is drawn in
+ *   incoming - lanes whose lines end at this node (children above)
+ *   outgoing - lanes leaving this node towards its parents
+ *   passing  - lanes that run straight through the row
+ *
+ * Passing the lanes returned for the previous page continues the layout, so
+ * paginated history lines up with what is already drawn.
+ */
+function layoutCommitGraph(commits, initialLanes = []) {
+  const lanes = [...initialLanes];
+  let width = lanes.length;
+
+  const laidOut = commits.map(commit => {
+    const incoming = [];
+    const passing = [];
+
+    lanes.forEach((waitingFor, index) => {
+      if (waitingFor === null) return;
+      if (waitingFor === commit.hash) {
+        incoming.push(index);
+      } else {
+        passing.push(index);
+      }
+    });
+
+    // Node goes in the leftmost lane waiting for it, or a free/new lane for branch tips
+    let column = incoming.length > 0 ? incoming[0] : lanes.indexOf(null);
+    if (column === -1) column = lanes.length;
+
+    // Lines converging on this commit end here
+    incoming.forEach(index => { lanes[index] = null; });
+
+    const outgoing = [];
+    commit.parents.forEach((parent, i) => {
+      let lane = lanes.indexOf(parent);
+      if (lane === -1) {
+        if (i === 0) {
+          lane = column;
+        } else {
+          lane = lanes.findIndex((waitingFor, index) => waitingFor === null && index !== column);
+          if (lane === -1) lane = Math.max(lanes.length, column + 1);
+        }
+        lanes[lane] = parent;
+      }
+      outgoing.push(lane);
+    });
+
+    // Fill holes left by a new lane appended past the end
+    for (let i = 0; i < lanes.length; i++) {
+      if (lanes[i] === undefined) lanes[i] = null;
+    }
+    while (lanes.length > 0 && lanes[lanes.length - 1] === null) {
+      lanes.pop();
+    }
+
+    width = Math.max(width, column + 1, lanes.length);
+
+    return {
+      ...commit,
+      graph: { column, incoming, outgoing, passing }
+    };
+  });
+
+  return { commits: laidOut, width, lanes };
+}
+
+// Object id of the empty tree, used as the base when diffing a root commit
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Meaning of git's %G? signature verification codes
+const SIGNATURE_STATUS = {
+  G: 'good',
+  B: 'bad',
+  U: 'unknown-validity',
+  X: 'expired',
+  Y: 'expired-key',
+  R: 'revoked-key',
+  E: 'cannot-check',
+  N: 'none'
+};
+
+// Number of discarded snapshots kept per repository
+const DISCARD_JOURNAL_LIMIT = 100;
+
+// Number of undoable operations kept per repository
+const OPERATION_JOURNAL_LIMIT = 50;
+
+// Client-side hooks whose failure aborts a commit or push
+const BLOCKING_HOOKS = ['pre-commit', 'pre-merge-commit', 'prepare-commit-msg', 'commit-msg', 'pre-push'];
+
+// Number of recently used commit messages kept per repository
+const RECENT_MESSAGES_LIMIT = 20;
+
+// Operations that move HEAD, undone by moving it back to where it was
+const HEAD_OPERATIONS = ['commit', 'amend', 'reset', 'merge', 'rebase'];
+
+// Lock files git keeps in the git directory while updating what they are
+// named after (ref locks under refs/ are found separately)
+const LOCK_FILES = ['index.lock', 'HEAD.lock', 'ORIG_HEAD.lock', 'MERGE_HEAD.lock', 'config.lock', 'packed-refs.lock', 'shallow.lock'];
+
+const execFileAsync = promisify(execFile);
+
+// Remote name standing for every configured remote in fetch, pull, push and
+// the stale branch scan ('*' can't be part of a real remote name)
+const ALL_REMOTES = '*';
+
+// git pull flags for each way of bringing in the upstream's commits
+const PULL_STRATEGIES = {
+  merge: '--no-rebase',
+  rebase: '--rebase',
+  'ff-only': '--ff-only'
+};
+
+// What a ref update is, by the flag `git push --porcelain` prints for it
+const PUSH_UPDATES = {
+  ' ': 'fast-forward',
+  '+': 'forced',
+  '*': 'new',
+  '-': 'deleted',
+  '=': 'up-to-date',
+  '!': 'rejected'
+};
+
+// Commits listed per ref update in a push preview; the rest are only counted
+const PUSH_PREVIEW_LIMIT = 100;
+
+// Ways of comparing two refs: since their merge base, or directly
+const COMPARE_MODES = ['three-dot', 'two-dot'];
+
+// Commits listed per side of a comparison; the rest are only counted
+const COMPARE_COMMIT_LIMIT = 200;
+
+// Branches the stale branch scan leaves alone unless a repository says otherwise
+const DEFAULT_PROTECTED_BRANCHES = ['main', 'master', 'develop', 'dev'];
+
+// Days without commits after which the stale branch scan reports a branch
+const STALE_BRANCH_DAYS = 90;
+
+// Todo actions that apply to a commit, keyed by their one-letter abbreviation too
+const REBASE_ACTIONS = {
+  pick: 'pick', p: 'pick',
+  reword: 'reword', r: 'reword',
+  edit: 'edit', e: 'edit',
+  squash: 'squash', s: 'squash',
+  fixup: 'fixup', f: 'fixup',
+  drop: 'drop', d: 'drop'
+};
+
+// Parse a line of a rebase todo file
+function parseTodoLine(line) {
+  const [command, ...rest] = line.trim().split(/\s+/);
+  const action = REBASE_ACTIONS[command];
+  if (!action) {
+    return { action: command, command: rest.join(' ') };
+  }
+  // fixup may carry -C/-c to take the fixed-up commit's message
+  if (rest[0] === '-C' || rest[0] === '-c') rest.shift();
+  const [hash, ...subject] = rest;
+  return { action, hash, subject: subject.join(' ') };
+}
+
+// Quote a value for the shell git runs editors and exec lines with
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Turn a { hunks, lines } selection into a predicate for buildPartialPatch
+function selectionPredicate(selection) {
+  const hunks = new Set(selection.hunks || []);
+  const lines = new Set((selection.lines || []).map(l => `${l.hunk}:${l.line}`));
+  return (hunk, line) => hunks.has(hunk) || lines.has(`${hunk}:${line}`);
+}
+
+// Turn a branch glob into a regular expression: * stays within one path
+// segment, ** crosses them, ? is any single character
+function globToRegExp(glob) {
+  const source = glob.trim().split(/(\*\*|\*|\?)/).map(part => {
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// The last blocking hook that exited non-zero in a GIT_TRACE2_EVENT log, or
+// null. Hooks that ran and passed are not to blame for a later failure.
+function failedHook(trace) {
+  const started = new Map();
+  let failed = null;
+  for (const line of trace.split('\n')) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    const child = `${event.sid}:${event.child_id}`;
+    if (event.event === 'child_start' && event.child_class === 'hook') {
+      // Older git leaves out hook_name, the hook's path ends in it
+      const name = event.hook_name || (event.argv?.[0] || '').split(/[/\\]/).pop();
+      if (BLOCKING_HOOKS.includes(name)) started.set(child, name);
+    } else if (event.event === 'child_exit' && started.has(child) && event.code !== 0) {
+      failed = started.get(child);
+    }
+  }
+  return failed;
+}
+
+// Revisions must not be mistaken for command line options
+function assertRevision(rev) {
+  if (typeof rev !== 'string' || rev.startsWith('-')) {
+    throw new Error(`Invalid revision: ${rev}`);
+  }
+  return rev;
+}
 
 /**
  * Git Service - Wrapper for simple-git operations
  */
 class GitService {
-  constructor(repoPath) {
+  /**
+   * options.signal - AbortSignal that stops the running git command when
+   * aborted (git is interrupted and rolls back its own lock files)
+   */
+  constructor(repoPath, options = {}) {
+    this.signal = options.signal;
     this.git = simpleGit(repoPath, {
       binary: 'git',
       maxConcurrentProcesses: 6,
-      trimmed: true
+      trimmed: true,
+      abort: this.signal
     });
     this.repoPath = repoPath;
   }
@@ -30,8 +268,10 @@ class GitService {
         deleted: status.deleted,
         conflicted: status.conflicted,
         renamed: status.renamed,
+        operation: await this.getOperation(),
         files: status.files.map(f => ({
           path: f.path,
+          from: f.from || undefined,
           index: f.index,
           working_dir: f.working_dir
         }))
@@ -39,7 +279,7 @@ class GitService {
     } catch (error) {
       // Check if it's a lock file error
       if (error.message && error.message.includes('index.lock')) {
-        throw new Error('Git index is locked. Please delete .git/index.lock file and try again.');
+        throw new Error('Git index is locked. Another git process may be running; if not, remove the stale lock from the jobs panel and try again.');
       }
       throw error;
     }
@@ -70,303 +310,1184 @@ class GitService {
   }
 
   /**
-   * Commit changes
+   * Get the diff of a single file split into hunks for partial staging
    */
-  async commit(message) {
-    const result = await this.git.commit(message);
-    return {
-      success: true,
-      commit: result.commit,
-      branch: result.branch,
-      summary: result.summary
-    };
+  async getDiffHunks(file, options = {}) {
+    const { diff } = await this.getDiff({
+      file,
+      cached: options.cached,
+      untracked: options.untracked
+    });
+    return { file, ...parseFileDiff(diff) };
   }
 
   /**
-   * Push to remote
+   * Stage selected hunks/lines of a file
    */
-  async push(remote = 'origin', branch, options = {}) {
-    const pushOptions = {
-      '--set-upstream': options.setUpstream ? null : undefined
-    };
-    const result = await this.git.push(remote, branch, pushOptions);
-    return {
-      success: true,
-      pushed: result.pushed,
-      branch: result.branch,
-      remote: result.remote
-    };
+  async stageLines(file, selection = {}) {
+    return this.applySelection(file, selection, { reverse: false });
   }
 
   /**
-   * Pull from remote
+   * Unstage selected hunks/lines of a file
    */
-  async pull(remote = 'origin', branch) {
-    const result = await this.git.pull(remote, branch);
-    return {
-      success: true,
-      files: result.files,
-      summary: result.summary,
-      created: result.created,
-      deleted: result.deleted
-    };
+  async unstageLines(file, selection = {}) {
+    return this.applySelection(file, selection, { reverse: true });
   }
 
   /**
-   * Fetch from remote
+   * Apply part of a file's diff to the index.
+   * `selection.hunks` lists whole hunks, `selection.lines` single lines as
+   * { hunk, line } indices into the hunks returned by getDiffHunks, and
+   * `selection.diffId` is the id of that diff so stale selections are refused.
    */
-  async fetch(remote = 'origin') {
-    await this.git.fetch(remote);
-    return { success: true };
-  }
+  async applySelection(file, selection, { reverse }) {
+    let addedIntent = false;
 
-  /**
-   * Prune stale remote-tracking branches
-   */
-  async prune(remote = 'origin') {
-    await this.git.remote(['prune', remote]);
-    return { success: true };
-  }
+    if (!reverse) {
+      // Untracked files need an index entry before a patch can target them
+      const tracked = await this.git.raw(['ls-files', '--', file]);
+      if (!tracked) {
+        await this.git.raw(['add', '--intent-to-add', '--', file]);
+        addedIntent = true;
+      }
+    }
+
+    const patchFile = join(os.tmpdir(), `mygit-${crypto.randomUUID()}.patch`);
 
-  /**
-   * Get stale local branches (local branches that don't exist on remote)
-   * Simple approach: compare local branch names with remote branch names
-   */
-  async getStaleBranches(remote = 'origin') {
     try {
-      // First fetch and prune to get latest remote refs
-      await this.git.fetch([remote, '--prune']);
-
-      // Get all local branches
-      const localBranches = await this.git.branchLocal();
-
-      // Get all remote branches
-      const remoteBranches = await this.git.branch(['-r']);
-
-      // Extract remote branch names (remove 'origin/' prefix)
-      const remoteBranchNames = new Set(
-        remoteBranches.all
-          .filter(name => name.startsWith(`${remote}/`))
-          .map(name => name.replace(`${remote}/`, ''))
-      );
-
-      // Find local branches that don't exist on remote
-      const staleBranches = [];
-      const protectedBranches = ['main', 'master', 'develop', 'dev'];
-
-      for (const branchName of localBranches.all) {
-        // Skip current branch
-        if (branchName === localBranches.current) continue;
-
-        // Skip protected branches
-        if (protectedBranches.includes(branchName.toLowerCase())) continue;
-
-        // Check if this branch exists on remote
-        if (!remoteBranchNames.has(branchName)) {
-          staleBranches.push({
-            name: branchName,
-            remoteExists: false
-          });
-        }
+      const { diff } = await this.getDiff({ file, cached: reverse });
+      const parsed = parseFileDiff(diff);
+
+      if (selection.diffId && selection.diffId !== parsed.id) {
+        throw new Error('The file has changed since its diff was loaded. Please reload the diff and try again.');
+      }
+      if (parsed.binary) {
+        throw new Error('Binary files can only be staged as a whole');
       }
 
-      return { staleBranches, currentBranch: localBranches.current };
+      const patch = buildPartialPatch(parsed, selectionPredicate(selection), { reverse });
+
+      if (!patch) {
+        throw new Error('No changes selected');
+      }
+
+      await fs.writeFile(patchFile, patch);
+      const args = ['apply', '--cached', '--whitespace=nowarn'];
+      if (reverse) args.push('--reverse');
+      await this.git.raw([...args, patchFile]);
+
+      return { success: true };
     } catch (error) {
+      if (addedIntent) {
+        await this.git.raw(['reset', '-q', '--', file]).catch(() => {});
+      }
       throw error;
+    } finally {
+      await fs.remove(patchFile);
     }
   }
 
   /**
-   * Delete multiple local branches
+   * Discard working tree changes of whole files.
+   * Tracked files are restored from the index, untracked files are removed.
+   * Current contents are snapshotted first so the discard can be undone.
    */
-  async deleteBranches(branchNames, force = false) {
-    const results = [];
-    for (const name of branchNames) {
-      try {
-        await this.git.deleteLocalBranch(name, force);
-        results.push({ name, success: true });
-      } catch (error) {
-        results.push({ name, success: false, error: error.message });
-      }
+  async discardFiles(files) {
+    if (!files || files.length === 0) {
+      throw new Error('No files to discard');
     }
-    return { results };
-  }
 
-  /**
-   * Get all branches
-   */
-  async getBranches() {
-    const [local, remote] = await Promise.all([
-      this.git.branchLocal(),
-      this.git.branch(['-r'])
-    ]);
+    const untracked = new Set(
+      (await this.git.raw(['ls-files', '--others', '--exclude-standard', '-z', '--', ...files]))
+        .split('\0')
+        .filter(Boolean)
+    );
+    const tracked = files.filter(file => !untracked.has(file));
 
-    return {
-      current: local.current,
-      local: local.all.map(name => ({
-        name,
-        current: name === local.current
-      })),
-      remote: remote.all.map(name => ({
-        name,
-        remote: name
-      }))
-    };
-  }
+    const snapshots = await this.snapshotFiles(files, 'file');
 
-  /**
-   * Create a new branch
-   */
-  async createBranch(name, startPoint) {
-    if (startPoint) {
-      await this.git.checkoutBranch(name, startPoint);
-    } else {
-      await this.git.checkoutLocalBranch(name);
+    if (tracked.length > 0) {
+      await this.git.raw(['checkout', '--', ...tracked]);
     }
-    return { success: true, branch: name };
+    for (const file of untracked) {
+      await fs.remove(join(this.repoPath, file));
+    }
+
+    return { success: true, snapshots };
   }
 
   /**
-   * Switch branch
+   * Discard selected hunks/lines of a file's unstaged changes
    */
-  async checkout(branch) {
+  async discardLines(file, selection = {}) {
+    // getDiff falls back to the regular diff once the file is tracked
+    const { diff } = await this.getDiff({ file, untracked: true });
+    const parsed = parseFileDiff(diff);
+
+    if (selection.diffId && selection.diffId !== parsed.id) {
+      throw new Error('The file has changed since its diff was loaded. Please reload the diff and try again.');
+    }
+    if (parsed.binary) {
+      throw new Error('Binary files can only be discarded as a whole');
+    }
+
+    // Reverse-applied to the working tree, so unselected lines must match its side
+    const patch = buildPartialPatch(parsed, selectionPredicate(selection), { reverse: true });
+    if (!patch) {
+      throw new Error('No changes selected');
+    }
+
+    const snapshots = await this.snapshotFiles([file], 'lines');
+    const patchFile = join(os.tmpdir(), `mygit-${crypto.randomUUID()}.patch`);
+
     try {
-      await this.git.checkout(branch);
-      return { success: true, branch };
-    } catch (error) {
-      // Check if it's a lock file error
-      if (error.message && error.message.includes('index.lock')) {
-        throw new Error('Git index is locked. Please delete .git/index.lock file and try again.');
-      }
-      throw error;
+      await fs.writeFile(patchFile, patch);
+      await this.git.raw(['apply', '--reverse', '--whitespace=nowarn', patchFile]);
+    } finally {
+      await fs.remove(patchFile);
     }
+
+    return { success: true, snapshots };
   }
 
   /**
-   * Checkout remote branch as new local branch with tracking
+   * Store the current contents of files as git blobs and record them in the
+   * discard journal. Blobs are unreachable, so they survive until git gc
+   * prunes them (two weeks by default).
    */
-  async checkoutRemote(remoteBranch, localBranch) {
-    try {
-      // checkoutBranch creates a new local branch tracking the remote branch
-      await this.git.checkoutBranch(localBranch, remoteBranch);
-      return { success: true, localBranch, remoteBranch };
-    } catch (error) {
-      if (error.message && error.message.includes('index.lock')) {
-        throw new Error('Git index is locked. Please delete .git/index.lock file and try again.');
-      }
-      throw error;
+  async snapshotFiles(files, kind) {
+    const entries = [];
+
+    for (const file of files) {
+      const fullPath = join(this.repoPath, file);
+      const stat = await fs.lstat(fullPath).catch(() => null);
+      if (!stat || !stat.isFile()) continue;
+
+      const blob = await this.git.raw(['hash-object', '-w', '--no-filters', '--', file]);
+      entries.push({
+        id: crypto.randomUUID(),
+        path: file,
+        blob: blob.trim(),
+        kind,
+        discardedAt: new Date().toISOString()
+      });
+    }
+
+    if (entries.length > 0) {
+      const journal = await this._readDiscardJournal();
+      await this._writeDiscardJournal([...entries, ...journal].slice(0, DISCARD_JOURNAL_LIMIT));
     }
+
+    return entries;
   }
 
   /**
-   * Delete branch
+   * List snapshots of discarded content, newest first
    */
-  async deleteBranch(name, force = false) {
-    const options = force ? ['-D'] : ['-d'];
-    await this.git.deleteLocalBranch(name, force);
-    return { success: true };
+  async getDiscarded() {
+    return { entries: await this._readDiscardJournal() };
   }
 
   /**
-   * Rename branch
+   * Write a discarded snapshot back to the working tree.
+   * Whatever is there now is snapshotted too, so restoring can be undone.
    */
-  async renameBranch(oldName, newName) {
-    await this.git.branch(['-m', oldName, newName]);
-    return { success: true };
+  async restoreDiscarded(id) {
+    const journal = await this._readDiscardJournal();
+    const entry = journal.find(e => e.id === id);
+    if (!entry) {
+      throw new Error('Discarded snapshot not found');
+    }
+
+    const content = await this.git.binaryCatFile(['blob', entry.blob]);
+    await this.snapshotFiles([entry.path], 'overwritten');
+
+    const fullPath = join(this.repoPath, entry.path);
+    await fs.ensureDir(dirname(fullPath));
+    await fs.writeFile(fullPath, content);
+
+    return { success: true, path: entry.path };
   }
 
-  /**
-   * Get commit log
-   */
-  async getLog(options = {}) {
-    try {
-      const log = await this.git.log({
-        maxCount: options.maxCount || 100
-      });
+  // Data the app keeps per repository lives in <git dir>/mygit
+  async _appDataPath(name) {
+    const gitDir = await this.git.revparse(['--absolute-git-dir']);
+    return join(gitDir, 'mygit', name);
+  }
 
-      return {
-        commits: log.all.map(commit => ({
-          hash: commit.hash || '',
-          shortHash: commit.hash ? commit.hash.substring(0, 7) : '',
-          message: commit.message || '',
-          author: commit.author_name || commit.author || 'Unknown',
-          email: commit.author_email || '',
-          date: commit.date || new Date().toISOString(),
-          refs: commit.refs || []
-        })),
-        total: log.total
-      };
-    } catch (error) {
-      console.error('Error getting git log:', error);
-      return {
-        commits: [],
-        total: 0
-      };
-    }
+  async _discardJournalPath() {
+    return this._appDataPath('discarded.json');
+  }
+
+  async _readDiscardJournal() {
+    const file = await this._discardJournalPath();
+    if (!(await fs.pathExists(file))) return [];
+    const data = await fs.readJson(file);
+    return data.entries || [];
+  }
+
+  async _writeDiscardJournal(entries) {
+    const file = await this._discardJournalPath();
+    await fs.ensureDir(dirname(file));
+    await fs.writeJson(file, { entries }, { spaces: 2 });
   }
 
   /**
-   * Get diff
+   * List unmerged files with the index stages they have
+   * (1 = common ancestor, 2 = ours, 3 = theirs)
    */
-  async getDiff(options = {}) {
-    let diff;
-
-    if (options.cached) {
-      diff = await this.git.diff(['--cached']);
-    } else if (options.file) {
-      diff = await this.git.diff([options.file]);
-    } else if (options.commit1 && options.commit2) {
-      diff = await this.git.diff([options.commit1, options.commit2]);
-    } else {
-      diff = await this.git.diff();
+  async getConflicts(files = []) {
+    const output = await this.git.raw(['ls-files', '-u', '-z', '--', ...files]);
+    const conflicts = new Map();
+
+    for (const entry of output.split('\0').filter(Boolean)) {
+      const [info, path] = entry.split('\t');
+      const stage = parseInt(info.split(' ')[2]);
+      if (!conflicts.has(path)) conflicts.set(path, []);
+      conflicts.get(path).push(stage);
     }
 
-    return { diff };
+    return [...conflicts].map(([path, stages]) => ({
+      path,
+      stages,
+      type: describeConflict(stages)
+    }));
   }
 
   /**
-   * Get file diff with details
+   * Read everything needed to resolve a conflicted file: the base/ours/theirs
+   * versions from the index and the working copy split into conflict blocks.
+   * Stages are used rather than HEAD/MERGE_HEAD so this works the same for
+   * merge, rebase, cherry-pick, revert and stash pop.
    */
-  async getDiffSummary(options = {}) {
-    const summary = await this.git.diffSummary(options.cached ? ['--cached'] : []);
+  async getConflictFile(file) {
+    const [conflict] = await this.getConflicts([file]);
+    if (!conflict) {
+      throw new Error(`${file} is not in conflict`);
+    }
+
+    const readStage = async (stage) => {
+      if (!conflict.stages.includes(stage)) return null;
+      return this.git.binaryCatFile(['blob', `:${stage}:${file}`]);
+    };
+    const versions = {
+      base: await readStage(1),
+      ours: await readStage(2),
+      theirs: await readStage(3)
+    };
+
+    const fullPath = join(this.repoPath, file);
+    const working = (await fs.pathExists(fullPath)) ? await fs.readFile(fullPath) : null;
+
+    // Same heuristic as git: a NUL byte in the first 8000 bytes means binary
+    const binary = [working, ...Object.values(versions)]
+      .some(content => content && content.subarray(0, 8000).includes(0));
+    const text = (content) => (content && !binary ? content.toString('utf8') : null);
+
     return {
-      files: summary.files.map(f => ({
-        file: f.file,
-        changes: f.changes,
-        insertions: f.insertions,
-        deletions: f.deletions,
-        binary: f.binary
-      })),
-      changed: summary.changed,
-      insertions: summary.insertions,
-      deletions: summary.deletions
+      ...conflict,
+      binary,
+      base: text(versions.base),
+      ours: text(versions.ours),
+      theirs: text(versions.theirs),
+      working: text(working),
+      segments: working && !binary ? parseConflictMarkers(working.toString('utf8')) : []
     };
   }
 
   /**
-   * Merge branch
+   * Mark a conflicted file as resolved with the given content,
+   * or as deleted when content is null
    */
-  async merge(branch, options = {}) {
-    try {
-      const mergeOptions = [];
-      if (options.noFF) mergeOptions.push('--no-ff');
-      if (options.squash) mergeOptions.push('--squash');
+  async resolveConflict(file, content) {
+    const [conflict] = await this.getConflicts([file]);
+    if (!conflict) {
+      throw new Error(`${file} is not in conflict`);
+    }
 
-      const result = await this.git.merge([branch, ...mergeOptions]);
-      return {
-        success: true,
-        result
-      };
-    } catch (error) {
-      if (error.message.includes('CONFLICT')) {
-        return {
-          success: false,
-          conflict: true,
-          message: error.message
-        };
-      }
-      throw error;
+    if (content === null) {
+      await this.git.raw(['rm', '--quiet', '--ignore-unmatch', '--', file]);
+    } else {
+      const fullPath = join(this.repoPath, file);
+      await fs.ensureDir(dirname(fullPath));
+      await fs.writeFile(fullPath, content);
+      await this.git.add(['--', file]);
     }
+
+    return { success: true };
+  }
+
+  /**
+   * Resolve conflicted files by taking our or their version as a whole.
+   * A side that deleted the file resolves to a deletion.
+   */
+  async takeConflictSide(files, side) {
+    const stage = { ours: 2, theirs: 3 }[side];
+    if (!stage) {
+      throw new Error(`Invalid conflict side: ${side}`);
+    }
+
+    const conflicts = await this.getConflicts(files);
+    if (conflicts.length === 0) {
+      throw new Error('No conflicted files selected');
+    }
+
+    for (const conflict of conflicts) {
+      if (conflict.stages.includes(stage)) {
+        await this.git.raw(['checkout', `--${side}`, '--', conflict.path]);
+        await this.git.add(['--', conflict.path]);
+      } else {
+        await this.git.raw(['rm', '--quiet', '--ignore-unmatch', '--', conflict.path]);
+      }
+    }
+
+    return { success: true, files: conflicts.map(c => c.path) };
+  }
+
+  /**
+   * Commit changes, or amend the last commit. Amending with
+   * includeStaged: false rewrites the message only and leaves the index alone.
+   */
+  async commit(message, options = {}) {
+    const { amend, includeStaged = true, author, date, noVerify, signoff, allowEmpty } = options;
+    if (author && !/^[^<>]+ <[^<>]*>$/.test(author.trim())) {
+      throw new Error('Author must look like "Name <email>"');
+    }
+
+    const before = await this._headState();
+    if (amend && !before.head) {
+      throw new Error('There is no commit to amend');
+    }
+
+    const commitOptions = {};
+    if (amend) commitOptions['--amend'] = null;
+    if (amend && !includeStaged) commitOptions['--only'] = null;
+    if (author) commitOptions['--author'] = author.trim();
+    if (date) commitOptions['--date'] = date;
+    if (noVerify) commitOptions['--no-verify'] = null;
+    if (signoff) commitOptions['--signoff'] = null;
+    if (allowEmpty) commitOptions['--allow-empty'] = null;
+
+    const { result, hookFailure } = await this._runHooks(git => git.commit(message, [], commitOptions));
+    if (hookFailure) return hookFailure;
+    // git reports an empty index on stdout, so simple-git doesn't throw
+    if (!result.commit) {
+      throw new Error('Nothing to commit');
+    }
+
+    const subject = message.split('\n')[0];
+    await this._recordOperation(
+      amend ? 'amend' : 'commit',
+      amend ? `Amend "${subject}"` : `Commit "${subject}"`,
+      { before }
+    );
+    await this._rememberMessage(message);
+    return {
+      success: true,
+      commit: result.commit,
+      branch: result.branch,
+      summary: result.summary
+    };
+  }
+
+  /**
+   * The repository's commit.template with its comment lines removed, or null
+   */
+  async getCommitTemplate() {
+    const path = await this.git.raw(['config', '--path', 'commit.template']).catch(() => '');
+    if (!path) return null;
+
+    const file = isAbsolute(path) ? path : join(this.repoPath, path);
+    if (!(await fs.pathExists(file))) return null;
+
+    const commentChar = await this.git.raw(['config', 'core.commentChar']).catch(() => '');
+    const text = await fs.readFile(file, 'utf8');
+    return stripCommentLines(text, commentChar && commentChar !== 'auto' ? commentChar : '#');
+  }
+
+  /**
+   * Messages recently committed from this app, newest first
+   */
+  async getRecentMessages() {
+    const file = await this._appDataPath('recent-messages.json');
+    if (!(await fs.pathExists(file))) return [];
+    const data = await fs.readJson(file);
+    return data.messages || [];
+  }
+
+  async _rememberMessage(message) {
+    const recent = await this.getRecentMessages();
+    const messages = [message, ...recent.filter(m => m !== message)].slice(0, RECENT_MESSAGES_LIMIT);
+
+    const file = await this._appDataPath('recent-messages.json');
+    await fs.ensureDir(dirname(file));
+    await fs.writeJson(file, { messages }, { spaces: 2 });
+  }
+
+  /**
+   * The commit an amend would rewrite, with the remote branches that already
+   * contain it
+   */
+  async getLastCommit() {
+    const output = await this.git.raw(['log', '-1', '--format=%H%x1f%an <%ae>%x1f%aI%x1f%B']).catch(() => '');
+    if (!output) return null;
+
+    const [hash, author, date, message] = output.split('\x1f');
+    const pushedTo = (await this.git.raw(['branch', '-r', '--contains', hash, '--format=%(refname:short)']))
+      .split('\n')
+      .filter(Boolean);
+    return { hash, author, date, message: message.trim(), pushedTo };
+  }
+
+  /**
+   * Push to remote, or to each remote in turn for ALL_REMOTES
+   * options.remoteBranch - name of the branch on the remote, when it differs
+   * options.forceWithLease - overwrite the remote branch, but only while it is
+   *                          still at options.expected (or, without it, where
+   *                          the remote-tracking branch says it is)
+   * options.all - push every local branch
+   * options.tags - push tags, alone or along with the branch
+   * options.delete - delete the (remote) branch from the remote
+   */
+  async push(remote = 'origin', branch, options = {}) {
+    if (remote === ALL_REMOTES) {
+      if (options.expected) {
+        throw new Error('An expected commit can only be given when pushing to one remote');
+      }
+      const results = [];
+      for (const name of await this._remoteNames()) {
+        const result = await this.push(name, branch, { ...options, setUpstream: false });
+        if (result.hookFailed) return result;
+        results.push(result);
+      }
+      return {
+        success: true,
+        pushed: results.flatMap(result => result.pushed),
+        remotes: results.map(result => result.remote)
+      };
+    }
+
+    const { refspec, target, flags } = await this._pushArgs(branch, options);
+    if (options.setUpstream) flags.push('--set-upstream');
+    if (options.noVerify) flags.push('--no-verify');
+    if (options.forceWithLease) {
+      flags.push(options.expected
+        ? `--force-with-lease=refs/heads/${target}:${assertRevision(options.expected)}`
+        : '--force-with-lease');
+    }
+    const { result, hookFailure } = await this._runHooks(
+      git => git.push(remote, refspec, flags),
+      options.onProgress
+    );
+    if (hookFailure) return hookFailure;
+
+    return {
+      success: true,
+      pushed: result.pushed,
+      branch: result.branch,
+      remote: result.remote || remote
+    };
+  }
+
+  /**
+   * Fetch, then describe what the same push would do on each remote: every
+   * ref it would create, move, overwrite or delete, the commits it would send
+   * and, for a non-fast-forward, the commits the remote branch would lose.
+   * options.onProgress - reports the fetch's transfer progress
+   */
+  async getPushPreview(remote = 'origin', branch, options = {}) {
+    const remotes = remote === ALL_REMOTES ? await this._remoteNames() : [remote];
+    const { refspec, flags } = await this._pushArgs(branch, options);
+
+    const updates = [];
+    for (const name of remotes) {
+      // The remote's commits have to be here to tell what a push would replace
+      await this.fetch(name, { onProgress: options.onProgress });
+      // --force makes a non-fast-forward show up as such instead of as rejected
+      const output = await this.git.raw([
+        'push', '--dry-run', '--porcelain', '--force', '--no-verify', ...flags, name, ...(refspec ? [refspec] : [])
+      ]);
+      for (const line of output.split('\n')) {
+        const match = line.match(/^([ +*\-=!])\t([^:]*):(\S+)\t(.*)$/);
+        if (!match || PUSH_UPDATES[match[1]] === 'up-to-date') continue;
+        updates.push(await this._describeRefUpdate(name, PUSH_UPDATES[match[1]], match[2], match[3], match[4]));
+      }
+    }
+
+    return {
+      updates,
+      fastForward: updates.every(update => update.type !== 'forced')
+    };
+  }
+
+  /**
+   * Pull from remote. ALL_REMOTES fetches every remote, then merges the
+   * current branch's upstream.
+   * options.strategy - 'merge', 'rebase' or 'ff-only' (git's configured
+   *                    behaviour when not given)
+   * options.autostash - stash local changes before and restore them after
+   */
+  async pull(remote = 'origin', branch, options = {}) {
+    if (options.strategy && !PULL_STRATEGIES[options.strategy]) {
+      throw new Error(`Unknown pull strategy: ${options.strategy}`);
+    }
+
+    // simple-git passes every key as a flag, so unset options must be left out
+    const pullOptions = {};
+    if (options.strategy) pullOptions[PULL_STRATEGIES[options.strategy]] = null;
+    if (options.autostash) pullOptions['--autostash'] = null;
+    if (remote === ALL_REMOTES) pullOptions['--all'] = null;
+
+    const git = this._withProgress(options.onProgress);
+    const result = remote === ALL_REMOTES
+      ? await git.pull(undefined, undefined, pullOptions)
+      : await git.pull(remote, branch, pullOptions);
+    return {
+      success: true,
+      files: result.files,
+      summary: result.summary,
+      created: result.created,
+      deleted: result.deleted
+    };
+  }
+
+  /**
+   * Fetch, then describe what a pull would bring in: the commits and files
+   * on the upstream (or remote/branch) that HEAD doesn't have yet, whether
+   * that is a fast-forward, and the pull behaviour configured in git.
+   * options.onProgress - reports the fetch's transfer progress
+   */
+  async getPullPreview(remote = 'origin', branch, options = {}) {
+    await this.fetch(remote, { onProgress: options.onProgress });
+
+    let upstream;
+    if (branch && remote !== ALL_REMOTES) {
+      upstream = `${remote}/${assertRevision(branch)}`;
+    } else {
+      try {
+        upstream = await this.git.revparse(['--abbrev-ref', '--symbolic-full-name', '@{u}']);
+      } catch (error) {
+        throw new Error('The current branch has no upstream branch to pull from');
+      }
+    }
+    const target = await this.git.revparse(['--verify', `${upstream}^{commit}`]);
+
+    const commits = await this._listCommits([`HEAD..${target}`]);
+    const ahead = parseInt(await this.git.raw(['rev-list', '--count', `${target}..HEAD`])) || 0;
+
+    // What the incoming commits change, from where HEAD and the upstream split
+    const mergeBase = (await this.git.raw(['merge-base', 'HEAD', target])).trim();
+    const files = commits.length > 0 ? await this.getChangedFiles(mergeBase, target) : [];
+
+    const status = await this.git.status();
+    return {
+      upstream,
+      commits,
+      files,
+      ahead,
+      behind: commits.length,
+      fastForward: ahead === 0,
+      dirty: status.files.some(f => f.index !== '?'),
+      configured: await this._configuredPull()
+    };
+  }
+
+  // The pull strategy and autostash git would use without explicit flags
+  async _configuredPull() {
+    const [rebase, ff, rebaseAutostash, mergeAutostash] = await Promise.all(
+      ['pull.rebase', 'pull.ff', 'rebase.autoStash', 'merge.autoStash'].map(async key =>
+        (await this._configValues(key)).pop())
+    );
+    let strategy = 'merge';
+    if (rebase && rebase !== 'false') strategy = 'rebase';
+    else if (ff === 'only') strategy = 'ff-only';
+
+    const autostash = (strategy === 'rebase' ? rebaseAutostash : mergeAutostash) === 'true';
+    return { strategy, autostash };
+  }
+
+  /**
+   * Fetch from remote
+   */
+  async fetch(remote = 'origin', options = {}) {
+    await this._withProgress(options.onProgress).fetch(remote === ALL_REMOTES ? ['--all'] : remote);
+    return { success: true };
+  }
+
+  /**
+   * Prune stale remote-tracking branches
+   */
+  async prune(remote = 'origin') {
+    const remotes = remote === ALL_REMOTES ? await this._remoteNames() : [remote];
+    for (const name of remotes) {
+      await this.git.remote(['prune', name]);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Get stale local branches of one remote (or every remote with ALL_REMOTES):
+   * those whose upstream was deleted on the remote, those already merged into
+   * the default branch, and those without commits for options.staleDays.
+   * Branches that were simply never pushed are not stale by themselves.
+   *
+   * options.protectedBranches - glob patterns of branches never reported
+   *                             (defaults to main, master, develop and dev)
+   * options.staleDays - days without commits before a branch is inactive
+   *
+   * Each branch comes with the reasons it is stale ('upstream-gone',
+   * 'merged', 'inactive') and what is known about it: merged, pushed,
+   * upstream and the age of its last commit in days.
+   */
+  async getStaleBranches(remote = 'origin', options = {}) {
+    const { protectedBranches = DEFAULT_PROTECTED_BRANCHES, staleDays = STALE_BRANCH_DAYS } = options;
+
+    // First fetch and prune to get latest remote refs
+    await this.git.fetch(remote === ALL_REMOTES ? ['--all', '--prune'] : [remote, '--prune']);
+    const remotes = remote === ALL_REMOTES ? await this._remoteNames() : [remote];
+    const onRemote = (ref) => remotes.find(r => ref.startsWith(`${r}/`));
+
+    const [localBranches, remoteBranches, tracking] = await Promise.all([
+      this.git.branchLocal(),
+      this.git.branch(['-r']),
+      this._branchTracking()
+    ]);
+
+    // Remote branch names without their remote's prefix
+    const remoteBranchNames = new Set(
+      remoteBranches.all.flatMap(name => {
+        const owner = onRemote(name);
+        return owner ? [name.slice(owner.length + 1)] : [];
+      })
+    );
+
+    const defaultBranch = await this._defaultBranch(localBranches.all);
+    const merged = defaultBranch
+      ? new Set((await this.git.raw(['branch', '--merged', defaultBranch, '--format=%(refname:short)'])).split('\n'))
+      : new Set();
+    const patterns = protectedBranches.map(globToRegExp);
+
+    const staleBranches = [];
+    for (const name of localBranches.all) {
+      if (name === localBranches.current || name === defaultBranch) continue;
+      if (patterns.some(pattern => pattern.test(name))) continue;
+
+      const info = tracking.get(name);
+      if (!info) continue;
+      // Only the remotes being compared with count
+      const upstream = info.upstream && onRemote(info.upstream) ? info.upstream : null;
+      const ageDays = Math.floor((Date.now() - new Date(info.lastCommit.date)) / (24 * 60 * 60 * 1000));
+
+      const reasons = [];
+      if (upstream && info.gone) reasons.push('upstream-gone');
+      if (merged.has(name)) reasons.push('merged');
+      if (ageDays >= staleDays) reasons.push('inactive');
+      if (reasons.length === 0) continue;
+
+      staleBranches.push({
+        name,
+        reasons,
+        merged: merged.has(name),
+        pushed: !!upstream || remoteBranchNames.has(name),
+        remoteExists: (!!upstream && !info.gone) || remoteBranchNames.has(name),
+        upstream,
+        lastCommitDate: info.lastCommit.date,
+        ageDays
+      });
+    }
+
+    return { staleBranches, currentBranch: localBranches.current, defaultBranch, protectedBranches, staleDays };
+  }
+
+  /**
+   * Delete multiple local branches
+   */
+  async deleteBranches(branchNames, force = false) {
+    const results = [];
+    for (const name of branchNames) {
+      try {
+        const head = await this.git.revparse([`refs/heads/${name}`]);
+        await this.git.deleteLocalBranch(name, force);
+        await this._recordOperation('branch-delete', `Delete branch ${name}`, { deleted: { name, head } });
+        results.push({ name, success: true });
+      } catch (error) {
+        results.push({ name, success: false, error: error.message });
+      }
+    }
+    return { results };
+  }
+
+  /**
+   * Get all branches
+   */
+  async getBranches() {
+    const [local, remote, tracking] = await Promise.all([
+      this.git.branchLocal(),
+      this.git.branch(['-r']),
+      this._branchTracking()
+    ]);
+
+    // Whether each branch is merged into the default branch, when there is one
+    const defaultBranch = await this._defaultBranch(local.all);
+    const merged = defaultBranch
+      ? new Set((await this.git.raw(['branch', '--merged', defaultBranch, '--format=%(refname:short)'])).split('\n'))
+      : null;
+
+    return {
+      current: local.current,
+      defaultBranch,
+      local: local.all.map(name => ({
+        name,
+        current: name === local.current,
+        upstream: null,
+        ahead: 0,
+        behind: 0,
+        gone: false,
+        lastCommit: null,
+        ...tracking.get(name),
+        merged: merged && name !== defaultBranch ? merged.has(name) : null
+      })),
+      remote: remote.all.map(name => ({
+        name,
+        remote: name
+      }))
+    };
+  }
+
+  /**
+   * Create a new branch
+   */
+  async createBranch(name, startPoint) {
+    if (startPoint) {
+      await this.git.checkoutBranch(name, startPoint);
+    } else {
+      await this.git.checkoutLocalBranch(name);
+    }
+    return { success: true, branch: name };
+  }
+
+  /**
+   * Switch branch
+   */
+  async checkout(branch) {
+    try {
+      const before = await this._headState();
+      await this.git.checkout(branch);
+      await this._recordOperation('checkout', `Checkout ${branch}`, { before });
+      return { success: true, branch };
+    } catch (error) {
+      // Check if it's a lock file error
+      if (error.message && error.message.includes('index.lock')) {
+        throw new Error('Git index is locked. Another git process may be running; if not, remove the stale lock from the jobs panel and try again.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checkout remote branch as new local branch with tracking
+   */
+  async checkoutRemote(remoteBranch, localBranch) {
+    try {
+      // checkoutBranch creates a new local branch tracking the remote branch
+      const before = await this._headState();
+      await this.git.checkoutBranch(localBranch, remoteBranch);
+      await this._recordOperation('checkout', `Checkout ${remoteBranch} as ${localBranch}`, { before });
+      return { success: true, localBranch, remoteBranch };
+    } catch (error) {
+      if (error.message && error.message.includes('index.lock')) {
+        throw new Error('Git index is locked. Another git process may be running; if not, remove the stale lock from the jobs panel and try again.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete branch
+   */
+  async deleteBranch(name, force = false) {
+    const head = await this.git.revparse([`refs/heads/${name}`]);
+    await this.git.deleteLocalBranch(name, force);
+    await this._recordOperation('branch-delete', `Delete branch ${name}`, { deleted: { name, head } });
+    return { success: true };
+  }
+
+  /**
+   * Rename branch
+   */
+  async renameBranch(oldName, newName) {
+    await this.git.branch(['-m', oldName, newName]);
+    return { success: true };
+  }
+
+  /**
+   * Make a local branch track a remote branch (e.g. 'origin/main')
+   */
+  async setUpstream(branch, upstream) {
+    // Without the advice, a missing upstream fails with just the one line
+    await this.git.raw([
+      '-c', 'advice.setUpstreamFailure=false',
+      'branch', `--set-upstream-to=${assertRevision(upstream)}`, assertRevision(branch)
+    ]);
+    return { success: true };
+  }
+
+  /**
+   * Stop a local branch from tracking its upstream
+   */
+  async unsetUpstream(branch) {
+    await this.git.raw(['branch', '--unset-upstream', assertRevision(branch)]);
+    return { success: true };
+  }
+
+  /**
+   * Get commit log with parent hashes and graph lane layout
+   *
+   * Options:
+   *   maxCount - page size
+   *   skip     - number of commits already loaded (pagination cursor)
+   *   lanes    - open graph lanes returned with the previous page
+   *   all      - walk every ref instead of HEAD
+   *   branch   - walk a single branch/ref
+   *   range    - revision range such as "main..feature"
+   *   since/until - date filters understood by git
+   */
+  async getLog(options = {}) {
+    const maxCount = options.maxCount || 100;
+    const skip = options.skip || 0;
+    // Watch events about changes made before this are already reflected
+    const loadedAt = Date.now();
+
+    try {
+      const revisions = [];
+      if (options.range) {
+        revisions.push(assertRevision(options.range));
+      } else if (options.branch) {
+        revisions.push(assertRevision(options.branch));
+      }
+
+      const logOptions = {
+        // Ask for one extra commit to know whether another page exists
+        maxCount: maxCount + 1,
+        '--date-order': null,
+        format: {
+          hash: '%H',
+          parents: '%P',
+          date: '%aI',
+          message: '%s',
+          refs: '%D',
+          author_name: '%aN',
+          author_email: '%aE'
+        }
+      };
+      if (skip > 0) logOptions['--skip'] = skip;
+      if (options.all && revisions.length === 0) logOptions['--all'] = null;
+      if (options.since) logOptions['--since'] = options.since;
+      if (options.until) logOptions['--until'] = options.until;
+
+      const log = await this.git.log(revisions, logOptions);
+      const hasMore = log.all.length > maxCount;
+
+      const commits = log.all.slice(0, maxCount).map(commit => ({
+        hash: commit.hash || '',
+        shortHash: commit.hash ? commit.hash.substring(0, 7) : '',
+        parents: commit.parents ? commit.parents.split(' ').filter(Boolean) : [],
+        message: commit.message || '',
+        author: commit.author_name || commit.author || 'Unknown',
+        email: commit.author_email || '',
+        date: commit.date || new Date().toISOString(),
+        refs: commit.refs || []
+      }));
+
+      const graph = layoutCommitGraph(commits, options.lanes);
+
+      return {
+        commits: graph.commits,
+        graphWidth: graph.width,
+        total: commits.length,
+        skip,
+        nextSkip: skip + commits.length,
+        hasMore,
+        lanes: graph.lanes,
+        loadedAt
+      };
+    } catch (error) {
+      if (error.message && error.message.startsWith('Invalid revision')) {
+        throw error;
+      }
+      console.error('Error getting git log:', error);
+      return {
+        commits: [],
+        graphWidth: 0,
+        total: 0,
+        skip,
+        nextSkip: skip,
+        hasMore: false,
+        lanes: [],
+        loadedAt
+      };
+    }
+  }
+
+  /**
+   * The refs pointing at each commit some ref points at, by hash, formatted
+   * like the refs of getLog. Lets a client redecorate history it already
+   * loaded without walking it again.
+   */
+  async getRefDecorations() {
+    const output = await this.git.raw(['log', '--no-walk=unsorted', '--all', '--format=%H%x1f%D']);
+    const refs = {};
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [hash, decoration] = line.split('\x1f');
+      if (decoration) refs[hash] = decoration;
+    }
+    return refs;
+  }
+
+  /**
+   * Get full details of a single commit, including changed files with stats
+   */
+  async getCommitDetail(hash) {
+    assertRevision(hash);
+
+    const fields = [
+      '%H', '%P', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%G?', '%GS', '%GK', '%D', '%B'
+    ];
+    const raw = await this.git.raw(['show', '-s', `--format=${fields.join('%x1f')}`, hash]);
+    const [
+      fullHash, parents, authorName, authorEmail, authorDate,
+      committerName, committerEmail, committerDate,
+      signatureStatus, signer, signingKey, refs, ...messageParts
+    ] = raw.split('\x1f');
+
+    const message = messageParts.join('\x1f').trim();
+    const [subject, ...bodyLines] = message.split('\n');
+    const parentList = parents ? parents.split(' ').filter(Boolean) : [];
+
+    return {
+      hash: fullHash,
+      shortHash: fullHash.substring(0, 7),
+      parents: parentList,
+      // What the file list and per-file diffs are computed against
+      base: parentList[0] || EMPTY_TREE,
+      refs: refs ? refs.split(',').map(r => r.trim()).filter(Boolean) : [],
+      subject,
+      body: bodyLines.join('\n').trim(),
+      message,
+      author: { name: authorName, email: authorEmail, date: authorDate },
+      committer: { name: committerName, email: committerEmail, date: committerDate },
+      signature: {
+        status: SIGNATURE_STATUS[signatureStatus] || 'none',
+        code: signatureStatus,
+        signer: signer || null,
+        key: signingKey || null
+      },
+      files: await this.getChangedFiles(parentList[0] || EMPTY_TREE, fullHash)
+    };
+  }
+
+  /**
+   * List files changed between two revisions with line stats
+   */
+  async getChangedFiles(from, to) {
+    const range = ['diff', '-M', assertRevision(from), assertRevision(to)];
+
+    const [nameStatus, numstat] = await Promise.all([
+      this.git.raw([...range, '--name-status', '-z']),
+      this.git.raw([...range, '--numstat', '-z'])
+    ]);
+
+    // name-status -z: "M\0path\0" or "R100\0old\0new\0"
+    const files = [];
+    const statusTokens = nameStatus.split('\0').filter(Boolean);
+    for (let i = 0; i < statusTokens.length;) {
+      const code = statusTokens[i++];
+      const status = code.charAt(0);
+      if (status === 'R' || status === 'C') {
+        files.push({ status, oldPath: statusTokens[i++], path: statusTokens[i++] });
+      } else {
+        files.push({ status, path: statusTokens[i++] });
+      }
+    }
+
+    // numstat -z: "added\tdeleted\tpath\0" or "added\tdeleted\t\0old\0new\0"
+    const stats = new Map();
+    const statTokens = numstat.split('\0');
+    for (let i = 0; i < statTokens.length; i++) {
+      const match = statTokens[i].match(/^(-|\d+)\t(-|\d+)\t(.*)$/s);
+      if (!match) continue;
+      let path = match[3];
+      if (!path) {
+        // Rename: old and new path follow as separate tokens
+        i += 2;
+        path = statTokens[i];
+      }
+      stats.set(path, {
+        binary: match[1] === '-',
+        insertions: match[1] === '-' ? 0 : parseInt(match[1]),
+        deletions: match[2] === '-' ? 0 : parseInt(match[2])
+      });
+    }
+
+    return files.map(file => ({
+      ...file,
+      ...(stats.get(file.path) || { binary: false, insertions: 0, deletions: 0 })
+    }));
+  }
+
+  /**
+   * Get diff, optionally staged, between commits and/or limited to files
+   */
+  async getDiff(options = {}) {
+    // Untracked files are not known to git diff, compare against nothing instead
+    if (options.untracked && options.file && !(await this.git.raw(['ls-files', '--', options.file]))) {
+      const diff = await this.git.diff(['--no-index', '--', '/dev/null', options.file]);
+      return { diff };
+    }
+
+    const args = [];
+
+    if (options.cached) args.push('--cached');
+    if (options.commit1) args.push(assertRevision(options.commit1));
+    if (options.commit2) args.push(assertRevision(options.commit2));
+    if (options.file) {
+      args.push('--');
+      if (options.oldFile && options.oldFile !== options.file) args.push(options.oldFile);
+      args.push(options.file);
+    }
+
+    const diff = await this.git.diff(args);
+    return { diff };
+  }
+
+  /**
+   * Get file diff with details
+   */
+  async getDiffSummary(options = {}) {
+    const summary = await this.git.diffSummary(options.cached ? ['--cached'] : []);
+    return {
+      files: summary.files.map(f => ({
+        file: f.file,
+        changes: f.changes,
+        insertions: f.insertions,
+        deletions: f.deletions,
+        binary: f.binary
+      })),
+      changed: summary.changed,
+      insertions: summary.insertions,
+      deletions: summary.deletions
+    };
+  }
+
+  /**
+   * Compare two refs: the commits only one side has, where they split, and
+   * the files that differ. In 'three-dot' mode (the default) the files are
+   * what target changed since the merge base, as a pull request shows them;
+   * in 'two-dot' mode they are the direct difference between base and target.
+   * fileBase is the revision the file diffs are taken from.
+   */
+  async compareRefs(base, target, mode = 'three-dot') {
+    if (!COMPARE_MODES.includes(mode)) {
+      throw new Error(`Unknown compare mode: ${mode}`);
+    }
+    const [baseHash, targetHash] = await Promise.all([
+      this.git.revparse(['--verify', `${assertRevision(base)}^{commit}`]),
+      this.git.revparse(['--verify', `${assertRevision(target)}^{commit}`])
+    ]);
+    // Unrelated histories have no merge base
+    const mergeBase = (await this.git.raw(['merge-base', baseHash, targetHash]).catch(() => '')).trim() || null;
+    if (mode === 'three-dot' && !mergeBase) {
+      throw new Error(`${base} and ${target} have no common history; compare them directly instead`);
+    }
+
+    const count = async (range) => parseInt(await this.git.raw(['rev-list', '--count', range])) || 0;
+    const [targetOnly, baseOnly, targetCount, baseCount] = await Promise.all([
+      this._listCommits([`${baseHash}..${targetHash}`], COMPARE_COMMIT_LIMIT),
+      this._listCommits([`${targetHash}..${baseHash}`], COMPARE_COMMIT_LIMIT),
+      count(`${baseHash}..${targetHash}`),
+      count(`${targetHash}..${baseHash}`)
+    ]);
+
+    const fileBase = mode === 'three-dot' ? mergeBase : baseHash;
+    const files = await this.getChangedFiles(fileBase, targetHash);
+    return {
+      base: { ref: base, hash: baseHash, commits: baseOnly, count: baseCount },
+      target: { ref: target, hash: targetHash, commits: targetOnly, count: targetCount },
+      mergeBase,
+      mode,
+      fileBase,
+      files,
+      insertions: files.reduce((sum, f) => sum + f.insertions, 0),
+      deletions: files.reduce((sum, f) => sum + f.deletions, 0)
+    };
+  }
+
+  /**
+   * Merge branch
+   */
+  async merge(branch, options = {}) {
+    try {
+      const mergeOptions = [];
+      if (options.noFF) mergeOptions.push('--no-ff');
+      if (options.squash) mergeOptions.push('--squash');
+
+      const before = await this._headState();
+      const result = await this.git.merge([branch, ...mergeOptions]);
+      // A squash merge only stages changes and an up-to-date branch doesn't
+      // move, there is nothing to undo in either case
+      const { head } = await this._headState();
+      if (!options.squash && head !== before.head) {
+        await this._recordOperation('merge', `Merge ${branch}`, { before });
+      }
+      return {
+        success: true,
+        result
+      };
+    } catch (error) {
+      if (error.message.includes('CONFLICT')) {
+        return {
+          success: false,
+          conflict: true,
+          message: error.message
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Tell what merging branch into HEAD would do, without touching the index
+   * or working tree: 'up-to-date', 'fast-forward', 'clean' or 'conflicts',
+   * with the files that would conflict and how. The merge itself is done by
+   * git merge-tree, which only writes objects.
+   */
+  async getMergePreview(branch) {
+    const [head, theirs] = await Promise.all([
+      this.git.revparse(['--verify', 'HEAD^{commit}']),
+      this.git.revparse(['--verify', `${assertRevision(branch)}^{commit}`])
+    ]);
+    const mergeBase = (await this.git.raw(['merge-base', head, theirs]).catch(() => '')).trim();
+    if (!mergeBase) {
+      throw new Error(`${branch} has no history in common with HEAD; git refuses to merge unrelated histories`);
+    }
+
+    const status = await this.git.status();
+    const preview = {
+      result: 'up-to-date',
+      fastForward: mergeBase === head,
+      commits: parseInt(await this.git.raw(['rev-list', '--count', `${head}..${theirs}`])) || 0,
+      files: [],
+      conflicts: [],
+      dirty: status.files.some(f => f.index !== '?')
+    };
+    if (mergeBase === theirs) return preview;
+
+    preview.files = await this.getChangedFiles(mergeBase, theirs);
+    // A fast-forward can't conflict; with --no-ff it becomes a clean merge
+    preview.conflicts = preview.fastForward ? [] : await this._mergeTreeConflicts(head, theirs);
+    preview.result = preview.fastForward ? 'fast-forward' : (preview.conflicts.length > 0 ? 'conflicts' : 'clean');
+    return preview;
   }
 
   /**
@@ -374,7 +1495,9 @@ class GitService {
    */
   async rebase(branch, options = {}) {
     try {
+      const before = await this._headState();
       const result = await this.git.rebase([branch]);
+      await this._recordRebase(before, branch);
       return { success: true, result };
     } catch (error) {
       if (error.message.includes('CONFLICT')) {
@@ -389,19 +1512,250 @@ class GitService {
   }
 
   /**
-   * Abort rebase
+   * Abort rebase
+   */
+  async rebaseAbort() {
+    await this.git.rebase(['--abort']);
+    return { success: true };
+  }
+
+  /**
+   * List the commits an interactive rebase onto upstream would replay,
+   * oldest first, as a todo list of picks. Like git, merges and commits
+   * already applied upstream are left out.
+   */
+  async getRebaseTodo(upstream) {
+    assertRevision(upstream);
+    const output = await this.git.raw([
+      'log', '--reverse', '--no-merges', '--cherry-pick', '--right-only',
+      '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s',
+      `${upstream}...HEAD`
+    ]);
+
+    const todo = output.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, author, date, subject] = line.split('\x1f');
+      return { action: 'pick', hash, shortHash, author, date, subject };
+    });
+
+    return { upstream, todo };
+  }
+
+  /**
+   * Run an interactive rebase with a prepared todo list instead of an editor.
+   * Items are { action, hash, message } where message is the new message
+   * of a reword. Squashes keep the combined message of their commits.
+   */
+  async rebaseInteractive(upstream, todo, options = {}) {
+    assertRevision(upstream);
+    if (options.onto) assertRevision(options.onto);
+    if (!Array.isArray(todo) || todo.length === 0) {
+      throw new Error('The rebase todo list is empty');
+    }
+
+    const workDir = await this._appDataPath('rebase');
+    await fs.emptyDir(workDir);
+
+    const lines = [];
+    let hasBase = false;
+    for (const [index, item] of todo.entries()) {
+      const action = REBASE_ACTIONS[item.action];
+      if (!action) {
+        throw new Error(`Invalid rebase action: ${item.action}`);
+      }
+      if (!/^[0-9a-f]{4,64}$/i.test(item.hash || '')) {
+        throw new Error(`Invalid commit hash: ${item.hash}`);
+      }
+      if ((action === 'squash' || action === 'fixup') && !hasBase) {
+        throw new Error('The first commit cannot be squashed or fixed up');
+      }
+      if (action !== 'drop') hasBase = true;
+
+      if (action === 'reword' && item.message && item.message.trim()) {
+        // Pick, then amend the message: git would otherwise ask an editor for it
+        const messageFile = join(workDir, `message-${index}.txt`);
+        await fs.writeFile(messageFile, item.message);
+        lines.push(`pick ${item.hash}`);
+        lines.push(`exec git commit --amend --only --allow-empty --no-verify -F ${shellQuote(messageFile)}`);
+      } else {
+        lines.push(`${action} ${item.hash}`);
+      }
+    }
+
+    const todoFile = join(workDir, 'git-rebase-todo');
+    await fs.writeFile(todoFile, lines.join('\n') + '\n');
+
+    const git = this._nonInteractive({ GIT_SEQUENCE_EDITOR: `cp ${shellQuote(todoFile)}` });
+    const args = ['rebase', '--interactive'];
+    if (options.onto) args.push('--onto', options.onto);
+    args.push(upstream);
+
+    const before = await this._headState();
+    return this._rebaseOutcome(() => git.raw(args), before, upstream);
+  }
+
+  /**
+   * Read the progress of a rebase in progress from the git directory,
+   * so an interrupted rebase can be picked up again
+   */
+  async getRebaseState() {
+    const gitDir = await this.git.revparse(['--absolute-git-dir']);
+    const mergeDir = join(gitDir, 'rebase-merge');
+    const applyDir = join(gitDir, 'rebase-apply');
+
+    let dir = null;
+    if (await fs.pathExists(mergeDir)) {
+      dir = mergeDir;
+    } else if (await fs.pathExists(applyDir) && !(await fs.pathExists(join(applyDir, 'applying')))) {
+      // rebase-apply is shared with git am, which marks itself with "applying"
+      dir = applyDir;
+    }
+    if (!dir) return { inProgress: false };
+
+    const read = async (name) => {
+      const file = join(dir, name);
+      if (!(await fs.pathExists(file))) return null;
+      return (await fs.readFile(file, 'utf8')).trim();
+    };
+    const readTodo = async (name) => ((await read(name)) || '')
+      .split('\n')
+      .filter(line => line.trim() && !line.startsWith('#'))
+      .map(parseTodoLine);
+
+    const isMerge = dir === mergeDir;
+    const headName = await read('head-name');
+    const stoppedSha = isMerge ? await read('stopped-sha') : null;
+
+    let stoppedAt = null;
+    if (stoppedSha) {
+      const subject = await this.git.raw(['log', '-1', '--format=%s', stoppedSha]).catch(() => '');
+      stoppedAt = { hash: stoppedSha, subject };
+    }
+
+    const done = isMerge ? await readTodo('done') : [];
+    const remaining = isMerge ? await readTodo('git-rebase-todo') : [];
+
+    // Generated todo lists carry no subjects, look them up
+    const unnamed = [...done, ...remaining].filter(item => item.hash && !item.subject);
+    if (unnamed.length > 0) {
+      const output = await this.git.raw([
+        'log', '--no-walk=unsorted', '--format=%H%x1f%s', ...new Set(unnamed.map(item => item.hash))
+      ]).catch(() => '');
+      const subjects = output.split('\n').filter(Boolean).map(line => line.split('\x1f'));
+      unnamed.forEach(item => {
+        const match = subjects.find(([hash]) => hash.startsWith(item.hash));
+        if (match) item.subject = match[1];
+      });
+    }
+
+    return {
+      inProgress: true,
+      interactive: await fs.pathExists(join(dir, 'interactive')),
+      step: parseInt(await read(isMerge ? 'msgnum' : 'next')) || 0,
+      total: parseInt(await read(isMerge ? 'end' : 'last')) || 0,
+      headName: headName ? headName.replace(/^refs\/heads\//, '') : null,
+      onto: await read('onto'),
+      origHead: await read('orig-head'),
+      stoppedAt,
+      done,
+      remaining,
+      conflicted: (await this.getConflicts()).map(c => c.path)
+    };
+  }
+
+  /**
+   * Continue rebase
+   */
+  async rebaseContinue() {
+    return this._rebaseOutcome(() => this._nonInteractive().raw(['rebase', '--continue']));
+  }
+
+  /**
+   * Skip the commit a rebase stopped at
+   */
+  async rebaseSkip() {
+    return this._rebaseOutcome(() => this._nonInteractive().raw(['rebase', '--skip']));
+  }
+
+  // Run a rebase step and report where it ended up; stopping for a conflict
+  // or an edit is not a failure, the rebase is just waiting for the user.
+  // Some refusals (e.g. continuing with unmerged files) only go to stdout,
+  // so conflicts are checked even when git did not report an error.
+  // before is where HEAD was when the rebase started; for a rebase already
+  // in progress it is the original head git saved in the rebase state.
+  async _rebaseOutcome(run, before, upstream) {
+    if (!before) {
+      const started = await this.getRebaseState();
+      before = started.inProgress ? { head: started.origHead, branch: started.headName } : null;
+    }
+
+    let output = '';
+    let failure = null;
+    try {
+      output = await run();
+    } catch (error) {
+      failure = error;
+    }
+
+    const state = await this.getRebaseState();
+    if (failure && !state.inProgress) throw failure;
+    if (!state.inProgress) {
+      await this._recordRebase(before, upstream);
+    }
+
+    // A finished rebase has no conflicts to report
+    const conflicted = state.inProgress && state.conflicted.length > 0;
+    if (failure || conflicted) {
+      return {
+        success: false,
+        conflict: conflicted,
+        message: failure ? failure.message : output,
+        state
+      };
+    }
+    return { success: true, stopped: state.inProgress, state };
+  }
+
+  /**
+   * Run a command that may trigger hooks. When it fails because a hook
+   * refused it, the hook and its complete output are returned as
+   * { hookFailure: { success: false, hookFailed, hook, output } } instead of
+   * throwing. Git's trace2 events, written to a scratch file, tell which
+   * hooks ran and how each of them exited.
    */
-  async rebaseAbort() {
-    await this.git.rebase(['--abort']);
-    return { success: true };
+  async _runHooks(run, onProgress) {
+    const traceFile = await this._appDataPath(`trace-${crypto.randomUUID()}.json`);
+    await fs.ensureDir(dirname(traceFile));
+
+    try {
+      return { result: await run(this._nonInteractive({ GIT_TRACE2_EVENT: traceFile }, onProgress)) };
+    } catch (error) {
+      const trace = await fs.readFile(traceFile, 'utf8').catch(() => '');
+      const hook = failedHook(trace);
+      if (!hook) throw error;
+
+      return {
+        hookFailure: {
+          success: false,
+          hookFailed: true,
+          hook,
+          output: error.message
+        }
+      };
+    } finally {
+      await fs.remove(traceFile);
+    }
   }
 
-  /**
-   * Continue rebase
-   */
-  async rebaseContinue() {
-    await this.git.rebase(['--continue']);
-    return { success: true };
+  // A git instance that never waits for an editor; messages are kept as they are
+  _nonInteractive(env = {}, onProgress) {
+    return simpleGit(this.repoPath, { binary: 'git', trimmed: true, progress: onProgress, abort: this.signal })
+      .env({ ...process.env, GIT_EDITOR: 'true', ...env });
+  }
+
+  // A git instance reporting transfer progress (counting, receiving, resolving...)
+  _withProgress(onProgress) {
+    if (!onProgress) return this.git;
+    return simpleGit(this.repoPath, { binary: 'git', trimmed: true, progress: onProgress, abort: this.signal });
   }
 
   /**
@@ -475,16 +1829,385 @@ class GitService {
   }
 
   /**
-   * Reset
+   * Reset the current branch to commit; mode is 'soft', 'mixed' or 'hard'
    */
-  async resetTo(commit, mode = 'soft') {
+  async resetTo(commit, mode) {
     const modes = {
       soft: ['--soft'],
       mixed: ['--mixed'],
       hard: ['--hard']
     };
+    if (!modes[mode]) {
+      throw new Error(`Invalid reset mode: ${mode}`);
+    }
+    assertRevision(commit);
+
+    const from = await this.git.revparse(['HEAD']);
+    // A hard reset throws away uncommitted changes; keep them as a dangling stash commit
+    const stash = mode === 'hard' ? await this.git.raw(['stash', 'create']) : '';
+
     await this.git.reset([...modes[mode], commit]);
-    return { success: true };
+    const to = await this.git.revparse(['HEAD']);
+
+    await this._recordOperation('reset', `Reset (${mode}) to ${to.substring(0, 7)}`, {
+      before: { head: from, branch: await this._currentBranch() },
+      mode,
+      stash: stash || null
+    });
+    return { success: true, from, to, mode };
+  }
+
+  /**
+   * Describe what resetting the current branch to a commit would do:
+   * the commits it removes from the branch (and whether any other ref still
+   * reaches them), how many it adds, and the uncommitted changes at stake
+   */
+  async getResetPreview(commit) {
+    assertRevision(commit);
+    const target = await this.git.revparse(['--verify', `${commit}^{commit}`]);
+    const branch = await this._currentBranch();
+
+    const output = await this.git.raw([
+      'log', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s', `${target}..HEAD`
+    ]);
+    // Commits no other branch, tag or remote branch reaches are only left in the reflog
+    const orphaned = new Set((await this.git.raw([
+      'rev-list', 'HEAD', '--not', target,
+      ...(branch ? [`--exclude=${branch}`] : []),
+      '--branches', '--tags', '--remotes'
+    ])).split('\n').filter(Boolean));
+
+    const commits = output.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, author, date, subject] = line.split('\x1f');
+      return { hash, shortHash, author, date, subject, orphaned: orphaned.has(hash) };
+    });
+    const added = parseInt(await this.git.raw(['rev-list', '--count', `HEAD..${target}`])) || 0;
+
+    const status = await this.git.status();
+    const changes = {
+      staged: status.files.filter(f => f.index !== ' ' && f.index !== '?').map(f => f.path),
+      unstaged: status.files.filter(f => f.working_dir !== ' ' && f.working_dir !== '?').map(f => f.path),
+      untracked: status.files.filter(f => f.index === '?').map(f => f.path)
+    };
+
+    const subject = await this.git.raw(['log', '-1', '--format=%s', target]);
+    return { target: { hash: target, subject }, branch, commits, added, changes };
+  }
+
+  /**
+   * Read the reflog of HEAD or a branch, newest first
+   */
+  async getReflog(ref = 'HEAD', limit = 100) {
+    assertRevision(ref);
+    const output = await this.git.raw([
+      'reflog', 'show', '--date=iso-strict', `-n${limit}`,
+      '--format=%H%x1f%h%x1f%gd%x1f%gs', ref, '--'
+    ]).catch(() => '');
+
+    const entries = output.split('\n').filter(Boolean).map((line, index) => {
+      const [hash, shortHash, selector, subject] = line.split('\x1f');
+      const separator = subject.indexOf(': ');
+      return {
+        selector: `${ref}@{${index}}`,
+        hash,
+        shortHash,
+        // %gd shows the entry's date when --date is given: HEAD@{2024-01-01T00:00:00+00:00}
+        date: selector.substring(selector.indexOf('{') + 1, selector.length - 1),
+        action: separator === -1 ? subject : subject.substring(0, separator),
+        message: separator === -1 ? '' : subject.substring(separator + 2)
+      };
+    });
+
+    return { ref, entries };
+  }
+
+  /**
+   * The most recent journaled operation and, if it cannot be undone,
+   * the reason why
+   */
+  async getUndoableOperation() {
+    const [operation] = await this._readOperationJournal();
+    if (!operation) return { operation: null, blocked: null };
+    return { operation, blocked: await this._undoBlocker(operation) };
+  }
+
+  /**
+   * Undo the most recent journaled operation. Operations that moved HEAD are
+   * undone by moving it back to the commit it was at before, which the reflog
+   * still holds; deleted branches are recreated and checkouts switched back.
+   */
+  async undoLastOperation() {
+    const { operation, blocked } = await this.getUndoableOperation();
+    if (!operation) {
+      throw new Error('There is nothing to undo');
+    }
+    if (blocked) {
+      throw new Error(blocked);
+    }
+
+    switch (operation.type) {
+      case 'commit':
+      case 'amend':
+        // Keep the undone commit's changes staged
+        await this.git.reset(['--soft', operation.before.head]);
+        break;
+      case 'reset':
+        await this.git.reset([`--${operation.mode}`, operation.before.head]);
+        if (operation.stash) {
+          await this.git.raw(['stash', 'apply', '--index', operation.stash]);
+        }
+        break;
+      case 'merge':
+      case 'rebase':
+        await this.git.reset(['--hard', operation.before.head]);
+        break;
+      case 'checkout':
+        await this.git.checkout(operation.before.branch || operation.before.head);
+        break;
+      case 'branch-delete':
+        await this.git.raw(['branch', operation.deleted.name, operation.deleted.head]);
+        break;
+      default:
+        throw new Error(`Cannot undo ${operation.type}`);
+    }
+
+    const journal = await this._readOperationJournal();
+    await this._writeOperationJournal(journal.filter(entry => entry.id !== operation.id));
+    return { success: true, operation };
+  }
+
+  // Why an operation can no longer be undone safely, or null
+  async _undoBlocker(operation) {
+    const current = await this._headState();
+
+    if (operation.type === 'branch-delete') {
+      const exists = await this.git.raw(['rev-parse', '--verify', '-q', `refs/heads/${operation.deleted.name}`]).catch(() => '');
+      return exists ? `A branch named ${operation.deleted.name} exists again` : null;
+    }
+
+    if (current.head !== operation.head || current.branch !== operation.branch) {
+      return 'HEAD has moved since, undo it from the reflog instead';
+    }
+    if (HEAD_OPERATIONS.includes(operation.type) && !operation.before.head) {
+      return 'The first commit of a repository cannot be undone';
+    }
+
+    const discardsChanges = operation.type === 'merge' || operation.type === 'rebase' ||
+      (operation.type === 'reset' && operation.mode === 'hard');
+    if (discardsChanges || operation.type === 'checkout') {
+      const status = await this.git.status();
+      if (status.files.some(f => f.index !== '?')) {
+        return 'Commit or stash your changes first';
+      }
+    }
+
+    return null;
+  }
+
+  // Journal an operation together with where HEAD ended up
+  async _recordOperation(type, description, details = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      type,
+      description,
+      ...(await this._headState()),
+      ...details,
+      recordedAt: new Date().toISOString()
+    };
+
+    const journal = await this._readOperationJournal();
+    await this._writeOperationJournal([entry, ...journal].slice(0, OPERATION_JOURNAL_LIMIT));
+  }
+
+  // Journal a finished rebase that started at before; a rebase that found
+  // the branch up to date moved nothing and leaves nothing to undo
+  async _recordRebase(before, upstream) {
+    const branch = await this._currentBranch();
+    if (!branch || !before?.head) return;
+
+    const head = await this.git.revparse(['HEAD']);
+    if (head === before.head) return;
+
+    const description = upstream ? `Rebase ${branch} onto ${upstream}` : `Rebase ${branch}`;
+    await this._recordOperation('rebase', description, { before: { head: before.head, branch } });
+  }
+
+  async _headState() {
+    return {
+      head: await this.git.revparse(['HEAD']).catch(() => null),
+      branch: await this._currentBranch()
+    };
+  }
+
+  // The refspec and flags pushing branch (the current one when not given)
+  // with options takes, and the name of the branch it updates on the remote
+  async _pushArgs(branch, options = {}) {
+    if (branch) assertRevision(branch);
+    if (options.remoteBranch) assertRevision(options.remoteBranch);
+
+    if (options.all) {
+      if (options.tags) {
+        throw new Error('Branches and tags are pushed separately; push all branches, then the tags');
+      }
+      if (branch || options.remoteBranch || options.delete) {
+        throw new Error('Pushing all branches can\'t be combined with a branch');
+      }
+      return { flags: ['--all'] };
+    }
+
+    if (options.delete) {
+      const target = options.remoteBranch || branch;
+      if (!target) {
+        throw new Error('Choose the remote branch to delete');
+      }
+      return { refspec: target, target, flags: ['--delete'] };
+    }
+
+    const flags = options.tags ? ['--tags'] : [];
+    // The branch as git's push.default would push it, or tags alone. A lease
+    // needs the branch it protects, so it always names one.
+    if (!options.remoteBranch && !options.forceWithLease) {
+      return { refspec: branch, target: branch, flags };
+    }
+
+    const source = branch || await this._currentBranch();
+    const target = options.remoteBranch || source;
+    if (!target) {
+      throw new Error('HEAD is detached; choose the remote branch to push to');
+    }
+    // A full destination, as git can't tell whether a new short name is a branch or a tag
+    return { refspec: `${source || 'HEAD'}:refs/heads/${target}`, target, flags };
+  }
+
+  // One ref update of a push dry run, with the commits it would send or drop
+  async _describeRefUpdate(remote, type, source, ref, summary) {
+    const tag = ref.startsWith('refs/tags/');
+    // The dry run forces every ref, but a push only overwrites branches (with
+    // a lease, which git refuses for tags), so a moved tag would be rejected
+    const movedTag = tag && type === 'forced';
+    const update = {
+      remote,
+      ref,
+      name: ref.replace(/^refs\/(heads|tags)\//, ''),
+      tag,
+      type: movedTag ? 'rejected' : type,
+      reason: movedTag
+        ? 'tag already exists on the remote'
+        : (type === 'rejected' ? (summary.match(/\((.*)\)/) || [])[1] || summary : null),
+      expected: null,
+      commits: [],
+      commitCount: 0,
+      overwritten: []
+    };
+    if (tag || type === 'deleted' || type === 'rejected') return update;
+
+    const range = summary.match(/^([0-9a-f]+)\.\.\.?([0-9a-f]+)/);
+    const head = await this.git.revparse([`${source}^{commit}`]);
+    const old = range ? await this.git.revparse([`${range[1]}^{commit}`]).catch(() => null) : null;
+    const sent = old ? [`${old}..${head}`] : [head, '--not', `--remotes=${remote}`];
+
+    update.expected = old;
+    update.commits = await this._listCommits(sent, PUSH_PREVIEW_LIMIT);
+    update.commitCount = parseInt(await this.git.raw(['rev-list', '--count', ...sent])) || 0;
+    if (type === 'forced' && old) {
+      update.overwritten = await this._listCommits([`${head}..${old}`], PUSH_PREVIEW_LIMIT);
+    }
+    return update;
+  }
+
+  // Commits in a revision range, newest first, in the form previews list them
+  async _listCommits(range, limit) {
+    const output = await this.git.raw([
+      'log', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s', ...(limit ? [`--max-count=${limit}`] : []), ...range
+    ]);
+    return output.split('\n').filter(Boolean).map(line => {
+      const [hash, shortHash, author, date, subject] = line.split('\x1f');
+      return { hash, shortHash, author, date, subject };
+    });
+  }
+
+  // Merge two commits in memory and list the conflicts as { path, type, message }
+  async _mergeTreeConflicts(ours, theirs) {
+    let output;
+    try {
+      // Conflicts exit with status 1 but write nothing to stderr, so
+      // simple-git returns their output; errors are raised as a GitError
+      output = await this.git.raw(['merge-tree', '--write-tree', '--name-only', '-z', ours, theirs]);
+    } catch (error) {
+      throw new Error(/write-tree/.test(error.message)
+        ? 'Previewing merges needs git 2.38 or later'
+        : error.message.trim());
+    }
+
+    // "<tree>\0<conflicted path>\0...\0\0" then messages, each
+    // "<path count>\0<path>\0...<type>\0<message>\0"
+    const tokens = output.split('\0');
+    const end = tokens.indexOf('', 1);
+    const paths = [...new Set(tokens.slice(1, end))];
+    const messages = new Map();
+    for (let i = end + 1; i < tokens.length - 1;) {
+      const count = parseInt(tokens[i++]);
+      if (!count) break;
+      const messagePaths = tokens.slice(i, i + count);
+      const [type, message] = [tokens[i + count], tokens[i + count + 1]];
+      i += count + 2;
+      if (!type.startsWith('CONFLICT')) continue;
+      for (const path of messagePaths) {
+        if (!messages.has(path)) messages.set(path, { type, message: message.trim() });
+      }
+    }
+
+    return paths.map(path => ({ path, type: null, message: null, ...messages.get(path) }));
+  }
+
+  // Upstream, ahead/behind and last commit of every local branch, by name
+  async _branchTracking() {
+    const output = await this.git.raw([
+      'for-each-ref', 'refs/heads',
+      '--format=%(refname:short)%1f%(upstream:short)%1f%(upstream:track,nobracket)%1f%(objectname)%1f%(committerdate:iso-strict)%1f%(authorname)%1f%(subject)'
+    ]);
+    const tracking = new Map();
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [name, upstream, track, hash, date, author, subject] = line.split('\x1f');
+      tracking.set(name, {
+        upstream: upstream || null,
+        ahead: parseInt((track.match(/ahead (\d+)/) || [])[1]) || 0,
+        behind: parseInt((track.match(/behind (\d+)/) || [])[1]) || 0,
+        // The upstream is configured but the remote branch no longer exists
+        gone: track === 'gone',
+        lastCommit: { hash, date, author, subject }
+      });
+    }
+    return tracking;
+  }
+
+  // The branch others get merged into: the local copy of the branch a remote's
+  // HEAD points at (origin first), or else main or master
+  async _defaultBranch(localBranches) {
+    const remotes = await this._remoteNames();
+    for (const remote of [...remotes.filter(r => r === 'origin'), ...remotes.filter(r => r !== 'origin')]) {
+      const head = (await this.git.raw(['symbolic-ref', '--short', '-q', `refs/remotes/${remote}/HEAD`]).catch(() => '')).trim();
+      const name = head.slice(remote.length + 1);
+      if (name && localBranches.includes(name)) return name;
+    }
+    return ['main', 'master'].find(name => localBranches.includes(name)) || null;
+  }
+
+  async _currentBranch() {
+    return (await this.git.raw(['symbolic-ref', '--short', '-q', 'HEAD']).catch(() => null)) || null;
+  }
+
+  async _readOperationJournal() {
+    const file = await this._appDataPath('operations.json');
+    if (!(await fs.pathExists(file))) return [];
+    const data = await fs.readJson(file);
+    return data.entries || [];
+  }
+
+  async _writeOperationJournal(entries) {
+    const file = await this._appDataPath('operations.json');
+    await fs.ensureDir(dirname(file));
+    await fs.writeJson(file, { entries }, { spaces: 2 });
   }
 
   /**
@@ -497,18 +2220,387 @@ class GitService {
   }
 
   /**
-   * Get remote info
+   * Detect a multi-step operation left in progress from the files git keeps
+   * in its directory. Returns null when the repository is idle, otherwise
+   * { type, progress, head, onto, commit, remaining } where commit is the
+   * commit being applied or stopped at.
+   */
+  async getOperation() {
+    const gitDir = await this.git.revparse(['--absolute-git-dir']);
+    const exists = (name) => fs.pathExists(join(gitDir, name));
+    const read = async (name) => ((await exists(name)) ? (await fs.readFile(join(gitDir, name), 'utf8')).trim() : null);
+    const describe = async (rev) => {
+      const output = await this.git.raw(['log', '-1', '--format=%H%x1f%s', rev]).catch(() => '');
+      const [hash, subject] = output.split('\x1f');
+      return { hash: hash || rev, subject: subject || '' };
+    };
+
+    const rebase = await this.getRebaseState();
+    if (rebase.inProgress) {
+      return {
+        type: 'rebase',
+        progress: rebase.total ? `${rebase.step}/${rebase.total}` : null,
+        head: rebase.headName,
+        onto: rebase.onto,
+        commit: rebase.stoppedAt,
+        remaining: rebase.remaining.length
+      };
+    }
+
+    if (await exists(join('rebase-apply', 'applying'))) {
+      const next = await read(join('rebase-apply', 'next'));
+      const last = await read(join('rebase-apply', 'last'));
+      return {
+        type: 'am',
+        progress: next && last ? `${next}/${last}` : null,
+        head: await this._currentBranch(),
+        onto: null,
+        commit: null,
+        remaining: last ? parseInt(last) - parseInt(next) : 0
+      };
+    }
+
+    if (await exists('MERGE_HEAD')) {
+      const mergeHead = (await read('MERGE_HEAD')).split('\n')[0];
+      return {
+        type: 'merge',
+        progress: null,
+        head: await this._currentBranch(),
+        onto: null,
+        commit: await describe(mergeHead),
+        remaining: 0
+      };
+    }
+
+    // A sequence of picks/reverts keeps its remaining steps in sequencer/todo,
+    // even between steps when no CHERRY_PICK_HEAD/REVERT_HEAD exists
+    const todo = ((await read(join('sequencer', 'todo'))) || '')
+      .split('\n')
+      .filter(line => line.trim() && !line.startsWith('#'))
+      .map(parseTodoLine);
+    const pickHead = await read('CHERRY_PICK_HEAD');
+    const revertHead = await read('REVERT_HEAD');
+
+    if (pickHead || revertHead || todo.length > 0) {
+      const type = revertHead || (!pickHead && todo[0]?.action === 'revert') ? 'revert' : 'cherry-pick';
+      const head = pickHead || revertHead;
+      return {
+        type,
+        progress: null,
+        head: await this._currentBranch(),
+        onto: null,
+        commit: head ? await describe(head) : null,
+        // the todo still lists the commit being applied
+        remaining: Math.max(0, todo.length - (head ? 1 : 0))
+      };
+    }
+
+    if (await exists('BISECT_LOG')) {
+      return {
+        type: 'bisect',
+        progress: null,
+        head: await read('BISECT_START'),
+        onto: null,
+        commit: await describe('HEAD'),
+        remaining: 0
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Continue, skip or abort whatever operation is in progress
+   */
+  async runOperationAction(action) {
+    const operation = await this.getOperation();
+    if (!operation) {
+      throw new Error('No operation in progress');
+    }
+
+    const sequencerStep = (command, option) =>
+      this._sequencerOutcome(() => this._nonInteractive().raw([command, option]));
+    const abort = (command) => async () => {
+      await this.git.raw([command, '--abort']);
+      return { success: true };
+    };
+
+    const handlers = {
+      rebase: {
+        continue: () => this.rebaseContinue(),
+        skip: () => this.rebaseSkip(),
+        abort: () => this.rebaseAbort()
+      },
+      am: {
+        continue: () => sequencerStep('am', '--continue'),
+        skip: () => sequencerStep('am', '--skip'),
+        abort: abort('am')
+      },
+      merge: {
+        continue: async () => {
+          const before = await this._headState();
+          await this._nonInteractive().raw(['merge', '--continue']);
+          await this._recordOperation('merge', `Merge ${operation.commit.hash.substring(0, 7)}`, { before });
+          return { success: true };
+        },
+        abort: abort('merge')
+      },
+      'cherry-pick': {
+        continue: () => this.cherryPickContinue(),
+        skip: () => this.cherryPickSkip(),
+        abort: () => this.cherryPickAbort()
+      },
+      revert: {
+        continue: () => sequencerStep('revert', '--continue'),
+        skip: () => sequencerStep('revert', '--skip'),
+        abort: abort('revert')
+      },
+      bisect: {
+        skip: async () => {
+          await this.git.raw(['bisect', 'skip']);
+          return { success: true };
+        },
+        abort: async () => {
+          await this.git.raw(['bisect', 'reset']);
+          return { success: true };
+        }
+      }
+    };
+
+    const handler = handlers[operation.type][action];
+    if (!handler) {
+      throw new Error(`Cannot ${action} a ${operation.type}`);
+    }
+    return handler();
+  }
+
+  /**
+   * Cherry-pick commits onto the current branch, applied in the given order
+   */
+  async cherryPick(commits, options = {}) {
+    if (!commits || commits.length === 0) {
+      throw new Error('No commits to cherry-pick');
+    }
+    commits.forEach(assertRevision);
+
+    const args = ['cherry-pick'];
+    if (options.recordOrigin) args.push('-x');
+    if (options.noCommit) args.push('--no-commit');
+
+    return this._sequencerOutcome(() => this._nonInteractive().raw([...args, ...commits]));
+  }
+
+  /**
+   * Continue a cherry-pick after resolving conflicts
+   */
+  async cherryPickContinue() {
+    return this._sequencerOutcome(() => this._nonInteractive().raw(['cherry-pick', '--continue']));
+  }
+
+  /**
+   * Skip the commit a cherry-pick stopped at
+   */
+  async cherryPickSkip() {
+    return this._sequencerOutcome(() => this._nonInteractive().raw(['cherry-pick', '--skip']));
+  }
+
+  /**
+   * Abort a cherry-pick
+   */
+  async cherryPickAbort() {
+    await this.git.raw(['cherry-pick', '--abort']);
+    return { success: true };
+  }
+
+  // Conflicts or an emptied commit stop a cherry-pick or revert instead of failing it
+  async _sequencerOutcome(run) {
+    let output = '';
+    let failure = null;
+    try {
+      output = await run();
+    } catch (error) {
+      failure = error;
+    }
+
+    const conflicted = (await this.getConflicts()).map(c => c.path);
+    const operation = await this.getOperation();
+    const inProgress = operation && ['cherry-pick', 'revert'].includes(operation.type);
+    if (failure && conflicted.length === 0 && !inProgress) throw failure;
+
+    if (failure || (inProgress && conflicted.length > 0)) {
+      return {
+        success: false,
+        conflict: conflicted.length > 0,
+        message: failure ? failure.message : output,
+        conflicted
+      };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Lock files present in the repository, and the git processes that may
+   * still be working in it. Locks without such a process are stale.
+   */
+  async getLocks() {
+    const gitDir = await this.git.revparse(['--absolute-git-dir']);
+    const refLocks = await this._findLockFiles(join(gitDir, 'refs'));
+    const files = [
+      ...(await Promise.all(LOCK_FILES.map(async file => ((await fs.pathExists(join(gitDir, file))) ? file : null)))).filter(Boolean),
+      ...refLocks.map(file => relative(gitDir, file).split(sep).join('/'))
+    ];
+
+    const locks = await Promise.all(files.map(async file => ({
+      file,
+      modified: (await fs.stat(join(gitDir, file))).mtime.toISOString()
+    })));
+    const processes = locks.length > 0 ? await this._gitProcesses(gitDir) : [];
+    return { locks, processes, stale: locks.length > 0 && processes.length === 0 };
+  }
+
+  /**
+   * Remove lock files left behind by a git process that was killed. Refuses
+   * while a git process may still be using them.
+   */
+  async removeStaleLocks() {
+    const { locks, processes } = await this.getLocks();
+    if (processes.length > 0) {
+      throw new Error(`Git is still running in this repository (process ${processes.join(', ')}); its locks are not stale`);
+    }
+
+    const gitDir = await this.git.revparse(['--absolute-git-dir']);
+    await Promise.all(locks.map(lock => fs.remove(join(gitDir, lock.file))));
+    return { success: true, removed: locks.map(lock => lock.file) };
+  }
+
+  async _findLockFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const nested = await Promise.all(entries.map(entry => {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) return this._findLockFiles(path);
+      return entry.name.endsWith('.lock') ? [path] : [];
+    }));
+    return nested.flat();
+  }
+
+  // Ids of running git processes that may hold this repository's locks. On
+  // Linux those working in the repository or with a file of it open are
+  // found through /proc; elsewhere every running git process counts.
+  async _gitProcesses(gitDir) {
+    if (process.platform !== 'linux') {
+      const windows = process.platform === 'win32';
+      const { stdout } = await execFileAsync(windows ? 'tasklist' : 'ps', windows ? ['/FO', 'CSV', '/NH'] : ['-Ao', 'pid=,comm=']);
+      // tasklist prints "name","pid",... and ps prints pid followed by the command
+      return stdout.split(/\r?\n/)
+        .map(line => (windows
+          ? line.replace(/^"|"$/g, '').split('","').slice(0, 2)
+          : (line.trim().match(/^(\d+)\s+(.+)$/) || []).slice(1).reverse()))
+        .filter(([name, pid]) => name && pid && /^git(\.exe|-|$)/.test(name.split(/[/\\]/).pop()))
+        .map(([, pid]) => Number(pid));
+    }
+
+    const roots = await Promise.all([this.repoPath, gitDir].map(path => fs.realpath(path)));
+    const inRepository = (path) => roots.some(root => path === root || path.startsWith(root + sep));
+    const pids = (await fs.readdir('/proc')).filter(name => /^\d+$/.test(name) && Number(name) !== process.pid);
+
+    const holders = [];
+    for (const pid of pids) {
+      const name = await fs.readFile(`/proc/${pid}/comm`, 'utf8').catch(() => '');
+      if (!/^git(-|$)/.test(name.trim())) continue;
+
+      const cwd = await fs.readlink(`/proc/${pid}/cwd`).catch(() => null);
+      const fds = await fs.readdir(`/proc/${pid}/fd`).catch(() => []);
+      const open = await Promise.all(fds.map(fd => fs.readlink(`/proc/${pid}/fd/${fd}`).catch(() => '')));
+      if ((cwd && inRepository(cwd)) || open.some(inRepository)) {
+        holders.push(Number(pid));
+      }
+    }
+    return holders;
+  }
+
+  /**
+   * Get remote info. pushUrls are the URLs configured for pushing only,
+   * empty when pushes go to the fetch URL.
    */
   async getRemotes() {
     const remotes = await this.git.getRemotes(true);
     return {
-      remotes: remotes.map(r => ({
+      remotes: await Promise.all(remotes.map(async r => ({
         name: r.name,
+        url: r.refs.fetch,
+        pushUrls: await this._configValues(`remote.${r.name}.pushurl`),
         refs: r.refs
-      }))
+      })))
     };
   }
 
+  /**
+   * Add a remote, optionally with separate push URLs and fetching it
+   * straight away
+   */
+  async addRemote(name, url, options = {}) {
+    await this.git.addRemote(name, url);
+    await this._setPushUrls(name, options.pushUrls || []);
+    if (options.fetch) {
+      await this.git.fetch(name);
+    }
+    return { success: true, name };
+  }
+
+  /**
+   * Change a remote's fetch URL and/or push URLs (an empty list of push
+   * URLs makes pushes go to the fetch URL again)
+   */
+  async updateRemote(name, { url, pushUrls } = {}) {
+    if (url) {
+      await this.git.remote(['set-url', name, url]);
+    }
+    if (pushUrls) {
+      await this._setPushUrls(name, pushUrls);
+    }
+    return { success: true, name };
+  }
+
+  /**
+   * Rename a remote, along with its remote-tracking branches and the
+   * upstream settings that point at it
+   */
+  async renameRemote(oldName, newName) {
+    await this.git.remote(['rename', oldName, newName]);
+    return { success: true, name: newName };
+  }
+
+  /**
+   * Remove a remote and its remote-tracking branches
+   */
+  async removeRemote(name) {
+    await this.git.removeRemote(name);
+    return { success: true };
+  }
+
+  async _setPushUrls(name, urls) {
+    if ((await this._configValues(`remote.${name}.pushurl`)).length > 0) {
+      await this.git.raw(['config', '--unset-all', `remote.${name}.pushurl`]);
+    }
+    for (const url of urls.filter(Boolean)) {
+      await this.git.raw(['config', '--add', `remote.${name}.pushurl`, url]);
+    }
+  }
+
+  // Every value of a multi-valued config key, none when it isn't set
+  async _configValues(key) {
+    try {
+      const output = await this.git.raw(['config', '--get-all', key]);
+      return output.split('\n').filter(Boolean);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async _remoteNames() {
+    return (await this.git.getRemotes()).map(r => r.name);
+  }
+
   /**
    * Check if path is a valid git repository
    */
@@ -538,8 +2630,8 @@ class GitService {
   /**
    * Clone repository
    */
-  static async clone(url, targetPath, options = {}) {
-    const git = simpleGit();
+  static async clone(url, targetPath, options = {}, { onProgress, signal } = {}) {
+    const git = simpleGit({ progress: onProgress, abort: signal });
     await git.clone(url, targetPath, options);
     return { success: true, path: targetPath };
   }
@@ -0,0 +1,185 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+// Finished jobs kept around for clients that look them up late
+const FINISHED_JOBS_LIMIT = 50;
+
+/**
+ * Job Service - Runs git operations one at a time per repository and reports
+ * their progress.
+ *
+ * Jobs of the same repository wait in a queue, so two commands never race
+ * for the repository's lock files; jobs without a repository (clone) start
+ * right away. A job is queued, running, or finished as succeeded, failed or
+ * cancelled.
+ *
+ * Every change to a job is emitted as an 'update' event carrying a snapshot
+ * of it: { id, type, repoId, title, state, progress, result, error, ... }
+ * where progress is the latest { stage, percent, processed, total } reported
+ * by git.
+ */
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    // Jobs waiting for their repository, by repo ID
+    this.queues = new Map();
+    // Abort controllers of running jobs, by job ID
+    this.controllers = new Map();
+    // Any number of clients may be following jobs
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start a job in the background and return it straight away. run receives
+   * an onProgress callback for simple-git's progress events and an abort
+   * signal that is raised when the job is cancelled; whatever it resolves to
+   * becomes the job's result.
+   */
+  start(type, meta, run) {
+    const { job, done } = this.enqueue(type, meta, run);
+    // Failures are reported through the job itself
+    done.catch(() => {});
+    return job;
+  }
+
+  /**
+   * Queue a job and return it together with a promise of its result
+   */
+  enqueue(type, { repoId = null, title }, run) {
+    const job = {
+      id: uuidv4(),
+      type,
+      repoId,
+      title: title || type,
+      state: 'queued',
+      progress: null,
+      result: null,
+      error: null,
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+
+    const done = new Promise((resolve, reject) => {
+      const entry = { job, run, resolve, reject };
+      const queue = this.queues.get(repoId) || [];
+      if (repoId) this.queues.set(repoId, [...queue, entry]);
+
+      this._emit(job);
+      if (!repoId) {
+        this._run(entry);
+      } else if (queue.length === 0) {
+        this._next(repoId);
+      }
+    });
+
+    return { job: this.snapshot(job), done };
+  }
+
+  /**
+   * Cancel a job. A queued job is dropped; a running one has its git command
+   * interrupted.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    if (job.finishedAt) {
+      throw new Error('Job has already finished');
+    }
+
+    if (job.state === 'queued') {
+      const queue = this.queues.get(job.repoId);
+      const entry = queue.find(e => e.job === job);
+      this.queues.set(job.repoId, queue.filter(e => e !== entry));
+      this._update(job, { state: 'cancelled', error: 'Cancelled' });
+      entry.reject(new Error('Cancelled'));
+      this._pruneFinished();
+    } else {
+      this.controllers.get(id).abort();
+    }
+    return this.snapshot(job);
+  }
+
+  /**
+   * Get a job by ID
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * List jobs, oldest first, optionally only those of one repository
+   */
+  list({ repoId } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => !repoId || job.repoId === repoId)
+      .map(job => this.snapshot(job));
+  }
+
+  snapshot(job) {
+    return { ...job };
+  }
+
+  // Run the job at the head of a repository's queue
+  _next(repoId) {
+    const [entry] = this.queues.get(repoId) || [];
+    if (!entry) {
+      this.queues.delete(repoId);
+      return;
+    }
+
+    this._run(entry).finally(() => {
+      this.queues.set(repoId, this.queues.get(repoId).slice(1));
+      this._next(repoId);
+    });
+  }
+
+  async _run({ job, run, resolve, reject }) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this._update(job, { state: 'running', startedAt: new Date().toISOString() });
+
+    const onProgress = ({ stage, progress, processed, total }) => {
+      this._update(job, { progress: { stage, percent: progress, processed, total } });
+    };
+
+    try {
+      const result = await run({ onProgress, signal: controller.signal });
+      this._update(job, { state: 'succeeded', result });
+      resolve(result);
+    } catch (error) {
+      const cancelled = controller.signal.aborted;
+      this._update(job, { state: cancelled ? 'cancelled' : 'failed', error: cancelled ? 'Cancelled' : error.message });
+      reject(error);
+    } finally {
+      this.controllers.delete(job.id);
+      this._pruneFinished();
+    }
+  }
+
+  _update(job, changes) {
+    Object.assign(job, changes);
+    if (changes.state && !['queued', 'running'].includes(changes.state)) {
+      job.finishedAt = new Date().toISOString();
+    }
+    this._emit(job);
+  }
+
+  _emit(job) {
+    this.emit('update', this.snapshot(job));
+  }
+
+  _pruneFinished() {
+    const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - FINISHED_JOBS_LIMIT))) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+export default new JobService();
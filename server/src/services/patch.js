@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Parse a single-file unified diff into its header and hunks.
+ *
+ * Every hunk line records its type ('+', '-', ' '), its content and its
+ * line numbers on the old/new side, plus whether it is followed by a
+ * "\ No newline at end of file" marker.
+ */
+export function parseFileDiff(diffText) {
+  const lines = diffText.split('\n');
+  const header = [];
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of lines) {
+    const match = line.match(HUNK_HEADER);
+    if (match) {
+      oldLine = parseInt(match[1]);
+      newLine = parseInt(match[3]);
+      hunk = {
+        header: line,
+        oldStart: oldLine,
+        oldLines: match[2] === undefined ? 1 : parseInt(match[2]),
+        newStart: newLine,
+        newLines: match[4] === undefined ? 1 : parseInt(match[4]),
+        section: match[5].trim(),
+        lines: []
+      };
+      hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk) {
+      if (line) header.push(line);
+      continue;
+    }
+
+    if (line.startsWith('\\')) {
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous) previous.noNewline = true;
+      continue;
+    }
+
+    const type = line.charAt(0);
+    if (type === '+') {
+      hunk.lines.push({ type, content: line.substring(1), oldLine: null, newLine: newLine++ });
+    } else if (type === '-') {
+      hunk.lines.push({ type, content: line.substring(1), oldLine: oldLine++, newLine: null });
+    } else if (type === ' ') {
+      hunk.lines.push({ type, content: line.substring(1), oldLine: oldLine++, newLine: newLine++ });
+    }
+  }
+
+  return {
+    // Identifies the hunk content so a stale selection can be rejected
+    id: crypto.createHash('sha1').update(JSON.stringify(hunks)).digest('hex'),
+    header,
+    binary: header.some(line => line.startsWith('Binary files') || line === 'GIT binary patch'),
+    hunks
+  };
+}
+
+/**
+ * Build a patch containing only the selected changes of a parsed diff.
+ *
+ * `isSelected(hunkIndex, lineIndex)` decides which '+'/'-' lines to keep.
+ * Unselected changes are neutralised so the patch still applies:
+ *   - forward (staging):  unselected '-' become context, unselected '+' are dropped
+ *   - reverse (unstaging): unselected '+' become context, unselected '-' are dropped
+ * because a reversed patch must match the new side instead of the old one.
+ *
+ * Returns null when nothing is selected.
+ */
+export function buildPartialPatch(parsed, isSelected, { reverse = false } = {}) {
+  const keepAsContext = reverse ? '+' : '-';
+  const output = [];
+  let offset = 0;
+  let partial = false;
+
+  parsed.hunks.forEach((hunk, hunkIndex) => {
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    let changed = false;
+
+    hunk.lines.forEach((line, lineIndex) => {
+      let type = line.type;
+
+      if (type !== ' ' && !isSelected(hunkIndex, lineIndex)) {
+        partial = true;
+        if (type !== keepAsContext) return;
+        type = ' ';
+      }
+
+      if (type !== ' ') changed = true;
+      if (type !== '+') oldCount++;
+      if (type !== '-') newCount++;
+
+      body.push(`${type}${line.content}`);
+      if (line.noNewline) body.push('\\ No newline at end of file');
+    });
+
+    if (!changed) {
+      partial = true;
+      return;
+    }
+
+    // An empty side of a hunk is numbered by the line *before* the change
+    let newStart = hunk.oldStart + offset;
+    if (oldCount === 0) newStart += 1;
+    if (newCount === 0) newStart -= 1;
+    output.push(`@@ -${hunk.oldStart},${oldCount} +${newStart},${newCount} @@${hunk.section ? ` ${hunk.section}` : ''}`);
+    output.push(...body);
+    offset += newCount - oldCount;
+  });
+
+  if (output.length === 0) return null;
+
+  const header = partial ? keepFileHeader(parsed.header, reverse) : parsed.header;
+  return [...header, ...output].join('\n') + '\n';
+}
+
+/**
+ * Applying part of a file creation/deletion leaves the file in place, so the
+ * header must describe a plain modification instead.
+ */
+function keepFileHeader(header, reverse) {
+  const oldPath = header.find(line => line.startsWith('--- a/'));
+  const newPath = header.find(line => line.startsWith('+++ b/'));
+
+  if (!reverse && header.some(line => line.startsWith('deleted file mode'))) {
+    return header
+      .filter(line => !line.startsWith('deleted file mode'))
+      .map(line => (line === '+++ /dev/null' && oldPath ? `+++ b/${oldPath.substring(6)}` : line));
+  }
+
+  if (reverse && header.some(line => line.startsWith('new file mode'))) {
+    return header
+      .filter(line => !line.startsWith('new file mode'))
+      .map(line => (line === '--- /dev/null' && newPath ? `--- a/${newPath.substring(6)}` : line));
+  }
+
+  return header;
+}
@@ -162,6 +162,16 @@ class RepoService {
     }
 
     if (updates.name) repo.name = updates.name;
+    // Stale branch scan settings; null goes back to the defaults
+    if (updates.protectedBranches !== undefined) {
+      repo.protectedBranches = Array.isArray(updates.protectedBranches)
+        ? updates.protectedBranches.map(p => String(p).trim()).filter(Boolean)
+        : undefined;
+    }
+    if (updates.staleDays !== undefined) {
+      const days = parseInt(updates.staleDays);
+      repo.staleDays = days > 0 ? days : undefined;
+    }
     if (updates.path) {
       const isValid = await GitService.isValidRepo(updates.path);
       if (!isValid) {
@@ -177,10 +187,10 @@ class RepoService {
   /**
    * Clone a repository
    */
-  async clone(url, targetPath, name) {
+  async clone(url, targetPath, name, { onProgress, signal } = {}) {
     await this.init();
 
-    await GitService.clone(url, targetPath);
+    await GitService.clone(url, targetPath, {}, { onProgress, signal });
 
     const repo = {
       id: uuidv4(),
@@ -199,8 +209,8 @@ class RepoService {
   /**
    * Get GitService instance for a repository
    */
-  getGitService(repoPath) {
-    return new GitService(repoPath);
+  getGitService(repoPath, options) {
+    return new GitService(repoPath, options);
   }
 }
 
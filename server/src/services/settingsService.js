@@ -0,0 +1,60 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const CONFIG_DIR = join(__dirname, '../../data');
+const SETTINGS_FILE = join(CONFIG_DIR, 'settings.json');
+
+const DEFAULT_SETTINGS = {
+  theme: 'light',
+  editor: 'vscode',
+  confirmActions: true,
+  commitLint: {
+    enabled: false,
+    // 'warn' asks before committing, 'block' refuses the commit
+    mode: 'warn',
+    types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+    // An empty list allows any scope
+    scopes: [],
+    requireScope: false,
+    maxHeaderLength: 72
+  }
+};
+
+/**
+ * Settings Service - Application settings, stored next to the repo list
+ */
+class SettingsService {
+  /**
+   * Get settings, with defaults for anything not saved yet
+   */
+  async get() {
+    const saved = (await fs.pathExists(SETTINGS_FILE)) ? await fs.readJson(SETTINGS_FILE) : {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      commitLint: { ...DEFAULT_SETTINGS.commitLint, ...saved.commitLint }
+    };
+  }
+
+  /**
+   * Merge updates into the saved settings
+   */
+  async update(updates) {
+    await fs.ensureDir(CONFIG_DIR);
+
+    const existing = (await fs.pathExists(SETTINGS_FILE)) ? await fs.readJson(SETTINGS_FILE) : {};
+    const settings = { ...existing, ...updates };
+    if (updates.commitLint) {
+      settings.commitLint = { ...existing.commitLint, ...updates.commitLint };
+    }
+    await fs.writeJson(SETTINGS_FILE, settings, { spaces: 2 });
+
+    return this.get();
+  }
+}
+
+export default new SettingsService();
@@ -0,0 +1,223 @@
+import { EventEmitter } from 'events';
+import chokidar from 'chokidar';
+import simpleGit from 'simple-git';
+import { execFile } from 'child_process';
+import { relative, isAbsolute, basename, join, sep } from 'path';
+
+// Quiet period after the last change before clients are told about a burst
+const DEBOUNCE_MS = 300;
+
+// Git directory contents that change all the time without affecting what is
+// shown (objects, logs, our own data, lock files), and dependency folders
+// that would cost a watch per file even where they are not in .gitignore
+const IGNORED = [
+  /[\\/]\.git[\\/](objects|logs|mygit|hooks|lfs)([\\/]|$)/,
+  /[\\/]node_modules([\\/]|$)/,
+  /\.lock$/
+];
+
+/**
+ * What a change to a file inside the git directory affects
+ */
+function classifyGitPath(path) {
+  if (path === 'HEAD' || path === 'ORIG_HEAD' || path === 'packed-refs' || path.startsWith(`refs${sep}`)) {
+    return { status: true, branches: true, log: true };
+  }
+  if (path === 'config') {
+    return { branches: true };
+  }
+  // index, MERGE_HEAD, rebase-merge/, sequencer/...
+  return { status: true };
+}
+
+/**
+ * The untracked paths git ignores in a working tree (.gitignore files,
+ * info/exclude, core.excludesFile), relative with '/' separators. A whole
+ * ignored directory is listed once, ending in '/'.
+ */
+async function listIgnored(repoPath) {
+  const output = await simpleGit(repoPath).raw([
+    'ls-files', '--others', '--ignored', '--exclude-standard', '--directory', '-z'
+  ]);
+  return new Set(output.split('\0').filter(Boolean));
+}
+
+/**
+ * Which of the given absolute paths git ignores
+ */
+function checkIgnored(repoPath, paths) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', ['check-ignore', '-z', '--stdin'], { cwd: repoPath }, (error, stdout) => {
+      // Exit status 1 means none of them is ignored
+      if (error && error.code !== 1) return reject(error);
+      resolve(stdout.split('\0').filter(Boolean));
+    });
+    child.stdin.end(paths.join('\0'));
+  });
+}
+
+/**
+ * Watch Service - Watches the working tree and git directory of repositories
+ * that clients have open and reports what changed.
+ *
+ * Changes are collected per repository and emitted, once things have been
+ * quiet for a moment, as a 'change' event: { repoId, status, branches, log,
+ * changedAt } telling which views need reloading. changedAt is the server
+ * time of the last change, so views loaded since then (such as the history
+ * reloaded after the app's own commit) can be left alone.
+ */
+class WatchService extends EventEmitter {
+  constructor() {
+    super();
+    // { watcher, subscribers, pending, timer } by repo ID
+    this.watched = new Map();
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start watching a repository for one more subscriber. Paths git ignores
+   * are not watched at all; the list is read again whenever ignore rules change.
+   */
+  async watch(repo) {
+    const existing = this.watched.get(repo.id);
+    if (existing) {
+      existing.subscribers++;
+      return;
+    }
+
+    const entry = {
+      repo,
+      gitDir: null,
+      ignored: new Set(),
+      watcher: null,
+      subscribers: 1,
+      pending: {},
+      // Working tree paths changed since the last event, checked against
+      // the ignore rules before they count
+      changed: new Set(),
+      timer: null
+    };
+    this.watched.set(repo.id, entry);
+
+    try {
+      entry.gitDir = await simpleGit(repo.path).revparse(['--absolute-git-dir']);
+      entry.ignored = await listIgnored(repo.path);
+    } catch (error) {
+      this.watched.delete(repo.id);
+      throw error;
+    }
+    if (entry.subscribers === 0) return;
+
+    this._startWatcher(entry);
+  }
+
+  /**
+   * Drop a subscriber, closing the watcher once nobody is left
+   */
+  async unwatch(repoId) {
+    const entry = this.watched.get(repoId);
+    if (!entry || --entry.subscribers > 0) return;
+
+    this.watched.delete(repoId);
+    clearTimeout(entry.timer);
+    if (entry.watcher) {
+      await entry.watcher.close();
+    }
+  }
+
+  _startWatcher(entry) {
+    const { repo, gitDir } = entry;
+    // Linked worktrees keep their git directory elsewhere
+    const paths = isInside(repo.path, gitDir) ? [repo.path] : [repo.path, gitDir];
+
+    const watcher = chokidar.watch(paths, {
+      ignored: (path) => IGNORED.some(pattern => pattern.test(path)) || this._isIgnored(entry, path),
+      ignoreInitial: true
+    });
+    watcher.on('all', (event, path) => {
+      if (isInside(gitDir, path)) {
+        const gitPath = relative(gitDir, path);
+        if (gitPath === join('info', 'exclude')) this._reloadIgnored(entry);
+        this._queue(repo.id, classifyGitPath(gitPath));
+        return;
+      }
+      if (basename(path) === '.gitignore') this._reloadIgnored(entry);
+      entry.changed.add(path);
+      this._queue(repo.id, {});
+    });
+    watcher.on('error', (error) => {
+      console.error(`Watching ${repo.path} failed:`, error.message);
+    });
+    entry.watcher = watcher;
+  }
+
+  // Whether a working tree path is in, or under a directory in, the ignored
+  // list (directories found by check-ignore are listed without the '/')
+  _isIgnored(entry, path) {
+    if (isInside(entry.gitDir, path) || !isInside(entry.repo.path, path)) return false;
+    const parts = relative(entry.repo.path, path).split(sep);
+    return parts.some((part, i) => {
+      const prefix = parts.slice(0, i + 1).join('/');
+      return entry.ignored.has(prefix) || entry.ignored.has(`${prefix}/`);
+    });
+  }
+
+  // Ignore rules changed: list the ignored paths again and watch anew, as
+  // chokidar only consults ignored for paths it hasn't seen yet
+  async _reloadIgnored(entry) {
+    try {
+      entry.ignored = await listIgnored(entry.repo.path);
+    } catch (error) {
+      console.error(`Reading ignore rules of ${entry.repo.path} failed:`, error.message);
+      return;
+    }
+    if (this.watched.get(entry.repo.id) !== entry) return;
+
+    const previous = entry.watcher;
+    this._startWatcher(entry);
+    await previous.close();
+  }
+
+  _queue(repoId, changes) {
+    const entry = this.watched.get(repoId);
+    if (!entry) return;
+
+    Object.assign(entry.pending, changes);
+    const changedAt = Date.now();
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this._flush(entry, changedAt), DEBOUNCE_MS);
+  }
+
+  // Tell clients about the changes collected so far. New working tree paths
+  // git ignores (fresh build output, say) are left out and no longer watched.
+  async _flush(entry, changedAt) {
+    const pending = entry.pending;
+    const changed = [...entry.changed].filter(path => !this._isIgnored(entry, path));
+    entry.pending = {};
+    entry.changed = new Set();
+
+    if (changed.length > 0) {
+      let ignored = [];
+      try {
+        ignored = await checkIgnored(entry.repo.path, changed);
+      } catch (error) {
+        console.error(`Checking ignored paths of ${entry.repo.path} failed:`, error.message);
+      }
+      if (ignored.length > 0 && entry.watcher) {
+        ignored.forEach(path => entry.ignored.add(relative(entry.repo.path, path).split(sep).join('/')));
+        entry.watcher.unwatch(ignored);
+      }
+      if (ignored.length < changed.length) pending.status = true;
+    }
+
+    if (!pending.status && !pending.branches && !pending.log) return;
+    this.emit('change', { repoId: entry.repo.id, status: false, branches: false, log: false, ...pending, changedAt });
+  }
+}
+
+function isInside(root, path) {
+  const rel = relative(root, path);
+  return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+export default new WatchService();